@@ -3,8 +3,7 @@
  *
  * Handles:
  * - Spotify OAuth authentication flow
- * - Fetching user's artists and upcoming shows
- * - Matching shows to user's listening habits
+ * - Fetching the shows matching the user's listening habits
  */
 
 (function() {
@@ -17,6 +16,7 @@
     loginButton: document.getElementById('loginButton'),
     logoutButton: document.getElementById('logoutButton'),
     errorMessage: document.getElementById('errorMessage'),
+    dataFreshness: document.getElementById('dataFreshness'),
     loading: document.getElementById('loading'),
     username: document.getElementById('username'),
     matchesList: document.getElementById('matchesList'),
@@ -28,6 +28,9 @@
     viewToggle: document.getElementById('viewToggle'),
     viewListBtn: document.getElementById('viewListBtn'),
     viewCalendarBtn: document.getElementById('viewCalendarBtn'),
+    boroughFilter: document.getElementById('boroughFilter'),
+    citySelect: document.getElementById('citySelect'),
+    sortSelect: document.getElementById('sortSelect'),
     artistsContainer: document.querySelector('.artists-container'),
   };
 
@@ -40,9 +43,21 @@
     username: null,
     // Calendar state
     calendarWeekOffset: 0,
-    calendarMatches: [],
+    // Each week's matches, by request URL; cleared when the city's matches reload
+    calendarWeeks: new Map(),
+    // Latest calendar request, so a slow response for a week no longer shown is dropped
+    calendarRequest: 0,
     // View state: 'list' or 'calendar'
     currentView: 'list',
+    // All matches before the borough filter; '' = all, 'none' = outside NYC,
+    // 'unknown' = venues missing from the registry
+    allMatches: [],
+    boroughFilter: '',
+    // List order: 'date' or 'relevance' ("Best for you"); the calendar is always by date
+    listSort: 'date',
+    // City whose shows are shown (see src/shared/cities.js); null until /api/cities loads
+    city: null,
+    cities: [],
   };
 
   // Storage keys
@@ -54,6 +69,15 @@
     username: 'concert_notify_username',
   };
 
+  // Preferences that outlive a login session
+  const PREFERENCE_KEYS = {
+    city: 'concert_notify_city',
+    listSort: 'concert_notify_listSort',
+  };
+
+  // Shared with the calendar (see showMeta.js)
+  const { STATUS_BADGES, escapeHtml } = ShowMeta;
+
   // UI Helpers
   const ui = {
     showLoading: () => elements.loading.classList.add('show'),
@@ -205,93 +229,234 @@
       ui.showLoading();
       ui.hideError();
 
-      const [topArtistsRes, likedArtistsRes, showsRes] = await Promise.all([
-        fetchWithAuth(`/api/top-artists?userId=${state.userId}`),
-        fetchWithAuth(`/api/liked-artists?userId=${state.userId}`),
-        fetch('/api/upcoming-shows'),
-      ]);
+      await fetchCities();
+      await fetchCityMatches();
+    } catch (error) {
+      console.error('Error fetching data:', error);
+      ui.showError('Failed to load data. Please try again.');
+    } finally {
+      ui.hideLoading();
+    }
 
-      const [topArtistsData, likedArtistsData, showsData] = await Promise.all([
-        topArtistsRes.json(),
-        likedArtistsRes.json(),
-        showsRes.json(),
-      ]);
+    fetchFreshness();
+    fetchVenues();
+  }
 
-      if (topArtistsData.error || likedArtistsData.error || showsData.error) {
-        throw new Error(topArtistsData.error || likedArtistsData.error || showsData.error);
-      }
+  /**
+   * Loads the selected city's shows matching the user's artists (matched on
+   * the server, see GET /api/matches) in the list's order and renders them.
+   */
+  async function fetchCityMatches() {
+    const params = new URLSearchParams({ userId: state.userId, sort: state.listSort });
+    const response = await fetchWithAuth(cityUrl(`/api/matches?${params}`));
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+
+    state.calendarWeeks.clear();
+    state.allMatches = data.matches || [];
+    renderMatches(filterByBorough(state.allMatches));
+  }
+
+  /**
+   * Adds the selected city to an API URL.
+   */
+  function cityUrl(url) {
+    if (!state.city) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}city=${encodeURIComponent(state.city)}`;
+  }
 
-      const matches = findMatches(
-        topArtistsData.topArtists || [],
-        likedArtistsData.likedArtists || [],
-        showsData.upcomingShows || []
-      );
+  /**
+   * Loads the list of cities once and picks the remembered one, falling
+   * back to the server's default when it's missing or no longer offered.
+   * Failures leave the selector hidden and the server default in use.
+   */
+  async function fetchCities() {
+    if (state.cities.length > 0) return;
 
-      renderMatches(matches);
+    try {
+      const response = await fetch('/api/cities');
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+
+      state.cities = data.cities || [];
+      const saved = localStorage.getItem(PREFERENCE_KEYS.city);
+      state.city = state.cities.some(city => city.id === saved) ? saved : data.defaultCity;
+      applyCityTimeZone();
+      renderCityOptions();
     } catch (error) {
-      console.error('Error fetching data:', error);
-      ui.showError('Failed to load data. Please try again.');
+      console.error('Error fetching cities:', error);
+    }
+  }
+
+  function renderCityOptions() {
+    const select = elements.citySelect;
+    if (!select) return;
+
+    select.innerHTML = state.cities
+      .map(city => `<option value="${escapeHtml(city.id)}">${escapeHtml(city.name)}</option>`)
+      .join('');
+    select.value = state.city;
+    select.classList.toggle('show', state.cities.length > 1);
+  }
+
+  /**
+   * Show times are written in their city's timezone.
+   */
+  function applyCityTimeZone() {
+    const city = state.cities.find(entry => entry.id === state.city);
+    if (city && typeof WeeklyShows !== 'undefined') {
+      WeeklyShows.setVenueTimeZone(city.timeZone);
+    }
+  }
+
+  /**
+   * Switches city, remembers the choice and reloads that city's shows.
+   * Boroughs are city-specific, so the borough filter is reset.
+   */
+  async function setCity(cityId) {
+    state.city = cityId;
+    state.boroughFilter = '';
+    localStorage.setItem(PREFERENCE_KEYS.city, cityId);
+    applyCityTimeZone();
+
+    try {
+      ui.showLoading();
+      ui.hideError();
+
+      await fetchCityMatches();
+    } catch (error) {
+      console.error('Error fetching shows:', error);
+      ui.showError('Failed to load shows for this city. Please try again.');
     } finally {
       ui.hideLoading();
     }
+
+    fetchFreshness();
+    fetchVenues();
   }
 
   /**
-   * Normalizes an artist name for matching.
-   * Mirrors the logic in src/shared/normalize.js
+   * Loads the venue registry and offers the boroughs that have shows
+   * as filter options. Failures leave the filter hidden.
    */
-  function normalizeArtistName(name) {
-    if (typeof name !== 'string') return '';
-
-    return name
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/g, ' ')
-      .replace(/^the\s+/i, '')
-      .replace(/\s+&\s+/g, ' and ')
-      .replace(/['']/g, "'")
-      .trim();
+  async function fetchVenues() {
+    try {
+      const response = await fetch(cityUrl('/api/venues'));
+      const data = await response.json();
+      if (data.error) throw new Error(data.error);
+      renderBoroughOptions(data.boroughs || [], data.venues || [], data.unknownVenues || []);
+    } catch (error) {
+      console.error('Error fetching venues:', error);
+    }
+  }
+
+  function renderBoroughOptions(boroughs, venues, unknownVenues) {
+    const select = elements.boroughFilter;
+    if (!select) return;
+
+    const withShows = venues.filter(venue => venue.showCount > 0);
+    const options = boroughs
+      .filter(borough => withShows.some(venue => venue.borough === borough))
+      .map(borough => ({ value: borough, label: borough }));
+
+    if (withShows.some(venue => venue.borough === null)) {
+      options.push({ value: 'none', label: 'Outside NYC' });
+    }
+
+    if (unknownVenues.length > 0) {
+      options.push({ value: 'unknown', label: 'Unknown location' });
+    }
+
+    select.innerHTML = '<option value="">All boroughs</option>' + options
+      .map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`)
+      .join('');
+    select.value = state.boroughFilter;
+    select.classList.toggle('show', options.length > 0);
   }
 
   /**
-   * Find shows matching the user's artists.
-   *
-   * Show structure (flat):
-   * {
-   *   artists: string[],
-   *   venue: string,
-   *   date: string,
-   *   time: string
-   * }
+   * Keeps shows in the selected borough. Shows at venues missing from
+   * the registry have no location and appear under "Unknown location".
    */
-  function findMatches(topArtists, likedArtists, shows) {
-    // Build set of user's artist names (normalized)
-    const userArtistNames = new Set([
-      ...topArtists.map(a => normalizeArtistName(a.name)),
-      ...likedArtists.map(a => normalizeArtistName(a.name)),
-    ]);
-
-    // Filter shows that have at least one matching artist
-    const matches = shows.filter(show => {
-      if (!show || !Array.isArray(show.artists)) {
-        return false;
-      }
+  function filterByBorough(matches) {
+    if (!state.boroughFilter) return matches;
+    if (state.boroughFilter === 'unknown') return matches.filter(show => !show.location);
 
-      return show.artists.some(artist => {
-        return userArtistNames.has(normalizeArtistName(artist));
-      });
-    });
+    const borough = state.boroughFilter === 'none' ? null : state.boroughFilter;
+    return matches.filter(show => show.location && show.location.borough === borough);
+  }
 
-    // Sort by date (ascending)
-    matches.sort((a, b) => {
-      try {
-        return new Date(a.date) - new Date(b.date);
-      } catch {
-        return 0;
-      }
-    });
+  /**
+   * Switches the list between date order and "Best for you" and remembers
+   * the choice.
+   */
+  async function setListSort(value) {
+    if (value !== 'date' && value !== 'relevance') return;
+    state.listSort = value;
+    localStorage.setItem(PREFERENCE_KEYS.listSort, value);
+
+    try {
+      ui.showLoading();
+      ui.hideError();
+      await fetchCityMatches();
+    } catch (error) {
+      console.error('Error sorting shows:', error);
+      ui.showError('Failed to sort shows. Please try again.');
+    } finally {
+      ui.hideLoading();
+    }
+  }
+
+  function setBoroughFilter(value) {
+    state.boroughFilter = value;
+    renderMatches(filterByBorough(state.allMatches));
+  }
+
+  /**
+   * Shows when the listings were last scraped, with a warning when
+   * they're older than the server's stale threshold.
+   * Failures are ignored; the indicator is informational only.
+   */
+  async function fetchFreshness() {
+    try {
+      const response = await fetch(cityUrl('/api/shows-manifest'));
+      const data = await response.json();
+      renderFreshness(data.freshness);
+    } catch (error) {
+      console.error('Error fetching shows manifest:', error);
+    }
+  }
+
+  function renderFreshness(freshness) {
+    const el = elements.dataFreshness;
+    if (!el) return;
+
+    if (!freshness || !freshness.scrapedAt) {
+      el.classList.remove('show');
+      return;
+    }
+
+    const updated = new Date(freshness.scrapedAt);
+    const ago = formatAge(freshness.ageHours);
+    el.title = updated.toLocaleString();
+    el.textContent = freshness.stale
+      ? `Listings may be out of date: last updated ${ago}.`
+      : `Listings last updated ${ago}`;
+    el.classList.toggle('data-freshness--stale', Boolean(freshness.stale));
+    el.classList.add('show');
+  }
 
-    return matches;
+  /**
+   * Formats an age in hours as "just now", "5 hours ago", "3 days ago".
+   */
+  function formatAge(hours) {
+    if (hours < 1) return 'just now';
+    if (hours < 48) {
+      const rounded = Math.round(hours);
+      return `${rounded} hour${rounded === 1 ? '' : 's'} ago`;
+    }
+    return `${Math.round(hours / 24)} days ago`;
   }
 
   function renderMatches(matches) {
@@ -305,13 +470,16 @@
       `;
     } else {
       elements.matchesList.innerHTML = matches.map(show => {
+        const cardClass = STATUS_BADGES[show.status] ? `show-card show-card--${show.status}` : 'show-card';
+
         return `
-          <div class="show-card">
+          <div class="${cardClass}">
             <div class="show-card__artists">${escapeHtml(show.artists.join(', '))}</div>
             <div class="show-card__details">
-              <div class="show-card__date">${escapeHtml(show.date)} at ${escapeHtml(show.time)}</div>
-              <div class="show-card__venue">${escapeHtml(show.venue)}</div>
+              <div class="show-card__date">${escapeHtml(show.date)} at ${escapeHtml(WeeklyShows.formatShowTime(show))}</div>
+              <div class="show-card__venue">${escapeHtml(show.venue)}${renderNeighborhood(show)}</div>
             </div>
+            ${ShowMeta.renderShowMeta(show, 'show-card')}
           </div>
         `;
       }).join('');
@@ -324,23 +492,27 @@
     switchView(state.currentView);
   }
 
+  function renderNeighborhood(show) {
+    if (!show.location || !show.location.neighborhood) return '';
+    return ` <span class="show-card__neighborhood">· ${escapeHtml(show.location.neighborhood)}</span>`;
+  }
+
   /**
-   * Renders the weekly calendar view with matched shows.
+   * Renders the weekly calendar view, starting on the week of the first
+   * matched show.
    */
   function renderCalendar(matches) {
     if (!elements.calendarContainer || !elements.calendarView) {
       return;
     }
 
-    // Store matches for navigation
-    state.calendarMatches = matches;
-
-    // Start on the week of the first event (matches are already sorted by date)
-    if (matches.length > 0) {
-      const firstEventDate = WeeklyShows.parseShowDate(matches[0].date);
-      if (firstEventDate) {
-        state.calendarWeekOffset = getWeekOffset(firstEventDate);
-      }
+    // Start on the week of the first event (the list may be sorted by relevance)
+    const firstEventDate = matches
+      .map(show => WeeklyShows.parseShowDate(show.startsAt || show.date))
+      .filter(Boolean)
+      .reduce((earliest, date) => (!earliest || date < earliest ? date : earliest), null);
+    if (firstEventDate) {
+      state.calendarWeekOffset = getWeekOffset(firstEventDate);
     }
 
     // Render with current offset
@@ -374,17 +546,50 @@
   }
 
   /**
-   * Updates the calendar view based on current week offset.
+   * Updates the calendar view based on current week offset. Only the
+   * displayed week's matches are requested, already filtered to the
+   * selected borough.
    */
-  function updateCalendarView() {
-    const weekData = WeeklyShows.getWeekByOffset(state.calendarMatches, state.calendarWeekOffset);
-
-    // Render calendar grid
-    WeeklyCalendar.render(weekData, elements.calendarView);
+  async function updateCalendarView() {
+    const weekOffset = state.calendarWeekOffset;
+    const emptyWeek = WeeklyShows.getWeekByOffset([], weekOffset);
+    const request = ++state.calendarRequest;
 
     // Update title
     if (elements.calendarTitle) {
-      elements.calendarTitle.textContent = getWeekTitle(weekData, state.calendarWeekOffset);
+      elements.calendarTitle.textContent = getWeekTitle(emptyWeek, weekOffset);
+    }
+
+    const params = new URLSearchParams({
+      userId: state.userId,
+      from: emptyWeek.days[0].date,
+      to: emptyWeek.days[emptyWeek.days.length - 1].date,
+    });
+    if (state.boroughFilter) {
+      params.set('borough', state.boroughFilter);
+    }
+    // Weeks reaching back before today ("Last Week") need shows that already happened
+    if (params.get('from') < WeeklyShows.toISODateString(new Date())) {
+      params.set('includePast', 'true');
+    }
+    const url = cityUrl(`/api/matches?${params}`);
+
+    try {
+      if (!state.calendarWeeks.has(url)) {
+        const response = await fetchWithAuth(url);
+        const data = await response.json();
+        if (data.error) throw new Error(data.error);
+        state.calendarWeeks.set(url, data.matches || []);
+      }
+      if (request !== state.calendarRequest) return;
+
+      const matches = state.calendarWeeks.get(url);
+      WeeklyCalendar.render(WeeklyShows.organizeByWeek(matches, emptyWeek.weekStartDate), elements.calendarView);
+    } catch (error) {
+      if (request !== state.calendarRequest) return;
+      console.error('Error fetching calendar week:', error);
+      WeeklyCalendar.render(emptyWeek, elements.calendarView);
+      ui.showError('Failed to load shows for this week. Please try again.');
     }
   }
 
@@ -457,13 +662,6 @@
     }
   }
 
-  // Prevent XSS when rendering user-controlled data
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text || '';
-    return div.innerHTML;
-  }
-
   // Event listeners
   document.addEventListener('DOMContentLoaded', () => {
     elements.loginButton.addEventListener('click', auth.login);
@@ -485,6 +683,25 @@
       elements.viewCalendarBtn.addEventListener('click', () => switchView('calendar'));
     }
 
+    // Borough filter
+    if (elements.boroughFilter) {
+      elements.boroughFilter.addEventListener('change', event => setBoroughFilter(event.target.value));
+    }
+
+    // City selector
+    if (elements.citySelect) {
+      elements.citySelect.addEventListener('change', event => setCity(event.target.value));
+    }
+
+    // List order
+    if (elements.sortSelect) {
+      if (localStorage.getItem(PREFERENCE_KEYS.listSort) === 'relevance') {
+        state.listSort = 'relevance';
+      }
+      elements.sortSelect.value = state.listSort;
+      elements.sortSelect.addEventListener('change', event => setListSort(event.target.value));
+    }
+
     auth.init();
   });
 })();
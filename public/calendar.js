@@ -20,6 +20,7 @@
  * │ │ │     .calendar-show__artist                                      │ │
  * │ │ │     .calendar-show__venue                                       │ │
  * │ │ │     .calendar-show__time                                        │ │
+ * │ │ │     .calendar-show__meta  (optional: badge, price, age, tickets) │ │
  * │ │ └─────────────────────────────────────────────────────────────────┘ │
  * │ └─────────────────────────────────────────────────────────────────────┘
  * └─────────────────────────────────────────────────────────────────┘
@@ -44,6 +45,9 @@
 const WeeklyCalendar = (function () {
   'use strict';
 
+  // Shared with the list view (see showMeta.js)
+  const { STATUS_BADGES, escapeHtml } = ShowMeta;
+
   /**
    * Gets today's date as ISO string (YYYY-MM-DD) for comparison.
    * Extracted for testability.
@@ -57,14 +61,10 @@ const WeeklyCalendar = (function () {
   }
 
   /**
-   * Escapes HTML to prevent XSS when rendering user-controlled data.
-   * @param {string} text
-   * @returns {string}
+   * Venue-local show time, labelled with the timezone for viewers elsewhere.
    */
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text || '';
-    return div.innerHTML;
+  function formatTime(show) {
+    return typeof WeeklyShows !== 'undefined' ? WeeklyShows.formatShowTime(show) : show.time;
   }
 
   /**
@@ -95,7 +95,7 @@ const WeeklyCalendar = (function () {
   /**
    * Renders a single show block.
    *
-   * @param {Object} show - Show object with artists, venue, time
+   * @param {Object} show - Show object with artists, venue, time and optional details
    * @returns {string} HTML string
    */
   function renderShow(show) {
@@ -111,11 +111,16 @@ const WeeklyCalendar = (function () {
     // Add title attribute for tooltip if truncated
     const titleAttr = isTruncated ? `title="${escapeHtml(fullArtistName)}"` : '';
 
+    const showClass = STATUS_BADGES[show.status]
+      ? `calendar-show calendar-show--${show.status}`
+      : 'calendar-show';
+
     return `
-      <div class="calendar-show">
+      <div class="${showClass}">
         <div class="calendar-show__artist" ${titleAttr}>${escapeHtml(artistDisplay)}</div>
         <div class="calendar-show__venue">${escapeHtml(show.venue)}</div>
-        <div class="calendar-show__time">${escapeHtml(show.time)}</div>
+        <div class="calendar-show__time">${escapeHtml(formatTime(show))}</div>
+        ${ShowMeta.renderShowMeta(show, 'calendar-show')}
       </div>
     `;
   }
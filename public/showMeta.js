@@ -0,0 +1,120 @@
+/**
+ * Show Details (Browser Version)
+ *
+ * Escaping and the status, price, age and ticket details shared by the
+ * list (app.js) and the calendar (calendar.js).
+ */
+
+const ShowMeta = (function () {
+  'use strict';
+
+  // Badges for shows that aren't going ahead as listed (see src/shared/status.js)
+  const STATUS_BADGES = {
+    cancelled: 'Cancelled',
+    postponed: 'Postponed',
+    unlisted: 'No longer listed',
+  };
+
+  /**
+   * Escapes HTML to prevent XSS when rendering user-controlled data.
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
+  /**
+   * Returns an http(s) URL escaped for use in an attribute, or ''.
+   * @param {string} url
+   * @returns {string}
+   */
+  function safeUrl(url) {
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      return '';
+    }
+    return escapeHtml(url).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Formats a { min, max } price range: "Free", "$15" or "$12–$15".
+   * @param {Object} price
+   * @returns {string}
+   */
+  function formatPrice(price) {
+    if (!price || typeof price.min !== 'number') {
+      return '';
+    }
+    if (price.max === 0) {
+      return 'Free';
+    }
+    if (price.min === price.max) {
+      return `$${price.min}`;
+    }
+    return `$${price.min}–$${price.max}`;
+  }
+
+  /**
+   * Badge for a fuzzy match (see GET /api/matches), naming the lineup
+   * artist it matched.
+   * @param {Object} match
+   * @returns {string}
+   */
+  function renderPossibleMatch(match) {
+    const title = escapeHtml(`Listed as "${match.artist}"`).replace(/"/g, '&quot;');
+    return `<span class="show-badge show-badge--possible" title="${title}">Possible match</span>`;
+  }
+
+  /**
+   * Renders status and possible-match badges, price, age restriction and
+   * ticket link for a show.
+   * @param {Object} show
+   * @param {string} block - CSS block the elements belong to, e.g.
+   *   "show-card" for .show-card__meta, .show-card__price, ...
+   * @returns {string} HTML string, empty if the show has none of them
+   */
+  function renderShowMeta(show, block) {
+    const parts = [];
+
+    const statusLabel = STATUS_BADGES[show.status];
+    if (statusLabel) {
+      parts.push(`<span class="show-badge show-badge--${show.status}">${statusLabel}</span>`);
+    } else if (show.soldOut) {
+      parts.push('<span class="show-badge show-badge--sold-out">Sold out</span>');
+    }
+
+    if (show.match && show.match.possible) {
+      parts.push(renderPossibleMatch(show.match));
+    }
+
+    const price = formatPrice(show.price);
+    if (price) {
+      parts.push(`<span class="${block}__price">${escapeHtml(price)}</span>`);
+    }
+
+    if (show.ageRestriction) {
+      parts.push(`<span class="${block}__age">${escapeHtml(show.ageRestriction)}</span>`);
+    }
+
+    const ticketUrl = safeUrl(show.ticketUrl);
+    if (ticketUrl && show.status !== 'cancelled' && show.status !== 'unlisted') {
+      parts.push(`<a class="${block}__tickets" href="${ticketUrl}" target="_blank" rel="noopener noreferrer">Tickets</a>`);
+    }
+
+    if (parts.length === 0) {
+      return '';
+    }
+
+    return `<div class="${block}__meta">${parts.join('')}</div>`;
+  }
+
+  return {
+    STATUS_BADGES,
+    escapeHtml,
+    safeUrl,
+    formatPrice,
+    renderShowMeta,
+  };
+})();
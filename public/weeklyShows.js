@@ -9,13 +9,22 @@ const WeeklyShows = (function () {
   'use strict';
 
   const DAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  // Timezone of the selected city's venues; see setVenueTimeZone()
+  let venueTimeZone = 'America/New_York';
+  const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/;
 
   /**
-   * Parses a US locale date string "M/D/YYYY" into a Date object.
+   * Parses an ISO 8601 startsAt (venue-local date as written) or a
+   * US locale date string "M/D/YYYY" into a Date object.
    */
   function parseShowDate(dateStr) {
     if (!dateStr || typeof dateStr !== 'string') return null;
 
+    const iso = dateStr.match(ISO_PATTERN);
+    if (iso) {
+      return buildDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+    }
+
     const parts = dateStr.split('/');
     if (parts.length !== 3) return null;
 
@@ -25,6 +34,10 @@ const WeeklyShows = (function () {
 
     if (isNaN(month) || isNaN(day) || isNaN(year)) return null;
 
+    return buildDate(year, month, day);
+  }
+
+  function buildDate(year, month, day) {
     const date = new Date(year, month - 1, day, 0, 0, 0, 0);
 
     if (date.getMonth() !== month - 1 || date.getDate() !== day) {
@@ -35,11 +48,17 @@ const WeeklyShows = (function () {
   }
 
   /**
-   * Parses time string "HH:MM AM/PM" into minutes since midnight.
+   * Parses an ISO 8601 startsAt or a time string "HH:MM AM/PM"
+   * into minutes since midnight (venue-local).
    */
   function parseShowTime(timeStr) {
     if (!timeStr || typeof timeStr !== 'string') return 0;
 
+    const iso = timeStr.match(ISO_PATTERN);
+    if (iso) {
+      return iso[4] === undefined ? 0 : parseInt(iso[4], 10) * 60 + parseInt(iso[5], 10);
+    }
+
     const match = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
     if (!match) return 0;
 
@@ -112,7 +131,7 @@ const WeeklyShows = (function () {
     const daysByDate = new Map(days.map(day => [day.date, day]));
 
     for (const show of shows) {
-      const showDate = parseShowDate(show.date);
+      const showDate = parseShowDate(show.startsAt || show.date);
       if (!showDate) continue;
 
       const isoDate = toISODateString(showDate);
@@ -124,7 +143,7 @@ const WeeklyShows = (function () {
     }
 
     for (const day of days) {
-      day.shows.sort((a, b) => parseShowTime(a.time) - parseShowTime(b.time));
+      day.shows.sort((a, b) => parseShowTime(a.startsAt || a.time) - parseShowTime(b.startsAt || b.time));
     }
 
     return {
@@ -150,11 +169,54 @@ const WeeklyShows = (function () {
     return organizeByWeek(shows, refDate);
   }
 
+  function viewerTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Sets the timezone show times are written in (the selected city's).
+   */
+  function setVenueTimeZone(zone) {
+    venueTimeZone = zone;
+  }
+
+  /**
+   * Formats a show's time for display. Times are always venue-local;
+   * viewers outside the venue's timezone get a zone suffix ("EST", "EDT")
+   * so the time isn't mistaken for their own.
+   */
+  function formatShowTime(show, viewerZone) {
+    const time = show.time || '';
+    const iso = typeof show.startsAt === 'string' ? show.startsAt.match(ISO_PATTERN) : null;
+    if (!iso || iso[4] === undefined) return time;
+
+    const zone = viewerZone === undefined ? viewerTimeZone() : viewerZone;
+    if (zone === venueTimeZone) return time;
+
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: venueTimeZone,
+        timeZoneName: 'short',
+      }).formatToParts(new Date(show.startsAt));
+      const name = parts.find(part => part.type === 'timeZoneName');
+      return name ? `${time} ${name.value}` : time;
+    } catch (e) {
+      return time;
+    }
+  }
+
   return {
     organizeByWeek,
     getCurrentWeek,
     getWeekByOffset,
     parseShowDate,
+    parseShowTime,
+    formatShowTime,
+    setVenueTimeZone,
     toISODateString,
   };
 })();
@@ -7,6 +7,18 @@ require('dotenv').config();
 
 const path = require('path');
 
+/**
+ * Reads a numeric environment variable. The fallback is only for an unset
+ * variable; anything else is parsed as-is (possibly to NaN) so that
+ * validateConfig can reject it instead of silently using the default.
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function envNumber(name, fallback) {
+  return process.env[name] !== undefined ? parseFloat(process.env[name]) : fallback;
+}
+
 const config = {
   // Server
   port: parseInt(process.env.PORT, 10) || 8888,
@@ -31,12 +43,55 @@ const config = {
 
   // Show data sources
   shows: {
-    // Local file path (primary source - written by scraper)
+    // Local file path (primary source - written by scraper). This is the
+    // default city's; other cities read <dir>/<city>/<file> (see shared/cities.js)
     localPath: process.env.SHOWS_LOCAL_PATH || path.resolve(__dirname, '../..', 'data/shows.json'),
 
-    // Remote URL (fallback if local file doesn't exist)
+    // Scrape run manifest written next to the local file
+    manifestPath: process.env.SHOWS_MANIFEST_PATH || path.resolve(__dirname, '../..', 'data/manifest.json'),
+
+    // Shows that started more than this many days ago aren't served by default
+    // (0 = only shows that haven't started; ?includePast= overrides it)
+    lookBackDays: parseFloat(process.env.SHOWS_LOOK_BACK_DAYS) || 0,
+
+    // Listings older than this are flagged as stale in the UI
+    staleAfterHours: parseFloat(process.env.SHOWS_STALE_AFTER_HOURS) || 48,
+
+    // Remote URL (fallback if the default city's local file doesn't exist)
     remoteUrl: process.env.SHOWS_REMOTE_URL ||
       'https://raw.githubusercontent.com/wjdeacon21/scrapedShows/main/data/shows_recent.json',
+
+    // Last good remote payload, served (flagged stale) when the local file
+    // and the remote URL both fail
+    remoteCachePath: process.env.SHOWS_REMOTE_CACHE_PATH || path.resolve(__dirname, '../..', 'cache/remote-shows.json'),
+
+    // Remote payloads with this much smaller a show count than the last good copy
+    // are rejected (0-1; 0 = reject any drop, 1 = never reject)
+    remoteMaxDropRatio: envNumber('SHOWS_REMOTE_MAX_DROP_RATIO', 0.5),
+
+    // ...until the last good copy is this many hours old; then the drop is taken as real
+    remoteMaxDropAgeHours: envNumber('SHOWS_REMOTE_MAX_DROP_AGE_HOURS', 24),
+  },
+
+  // Artist matching (see src/shared/normalize.js)
+  matching: {
+    // Lowest confidence (0-1) a fuzzy artist match needs; 1 = exact matches only
+    threshold: envNumber('MATCH_THRESHOLD', 0.87),
+  },
+
+  // Artist aliases and blocked matches (see src/shared/artistAliases.js)
+  artists: {
+    aliasesPath: process.env.ARTIST_ALIASES_PATH || path.resolve(__dirname, '../..', 'data/artist-aliases.json'),
+  },
+
+  // Admin API (PUT /api/artist-aliases); disabled when no token is set
+  admin: {
+    token: process.env.ADMIN_TOKEN,
+  },
+
+  // Venue registry (names, addresses, boroughs, coordinates)
+  venues: {
+    registryPath: process.env.VENUES_REGISTRY_PATH || path.resolve(__dirname, '../..', 'data/venues.json'),
   },
 };
 
@@ -52,6 +107,19 @@ function validateConfig() {
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
+
+  const { threshold } = config.matching;
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error(`MATCH_THRESHOLD must be above 0 and at most 1 (got ${threshold})`);
+  }
+
+  const { remoteMaxDropRatio, remoteMaxDropAgeHours } = config.shows;
+  if (!(remoteMaxDropRatio >= 0 && remoteMaxDropRatio <= 1)) {
+    throw new Error(`SHOWS_REMOTE_MAX_DROP_RATIO must be from 0 to 1 (got ${remoteMaxDropRatio})`);
+  }
+  if (!(remoteMaxDropAgeHours >= 0)) {
+    throw new Error(`SHOWS_REMOTE_MAX_DROP_AGE_HOURS must be 0 or more (got ${remoteMaxDropAgeHours})`);
+  }
 }
 
 module.exports = { config, validateConfig };
@@ -2,10 +2,24 @@
  * API routes for fetching artist and show data.
  */
 
+const crypto = require('crypto');
 const express = require('express');
+const { config } = require('../config');
 const { logger } = require('../utils');
 const spotify = require('../services/spotify');
 const shows = require('../services/shows');
+const venues = require('../services/venues');
+const artistAliases = require('../services/artistAliases');
+const { getUserMatches } = require('../services/matches');
+const {
+  UNKNOWN_LOCATION,
+  BOROUGH_ERROR,
+  parseBorough,
+  parseShowQuery,
+  queryShows,
+} = require('../services/showQuery');
+const { BOROUGHS, findUnregisteredVenues } = require('../shared/venues');
+const { CITIES, DEFAULT_CITY, getCity, describeCity } = require('../shared/cities');
 const tokenStore = require('../services/tokenStore');
 
 const router = express.Router();
@@ -28,6 +42,46 @@ function requireUserId(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to check the admin token (Authorization: Bearer <ADMIN_TOKEN>).
+ * Admin endpoints are disabled when no token is configured.
+ */
+function requireAdmin(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(403).json({ error: 'Admin API is disabled' });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(config.admin.token);
+  const given = Buffer.from(scheme === 'Bearer' && token ? token : '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to read the optional city parameter (case-insensitive).
+ * Sets req.city to the city id, or DEFAULT_CITY when omitted.
+ */
+function resolveCity(req, res, next) {
+  const { city } = req.query;
+
+  if (city === undefined) {
+    req.city = DEFAULT_CITY;
+    return next();
+  }
+
+  const requested = getCity(String(city).toLowerCase());
+  if (!requested) {
+    return res.status(400).json({ error: `city must be one of: ${CITIES.map(c => c.id).join(', ')}` });
+  }
+
+  req.city = requested.id;
+  next();
+}
+
 /**
  * Standardized error handler for API routes.
  */
@@ -71,21 +125,207 @@ router.get('/liked-artists', requireUserId, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cities
+ * Returns the cities shows are available for and the default one.
+ * This endpoint does not require authentication.
+ */
+router.get('/cities', (req, res) => {
+  res.json({ cities: CITIES.map(describeCity), defaultCity: DEFAULT_CITY });
+});
+
 /**
  * GET /api/upcoming-shows
- * Returns upcoming concert/show data.
+ * Returns concert/show data for ?city= (default: DEFAULT_CITY) that hasn't
+ * started yet, optionally filtered, sorted and paged (see services/showQuery.js):
+ * ?includePast=, ?from=&to= (YYYY-MM-DD), ?venue=, ?artist=, ?borough=, ?sort=, ?limit=, ?cursor=
+ * Sent with an ETag and Last-Modified for the city's data; conditional
+ * requests get 304 Not Modified until it changes. `stale` is true when every
+ * source failed and the last good copy of the remote data is being served.
  * This endpoint does not require authentication.
  */
-router.get('/upcoming-shows', async (req, res) => {
+router.get('/upcoming-shows', resolveCity, async (req, res) => {
+  const { query, error: queryError } = parseShowQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
   try {
-    const upcomingShows = await shows.getUpcomingShows();
-    res.json({ upcomingShows });
+    const { shows: allShows, version, lastModified, stale } = await shows.getShowsSnapshot(req.city);
+    const cityShows = shows.filterUpcoming(allShows, { lookBackDays: query.lookBackDays });
+
+    // Responses only change when the data does, or when shows start and drop
+    // out; let browsers revalidate with 304s
+    res.set({
+      'Cache-Control': 'no-cache',
+      ETag: `W/"${version}-${allShows.length - cityShows.length}${stale ? '-stale' : ''}"`,
+      'Last-Modified': lastModified.toUTCString(),
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    if (query.venue !== undefined) {
+      const registry = await venues.getVenueRegistry();
+      query.venueId = registry.lookup(query.venue)?.id;
+    }
+
+    const { shows: upcomingShows, total, nextCursor } = queryShows(cityShows, query);
+    res.json({ city: req.city, upcomingShows, total, nextCursor, stale });
   } catch (error) {
-    logger.error('Failed to fetch upcoming shows', { error: error.message });
+    logger.error('Failed to fetch upcoming shows', { city: req.city, error: error.message });
     res.status(500).json({ error: 'Failed to get upcoming shows' });
   }
 });
 
+/**
+ * GET /api/matches
+ * Returns the shows in ?city= (default: DEFAULT_CITY) matching the user's
+ * top and liked artists, with the same filters, sorting and paging as
+ * /api/upcoming-shows, plus ?sort=relevance for the best matches first.
+ * Each show's `match` explains it: which lineup artists matched which of
+ * the user's artists, whether those are top artists or from liked songs,
+ * how they matched (exact, alias or fuzzy) and the show's relevance score
+ * (see services/matches.js).
+ */
+router.get('/matches', requireUserId, resolveCity, async (req, res) => {
+  const { query, error: queryError } = parseShowQuery(req.query, { matches: true });
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  try {
+    const [topArtists, likedArtists, { shows: allShows, version, stale }, aliases] = await Promise.all([
+      spotify.getTopArtists(req.userId),
+      spotify.getLikedArtists(req.userId),
+      shows.getShowsSnapshot(req.city),
+      artistAliases.getArtistAliases(),
+    ]);
+
+    if (query.venue !== undefined) {
+      const registry = await venues.getVenueRegistry();
+      query.venueId = registry.lookup(query.venue)?.id;
+    }
+
+    // Matching is cached per user; only the cheap filtering runs every request
+    const matched = getUserMatches(req.userId, {
+      city: req.city,
+      topArtists,
+      likedArtists,
+      shows: allShows,
+      version,
+      aliases,
+      threshold: config.matching.threshold,
+    });
+    const upcoming = shows.filterUpcoming(matched, { lookBackDays: query.lookBackDays });
+    const { shows: matches, total, nextCursor } = queryShows(upcoming, query);
+    res.json({ city: req.city, matches, total, nextCursor, stale });
+  } catch (error) {
+    handleApiError(res, error, 'Failed to get matches');
+  }
+});
+
+/**
+ * GET /api/shows-manifest
+ * Returns the scrape run manifest for a city's served shows (when known)
+ * and how fresh they are. Optional ?city= (default: DEFAULT_CITY).
+ * This endpoint does not require authentication.
+ */
+router.get('/shows-manifest', resolveCity, async (req, res) => {
+  try {
+    const { manifest, freshness } = await shows.getShowsManifest(req.city);
+    res.json({ manifest, freshness });
+  } catch (error) {
+    logger.error('Failed to fetch shows manifest', { error: error.message });
+    res.status(500).json({ error: 'Failed to get shows manifest' });
+  }
+});
+
+/**
+ * GET /api/venues
+ * Returns the venue registry with the number of upcoming shows at each venue
+ * in ?city= (default: DEFAULT_CITY), and the listed venue names missing
+ * from the registry (unknownVenues) with their upcoming show counts.
+ * Optional ?borough= filter (case-insensitive; "none" for venues outside NYC,
+ * "unknown" for only the venues missing from the registry).
+ * This endpoint does not require authentication.
+ */
+router.get('/venues', resolveCity, async (req, res) => {
+  const { borough } = req.query;
+  let boroughFilter;
+
+  if (borough !== undefined) {
+    boroughFilter = parseBorough(borough);
+
+    if (boroughFilter === undefined) {
+      return res.status(400).json({ error: BOROUGH_ERROR });
+    }
+  }
+
+  try {
+    const [registry, upcomingShows] = await Promise.all([
+      venues.getVenueRegistry(),
+      shows.getUpcomingShows(req.city),
+    ]);
+
+    const showCounts = new Map();
+    for (const show of upcomingShows) {
+      if (show.location) {
+        showCounts.set(show.location.venueId, (showCounts.get(show.location.venueId) || 0) + 1);
+      }
+    }
+
+    const venueList = registry.venues
+      .filter(venue => boroughFilter === undefined || venue.borough === boroughFilter)
+      .map(venue => ({ ...venue, showCount: showCounts.get(venue.id) || 0 }));
+
+    const includeUnknown = boroughFilter === undefined || boroughFilter === UNKNOWN_LOCATION;
+    const unknownVenues = includeUnknown ? findUnregisteredVenues(upcomingShows, registry) : [];
+
+    res.json({ version: registry.version, boroughs: BOROUGHS, venues: venueList, unknownVenues });
+  } catch (error) {
+    logger.error('Failed to fetch venues', { error: error.message });
+    res.status(500).json({ error: 'Failed to get venues' });
+  }
+});
+
+/**
+ * GET /api/artist-aliases
+ * Returns the artist alias table: canonical artists with the names
+ * listings use for them, and blocked pairings (see shared/artistAliases.js).
+ * This endpoint does not require authentication.
+ */
+router.get('/artist-aliases', async (req, res) => {
+  try {
+    const { version, artists, blocked } = await artistAliases.getArtistAliases();
+    res.json({ version, artists, blocked });
+  } catch (error) {
+    logger.error('Failed to fetch artist aliases', { error: error.message });
+    res.status(500).json({ error: 'Failed to get artist aliases' });
+  }
+});
+
+/**
+ * PUT /api/artist-aliases
+ * Replaces the artist alias table. The body is the whole table, with the
+ * `version` it was edited from: 409 if it has changed since, 400 if invalid.
+ * Requires the admin token.
+ */
+router.put('/artist-aliases', requireAdmin, async (req, res) => {
+  try {
+    const result = await artistAliases.saveArtistAliases(req.body);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+    }
+
+    const { version, artists, blocked } = result.aliases;
+    res.json({ version, artists, blocked });
+  } catch (error) {
+    logger.error('Failed to save artist aliases', { error: error.message });
+    res.status(500).json({ error: 'Failed to save artist aliases' });
+  }
+});
+
 /**
  * GET /api/search
  * Search for an artist and get their top track.
@@ -0,0 +1,148 @@
+/**
+ * Selector health canary.
+ *
+ * When a listings site changes its markup, the scraper tends to either
+ * time out or quietly produce far fewer shows. Before anything is saved,
+ * each source's run is checked against the previous run:
+ *
+ * - every selector the adapter declares must match at least one node in
+ *   the page it extracted from
+ * - raw and valid counts must not drop by more than the configured ratio
+ *   (previous counts come from the last saved run's manifest)
+ *
+ * If a check fails the scraper keeps the existing data, writes the page
+ * snapshots to the diagnostics folder and exits with EXIT_CODES.unhealthy.
+ */
+
+const cheerio = require('cheerio');
+const fs = require('fs');
+const path = require('path');
+
+const { config } = require('./config');
+const { logger } = require('../shared/logger');
+
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1,
+  unhealthy: 2,
+};
+
+/**
+ * Counts how many nodes each selector matches in a page.
+ * @param {string} html
+ * @param {Object<string, string>} selectors - Named selector strings
+ * @returns {Object<string, number>} Match count per selector name
+ */
+function countSelectorMatches(html, selectors) {
+  const $ = cheerio.load(html);
+  const counts = {};
+
+  for (const [name, selector] of Object.entries(selectors)) {
+    counts[name] = $(selector).length;
+  }
+
+  return counts;
+}
+
+/**
+ * Checks whether a count dropped by more than the allowed ratio.
+ * @param {number} previous
+ * @param {number} current
+ * @param {number} maxDropRatio - e.g. 0.5 for 50%
+ * @returns {boolean}
+ */
+function droppedTooFar(previous, current, maxDropRatio) {
+  if (!previous) return false;
+  return (previous - current) / previous > maxDropRatio;
+}
+
+/**
+ * Checks a run's per-source results.
+ *
+ * @param {Array<{name: string, raw: number, valid: number, error?: string}>} results
+ * @param {Object} options
+ * @param {Map<string, {html: string}>} options.snapshots - Page snapshots by source
+ * @param {Object<string, Object>} options.selectors - Declared selectors by source
+ * @param {Object<string, {raw: number, valid: number}>} [options.previousStats] - Last saved run's
+ *   counts by source (the manifest's `sources`)
+ * @param {number} [options.maxDropRatio=config.canary.maxDropRatio]
+ * @param {boolean} [options.compareCounts=true] - Compare counts with the previous run
+ * @returns {{ healthy: boolean, problems: Array<{source: string, check: string, message: string}> }}
+ */
+function checkRunHealth(results, {
+  snapshots,
+  selectors,
+  previousStats = {},
+  maxDropRatio = config.canary.maxDropRatio,
+  compareCounts = true,
+}) {
+  const problems = [];
+
+  for (const result of results) {
+    // Failed sources already keep their previous shows
+    if (result.error) continue;
+
+    const snapshot = snapshots.get(result.name);
+    if (snapshot && selectors[result.name]) {
+      const counts = countSelectorMatches(snapshot.html, selectors[result.name]);
+
+      for (const [name, count] of Object.entries(counts)) {
+        if (count === 0) {
+          problems.push({
+            source: result.name,
+            check: 'selector',
+            message: `Selector "${name}" (${selectors[result.name][name]}) matched no nodes`,
+          });
+        }
+      }
+    }
+
+    const previous = previousStats[result.name];
+    if (compareCounts && previous) {
+      for (const field of ['raw', 'valid']) {
+        if (droppedTooFar(previous[field], result[field], maxDropRatio)) {
+          problems.push({
+            source: result.name,
+            check: 'count',
+            message: `${field} count dropped from ${previous[field]} to ${result[field]}`,
+          });
+        }
+      }
+    }
+  }
+
+  return { healthy: problems.length === 0, problems };
+}
+
+/**
+ * Writes a diagnostics folder for the run: a report plus the DOM snapshot
+ * and screenshot of every source that has one. Runs for a city get the
+ * city id appended to the folder name.
+ * @param {Object} report - Problems and per-source results, and the city
+ * @param {Map<string, {url: string, html: string, screenshot: Buffer|null}>} snapshots
+ * @returns {Promise<string>} Path of the folder written
+ */
+async function saveDiagnostics(report, snapshots) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.resolve(config.canary.diagnosticsDir, report.city ? `${timestamp}-${report.city}` : timestamp);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  await fs.promises.writeFile(path.join(dir, 'report.json'), JSON.stringify(report, null, 2));
+
+  for (const [source, snapshot] of snapshots) {
+    await fs.promises.writeFile(path.join(dir, `${source}.html`), snapshot.html);
+    if (snapshot.screenshot) {
+      await fs.promises.writeFile(path.join(dir, `${source}.png`), snapshot.screenshot);
+    }
+  }
+
+  logger.warn('Saved diagnostics', { path: dir });
+  return dir;
+}
+
+module.exports = {
+  EXIT_CODES,
+  countSelectorMatches,
+  checkRunHealth,
+  saveDiagnostics,
+};
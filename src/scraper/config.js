@@ -7,11 +7,36 @@
 
 require('dotenv').config();
 
+const path = require('path');
+const { CITIES, DEFAULT_CITY, getCity } = require('../shared/cities');
+
 const config = {
-  // Target site
-  baseUrl: process.env.SCRAPER_BASE_URL || 'https://www.ohmyrockness.com',
+  // Cities to scrape when none are named on the command line.
+  // Comma-separated city ids, or empty for every city with sources.
+  // Cities and their source settings are in src/shared/cities.js.
+  cityIds: (process.env.SCRAPER_CITIES || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean),
+
+  // OhMyRockness all-shows page, relative to the city's baseUrl
   showsPath: '/shows',
 
+  // Source adapters to run when none are named on the command line.
+  // Comma-separated adapter names, or empty for all registered adapters.
+  sources: (process.env.SCRAPER_SOURCES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+
+  // How browser-based sources fetch pages:
+  //   'static'  - plain HTTP fetch parsed with cheerio; falls back to the
+  //               browser when selectors.showRow matches nothing
+  //   'browser' - always render with Puppeteer
+  fetchMode: process.env.SCRAPER_FETCH_MODE || 'static',
+
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+
   // Puppeteer settings
   puppeteer: {
     headless: true,
@@ -24,6 +49,36 @@ const config = {
     timeout: 30000,
   },
 
+  // Plain HTTP fetch settings (adapters that don't need a browser)
+  http: {
+    timeout: 20000,
+  },
+
+  // Retries for page loads and HTTP fetches that fail with a network error,
+  // timeout, 429 or 5xx. Waits baseDelayMs, then doubles, up to maxDelayMs.
+  retry: {
+    retries: process.env.SCRAPER_RETRIES !== undefined
+      ? parseInt(process.env.SCRAPER_RETRIES, 10)
+      : 2,
+    baseDelayMs: parseInt(process.env.SCRAPER_RETRY_DELAY_MS, 10) || 2000,
+    maxDelayMs: 30000,
+  },
+
+  // Minimum gap between requests to the same host, so multi-page
+  // adapters don't hammer a venue's site
+  throttle: {
+    hostIntervalMs: process.env.SCRAPER_HOST_DELAY_MS !== undefined
+      ? parseInt(process.env.SCRAPER_HOST_DELAY_MS, 10)
+      : 1000,
+  },
+
+  // Raw fetched pages, saved as <directory>/<YYYY-MM-DD>/<page>.html.
+  // --from-cache parses these instead of fetching, e.g. after a selector fix.
+  cache: {
+    enabled: process.env.SCRAPER_CACHE !== 'false',
+    directory: process.env.SCRAPER_CACHE_DIR || 'cache/pages',
+  },
+
   // CSS Selectors - UPDATE THESE when the site changes
   selectors: {
     showRow: '.row.vevent',
@@ -32,21 +87,140 @@ const config = {
     venue: '.fn.org',
   },
 
+  // Optional per-row details. Unlike `selectors`, these are allowed to
+  // match nothing (not every show lists a price), so the health canary
+  // doesn't check them.
+  detailSelectors: {
+    ticketLink: 'a.tickets, .tickets a',
+    // Text scanned for price range, age restriction, sold-out and cancelled/postponed
+    info: '.tickets, .price, .ages, .notes',
+  },
+
+  // Schema.org JSON-LD adapter (venue URLs are per city, in src/shared/cities.js)
+  jsonld: {
+    selectors: {
+      script: 'script[type="application/ld+json"]',
+    },
+  },
+
+  // Recorded HTML pages for offline replay (--record / --replay)
+  fixtures: {
+    directory: process.env.SCRAPER_FIXTURES_DIR || 'tests/fixtures/pages',
+  },
+
+  // Selector health canary: refuse to save when a run looks broken
+  canary: {
+    // Largest allowed drop in raw/valid counts vs the last healthy run (0.5 = 50%)
+    maxDropRatio: process.env.SCRAPER_MAX_DROP_RATIO !== undefined
+      ? parseFloat(process.env.SCRAPER_MAX_DROP_RATIO)
+      : 0.5,
+    diagnosticsDir: process.env.SCRAPER_DIAGNOSTICS_DIR || 'diagnostics',
+  },
+
+  // Cross-source merging: when sources disagree about a show, values come
+  // from the first source listed here (see merge.js). Venue sites know
+  // their own times and ticket links best.
+  merge: {
+    sourcePriority: (process.env.SCRAPER_SOURCE_PRIORITY || 'jsonld,ohmyrockness')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+  },
+
+  // Listed artist names are rewritten to their canonical (Spotify) name from
+  // this table, which the web app's matcher also reads (see shared/artistAliases.js)
+  artistAliases: {
+    path: process.env.ARTIST_ALIASES_PATH || 'data/artist-aliases.json',
+  },
+
+  // Venue registry the web app reads locations from (see shared/venues.js).
+  // Each run warns about listed venues missing from it.
+  venues: {
+    registryPath: process.env.VENUES_REGISTRY_PATH || 'data/venues.json',
+  },
+
+  // Cancelled, postponed and unlisted shows stay in shows.json this long
+  status: {
+    graceDays: process.env.SCRAPER_STATUS_GRACE_DAYS !== undefined
+      ? parseFloat(process.env.SCRAPER_STATUS_GRACE_DAYS)
+      : 7,
+  },
+
   // Output settings
   output: {
     directory: process.env.SCRAPER_OUTPUT_DIR || 'data',
     latestFilename: 'shows.json',
+    changesFilename: 'changes.json',
+    manifestFilename: 'manifest.json',
     keepHistory: process.env.SCRAPER_KEEP_HISTORY === 'true',
   },
 
 };
 
 /**
- * Builds the URL for all shows.
+ * Gets a source's settings for a city (see src/shared/cities.js).
+ * @param {string} cityId
+ * @param {string} source - Adapter name
+ * @returns {Object|null} null if the city doesn't use the source
+ */
+function getSourceSettings(cityId, source) {
+  return getCity(cityId)?.sources?.[source] || null;
+}
+
+/**
+ * Lists the ids of cities with at least one source to scrape.
+ * @returns {string[]}
+ */
+function listScrapedCities() {
+  return CITIES
+    .filter(city => Object.keys(city.sources || {}).length > 0)
+    .map(city => city.id);
+}
+
+/**
+ * Resolves city ids to scrape. An empty list or "all" selects every
+ * city with source settings.
+ * @param {string[]} [ids]
+ * @returns {string[]}
+ * @throws {Error} If a city isn't in src/shared/cities.js or has no sources
+ */
+function resolveCities(ids = []) {
+  const available = listScrapedCities();
+  const selected = ids.length === 0 || ids.includes('all') ? available : ids;
+
+  for (const id of selected) {
+    if (!available.includes(id)) {
+      throw new Error(`Unknown city "${id}". Available: ${available.join(', ')}`);
+    }
+  }
+  return selected;
+}
+
+/**
+ * Gets the directory a city's shows, changelog and manifest are saved in:
+ * the output directory for the default city, a subdirectory for others.
+ * @param {string} [cityId=DEFAULT_CITY]
+ * @returns {string} Absolute path
+ */
+function getOutputDir(cityId = DEFAULT_CITY) {
+  const directory = path.resolve(config.output.directory);
+  return cityId === DEFAULT_CITY ? directory : path.join(directory, cityId);
+}
+
+/**
+ * Builds the URL for all shows in a city.
+ * @param {string} [cityId=DEFAULT_CITY]
  * @returns {string} Full URL with all=true query param
  */
-function buildShowsUrl() {
-  return `${config.baseUrl}${config.showsPath}?all=true`;
+function buildShowsUrl(cityId = DEFAULT_CITY) {
+  return `${getSourceSettings(cityId, 'ohmyrockness').baseUrl}${config.showsPath}?all=true`;
 }
 
-module.exports = { config, buildShowsUrl };
+module.exports = {
+  config,
+  getSourceSettings,
+  listScrapedCities,
+  resolveCities,
+  getOutputDir,
+  buildShowsUrl,
+};
@@ -0,0 +1,220 @@
+/**
+ * Scrape diff report.
+ *
+ * Compares a new scrape against the previously saved shows and reports
+ * newly announced shows, shows that are no longer in the data, shows whose
+ * date, time or venue moved and shows whose status changed (cancelled,
+ * postponed, unlisted; see tracking.js).
+ */
+
+const { normalizeArtistName } = require('../shared/normalize');
+const { getShowStatus } = require('../shared/status');
+const { getCityTimeZone, parseStartsAt, startsAtFromDisplay, toStartsAt } = require('../shared/datetime');
+
+// Fields that, when changed for the same lineup, count as a reschedule
+const SCHEDULE_FIELDS = ['date', 'time', 'venue'];
+
+/**
+ * Builds a key identifying a show's lineup, independent of order and
+ * spelling differences normalizeArtistName tolerates.
+ * @param {Object} show
+ * @returns {string}
+ */
+function lineupKey(show) {
+  return show.artists.map(normalizeArtistName).sort().join('|');
+}
+
+/**
+ * Builds a key identifying a show exactly (lineup plus schedule).
+ * @param {Object} show
+ * @returns {string}
+ */
+function showKey(show) {
+  const schedule = SCHEDULE_FIELDS.map(field => String(show[field]).trim().toLowerCase());
+  return [lineupKey(show), ...schedule].join('#');
+}
+
+/**
+ * Groups shows by a key function, preserving order.
+ * @param {Array} shows
+ * @param {Function} keyFn
+ * @returns {Map<string, Array>}
+ */
+function groupBy(shows, keyFn) {
+  const groups = new Map();
+  for (const show of shows) {
+    const key = keyFn(show);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(show);
+  }
+  return groups;
+}
+
+/**
+ * Checks whether a show's date is before the venue-local date at `now`
+ * (in the show's city's timezone, not the machine's).
+ * Shows with unparseable dates are never considered past.
+ * @param {Object} show
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isPast(show, now) {
+  const timeZone = getCityTimeZone(show.city);
+  const startsAt = show.startsAt || startsAtFromDisplay(show.date, show.time, timeZone);
+  if (!parseStartsAt(startsAt)) return false;
+
+  // Both are venue-local YYYY-MM-DD, so they compare as strings
+  return startsAt.slice(0, 10) < toStartsAt(now, timeZone).slice(0, 10);
+}
+
+/**
+ * Compares two show lists.
+ *
+ * Shows that are identical in both are unchanged, or status changes if
+ * their status differs. Remaining shows with the same lineup are paired up
+ * as reschedules. Whatever is left is added or removed; removed shows dated
+ * before today just happened and are counted as expired rather than listed.
+ *
+ * @param {Array} previousShows - Shows from the last saved file
+ * @param {Array} nextShows - Shows about to be saved
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Reference time for expiry
+ * @returns {{
+ *   added: Array,
+ *   removed: Array,
+ *   rescheduled: Array<{before: Object, after: Object, changes: string[]}>,
+ *   statusChanged: Array<{before: Object, after: Object}>,
+ *   unchanged: number,
+ *   expired: number
+ * }}
+ */
+function diffShows(previousShows, nextShows, { now = new Date() } = {}) {
+  // Pair identical shows first
+  const previousByKey = groupBy(previousShows, showKey);
+  const unmatchedNext = [];
+  const statusChanged = [];
+  let unchanged = 0;
+
+  for (const show of nextShows) {
+    const candidates = previousByKey.get(showKey(show));
+    if (candidates && candidates.length > 0) {
+      const before = candidates.shift();
+      if (getShowStatus(before) !== getShowStatus(show)) {
+        statusChanged.push({ before, after: show });
+      } else {
+        unchanged++;
+      }
+    } else {
+      unmatchedNext.push(show);
+    }
+  }
+
+  const unmatchedPrevious = [...previousByKey.values()].flat();
+
+  // Pair what's left by lineup to find moved shows
+  const previousByLineup = groupBy(unmatchedPrevious, lineupKey);
+  const rescheduled = [];
+  const added = [];
+
+  for (const show of unmatchedNext) {
+    const candidates = previousByLineup.get(lineupKey(show));
+    if (candidates && candidates.length > 0) {
+      const before = candidates.shift();
+      const changes = SCHEDULE_FIELDS.filter(field => before[field] !== show[field]);
+      rescheduled.push({ before, after: show, changes });
+    } else {
+      added.push(show);
+    }
+  }
+
+  const gone = [...previousByLineup.values()].flat();
+  const removed = gone.filter(show => !isPast(show, now));
+
+  return {
+    added,
+    removed,
+    rescheduled,
+    statusChanged,
+    unchanged,
+    expired: gone.length - removed.length,
+  };
+}
+
+/**
+ * Formats a show as a single line.
+ * @param {Object} show
+ * @returns {string}
+ */
+function formatShow(show) {
+  return `${show.date} ${show.time}  ${show.artists.join(', ')} @ ${show.venue}`;
+}
+
+/**
+ * Formats a diff as a human-readable summary.
+ * @param {ReturnType<typeof diffShows>} diff
+ * @returns {string}
+ */
+function formatChangeSummary(diff) {
+  const lines = [
+    `Show changes: ${diff.added.length} added, ${diff.removed.length} removed, ` +
+    `${diff.rescheduled.length} rescheduled, ${diff.statusChanged.length} status changed ` +
+    `(${diff.unchanged} unchanged, ${diff.expired} expired)`,
+  ];
+
+  if (diff.added.length > 0) {
+    lines.push('', 'Added:');
+    lines.push(...diff.added.map(show => `  + ${formatShow(show)}`));
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push('', 'Removed:');
+    lines.push(...diff.removed.map(show => `  - ${formatShow(show)}`));
+  }
+
+  if (diff.rescheduled.length > 0) {
+    lines.push('', 'Rescheduled:');
+    for (const { before, after, changes } of diff.rescheduled) {
+      const moves = changes.map(field => `${field} ${before[field]} → ${after[field]}`);
+      lines.push(`  ~ ${after.artists.join(', ')}: ${moves.join(', ')}`);
+    }
+  }
+
+  if (diff.statusChanged.length > 0) {
+    lines.push('', 'Status changed:');
+    for (const { before, after } of diff.statusChanged) {
+      lines.push(`  ! ${formatShow(after)}: ${getShowStatus(before)} → ${getShowStatus(after)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Builds the structured changelog written to changes.json.
+ * @param {ReturnType<typeof diffShows>} diff
+ * @param {Date} [generatedAt=new Date()]
+ * @returns {Object}
+ */
+function buildChangelog(diff, generatedAt = new Date()) {
+  return {
+    generatedAt: generatedAt.toISOString(),
+    counts: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      rescheduled: diff.rescheduled.length,
+      statusChanged: diff.statusChanged.length,
+      unchanged: diff.unchanged,
+      expired: diff.expired,
+    },
+    added: diff.added,
+    removed: diff.removed,
+    rescheduled: diff.rescheduled,
+    statusChanged: diff.statusChanged,
+  };
+}
+
+module.exports = {
+  diffShows,
+  formatChangeSummary,
+  buildChangelog,
+};
@@ -0,0 +1,186 @@
+/**
+ * Show exports.
+ *
+ * Converts shows to CSV (one row per show, for spreadsheets) and iCalendar
+ * (one VEVENT per show, for calendar apps) for the `export` CLI command.
+ * Shows without an announced time become all-day events.
+ */
+
+const { parseStartsAt } = require('../shared/datetime');
+const { getShowStatus } = require('../shared/status');
+
+const EXPORT_FORMATS = ['csv', 'ics'];
+
+const CSV_COLUMNS = [
+  ['id', show => show.id],
+  ['startsAt', show => show.startsAt],
+  ['date', show => show.date],
+  ['time', show => show.time],
+  ['artists', show => show.artists.join('; ')],
+  ['venue', show => show.venue],
+  ['city', show => show.city],
+  ['status', show => getShowStatus(show)],
+  ['soldOut', show => show.soldOut],
+  ['priceMin', show => show.price?.min],
+  ['priceMax', show => show.price?.max],
+  ['ageRestriction', show => show.ageRestriction],
+  ['ticketUrl', show => show.ticketUrl],
+  ['url', show => show.url],
+  ['source', show => show.source],
+];
+
+// iCalendar STATUS for each show status
+const ICS_STATUS = {
+  scheduled: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  postponed: 'TENTATIVE',
+  unlisted: 'TENTATIVE',
+};
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or newline.
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts shows to CSV with a header row.
+ * @param {Array} shows
+ * @returns {string}
+ */
+function toCsv(shows) {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...shows.map(show => CSV_COLUMNS.map(([, get]) => get(show))),
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes an iCalendar TEXT value.
+ * @param {string} value
+ * @returns {string}
+ */
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/[;,]/g, match => `\\${match}`)
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets, continuing with a leading space.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // Continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats an instant as an iCalendar UTC date-time: 20260307T010000Z.
+ * @param {Date} date
+ * @returns {string}
+ */
+function icsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds the DTSTART property for a show: a UTC date-time, or an all-day
+ * date when the time isn't announced.
+ * @param {Object} show
+ * @returns {string}
+ */
+function icsStart(show) {
+  const parts = parseStartsAt(show.startsAt);
+  if (parts.hours === null) {
+    return `DTSTART;VALUE=DATE:${show.startsAt.replace(/-/g, '')}`;
+  }
+  return `DTSTART:${icsDateTime(new Date(show.startsAt))}`;
+}
+
+/**
+ * Converts shows to an iCalendar feed.
+ * @param {Array} shows - Valid shows
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - DTSTAMP for every event
+ * @returns {string}
+ */
+function toIcs(shows, { now = new Date() } = {}) {
+  const stamp = icsDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Concert Notify//Shows//EN',
+    'CALSCALE:GREGORIAN',
+  ];
+
+  for (const show of shows) {
+    const description = [
+      show.artists.join(', '),
+      show.ticketUrl && `Tickets: ${show.ticketUrl}`,
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${show.id}@concert-notify`,
+      `DTSTAMP:${stamp}`,
+      icsStart(show),
+      `SUMMARY:${icsText(`${show.artists.join(', ')} @ ${show.venue}`)}`,
+      `LOCATION:${icsText(show.venue)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `STATUS:${ICS_STATUS[getShowStatus(show)]}`
+    );
+    if (show.url || show.ticketUrl) {
+      lines.push(`URL:${show.url || show.ticketUrl}`);
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Exports shows in the given format.
+ * @param {Array} shows
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string}
+ */
+function exportShows(shows, format) {
+  switch (format) {
+    case 'csv':
+      return toCsv(shows);
+    case 'ics':
+      return toIcs(shows);
+    default:
+      throw new Error(`Unknown export format "${format}". Available: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsv,
+  toIcs,
+  exportShows,
+};
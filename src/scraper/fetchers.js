@@ -0,0 +1,417 @@
+/**
+ * Fetch strategies shared by source adapters.
+ *
+ * Adapters declare which strategy they need ('browser' or 'http').
+ * The scraper owns a single fetch context per run so that at most
+ * one headless browser is launched, and only if an adapter asks for it.
+ *
+ * The context can also record fetched pages as HTML fixtures, or replay
+ * those fixtures instead of touching the network. Adapters hand it a
+ * snapshot of the page they extracted from, which the health canary
+ * inspects and saves for diagnosis when something looks wrong.
+ *
+ * Network requests go through request(): requests to the same host are
+ * spaced out (config.throttle) and transient failures are retried with
+ * exponential backoff (config.retry). Fetched pages are also kept in a
+ * raw page cache by URL and date (config.cache), which --from-cache
+ * parses instead of fetching again.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const { config } = require('./config');
+const { logger } = require('../shared/logger');
+const { toStartsAt } = require('../shared/datetime');
+const { DEFAULT_CITY } = require('../shared/cities');
+
+const FETCH_MODES = ['static', 'browser'];
+
+const CACHE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Derives a fixture filename from a URL.
+ * "https://www.ohmyrockness.com/shows?all=true" → "www.ohmyrockness.com_shows_all_true.html"
+ * @param {string} url
+ * @returns {string}
+ */
+function fixtureName(url) {
+  const { host, pathname, search } = new URL(url);
+  const slug = `${host}${pathname}${search}`
+    .replace(/[^a-z0-9.-]+/gi, '_')
+    .replace(/_+$/, '');
+  return `${slug}.html`;
+}
+
+/**
+ * Gets the page cache date for an instant: the venue-local calendar date,
+ * so one nightly run's pages share a directory.
+ * @param {Date} [instant=new Date()]
+ * @returns {string} YYYY-MM-DD
+ */
+function cacheDateFor(instant = new Date()) {
+  return toStartsAt(instant).slice(0, 10);
+}
+
+/**
+ * Checks whether a failed request is worth retrying. Network errors and
+ * timeouts (no response), 429 and 5xx responses are; other 4xx responses
+ * won't change on a retry.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error?.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Gets the wait before a retry: baseDelayMs doubled for each retry, or the
+ * server's Retry-After if that is longer, capped at maxDelayMs.
+ * @param {number} retry - 1 for the first retry
+ * @param {Object} options
+ * @param {number} options.baseDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {Error} [error] - The failure being retried
+ * @returns {number} Milliseconds
+ */
+function retryDelay(retry, { baseDelayMs, maxDelayMs }, error) {
+  const backoff = baseDelayMs * 2 ** (retry - 1);
+  const retryAfterMs = Number(error?.response?.headers?.['retry-after']) * 1000;
+  return Math.min(Math.max(backoff, retryAfterMs || 0), maxDelayMs);
+}
+
+/**
+ * Calls fn until it succeeds, retrying retryable failures with backoff.
+ * @template T
+ * @param {function(number): Promise<T>} fn - Called with the attempt number (0-based)
+ * @param {Object} [options]
+ * @param {number} [options.retries=config.retry.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=config.retry.baseDelayMs]
+ * @param {number} [options.maxDelayMs=config.retry.maxDelayMs]
+ * @param {function(number): Promise<void>} [options.sleep] - Waits the given ms
+ * @param {function(Error, number, number): void} [options.onRetry] - Called with
+ *   the error, retry number and delay before each retry
+ * @returns {Promise<T>}
+ * @throws The last error once retries run out, or the first non-retryable one
+ */
+async function withRetry(fn, {
+  retries = config.retry.retries,
+  baseDelayMs = config.retry.baseDelayMs,
+  maxDelayMs = config.retry.maxDelayMs,
+  sleep = delay,
+  onRetry = () => {},
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delayMs = retryDelay(attempt + 1, { baseDelayMs, maxDelayMs }, error);
+      onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Creates a per-host request spacer. The returned function waits until at
+ * least intervalMs has passed since the last request to the URL's host.
+ * @param {Object} options
+ * @param {number} options.intervalMs
+ * @param {function(number): Promise<void>} [options.sleep]
+ * @param {function(): number} [options.now=Date.now]
+ * @returns {function(string): Promise<void>}
+ */
+function createHostThrottle({ intervalMs, sleep = delay, now = Date.now }) {
+  const lastRequestAt = new Map();
+
+  return async function waitForHost(url) {
+    const { host } = new URL(url);
+    const last = lastRequestAt.get(host);
+    const waitMs = last === undefined ? 0 : last + intervalMs - now();
+
+    if (waitMs > 0) {
+      logger.debug('Throttling request', { host, waitMs });
+      await sleep(waitMs);
+    }
+    lastRequestAt.set(host, now());
+  };
+}
+
+/**
+ * Creates a fetch context for one scraper run.
+ * Call close() when the run finishes to release the browser.
+ * @param {Object} [options]
+ * @param {boolean} [options.record=false] - Save every fetched page as a fixture
+ * @param {boolean} [options.replay=false] - Serve pages from fixtures instead of the network
+ * @param {string} [options.fixturesDir] - Fixture directory (default: config.fixtures.directory)
+ * @param {'static'|'browser'} [options.fetchMode] - Fetch mode (default: config.fetchMode)
+ * @param {string} [options.city=DEFAULT_CITY] - City whose listings adapters fetch
+ * @param {boolean} [options.fromCache=false] - Serve pages from the page cache when present
+ * @param {string|null} [options.cacheDir] - Page cache directory, or null to disable
+ *   (default: config.cache.directory when config.cache.enabled)
+ * @param {string} [options.cacheDate] - YYYY-MM-DD cache to read and write (default: today)
+ * @param {function(number): Promise<void>} [options.sleep] - Waits the given ms (for tests)
+ * @returns {Object} Fetch context
+ * @throws {Error} If fetchMode is not a known mode or cacheDate isn't YYYY-MM-DD
+ */
+function createFetchContext({
+  record = false,
+  replay = false,
+  fixturesDir = config.fixtures.directory,
+  fetchMode = config.fetchMode,
+  city = DEFAULT_CITY,
+  fromCache = false,
+  cacheDir = config.cache.enabled ? config.cache.directory : null,
+  cacheDate = cacheDateFor(),
+  sleep = delay,
+} = {}) {
+  if (!FETCH_MODES.includes(fetchMode)) {
+    throw new Error(`Unknown fetch mode "${fetchMode}". Use one of: ${FETCH_MODES.join(', ')}`);
+  }
+  if (!CACHE_DATE_PATTERN.test(cacheDate)) {
+    throw new Error(`Invalid cache date "${cacheDate}". Use YYYY-MM-DD`);
+  }
+
+  let browser = null;
+  const fixturesPath = path.resolve(fixturesDir);
+  const cachePath = cacheDir && path.resolve(cacheDir, cacheDate);
+  const waitForHost = createHostThrottle({ intervalMs: config.throttle.hostIntervalMs, sleep });
+
+  return {
+    recording: record,
+    replaying: replay,
+    fetchMode,
+    city,
+
+    /** @type {Map<string, {url: string, html: string, screenshot: Buffer|null}>} */
+    snapshots: new Map(),
+
+    /** Request counts for the run, for logging */
+    stats: { requests: 0, retries: 0, cacheHits: 0 },
+
+    /**
+     * Runs a network request for a URL, spacing requests to the same host
+     * and retrying transient failures with backoff.
+     * @template T
+     * @param {string} url
+     * @param {function(): Promise<T>} fn - Performs the request
+     * @returns {Promise<T>}
+     */
+    async request(url, fn) {
+      return withRetry(async () => {
+        await waitForHost(url);
+        this.stats.requests++;
+        return fn();
+      }, {
+        sleep,
+        onRetry: (error, retry, delayMs) => {
+          this.stats.retries++;
+          logger.warn('Retrying request', {
+            url,
+            retry,
+            of: config.retry.retries,
+            delayMs,
+            error: error.message,
+          });
+        },
+      });
+    },
+
+    /**
+     * Loads a URL in a Puppeteer page, with throttling and retries.
+     * page.goto resolves with error pages too, so a non-2xx response is
+     * thrown like axios would, for isRetryable to judge and so the error
+     * page is never parsed or cached.
+     * @param {import('puppeteer').Page} page
+     * @param {string} url
+     * @param {Object} [options] - page.goto options
+     * @returns {Promise<import('puppeteer').HTTPResponse|null>}
+     * @throws {Error} With `response.status` for a non-2xx response
+     */
+    async gotoPage(page, url, options) {
+      return this.request(url, async () => {
+        const response = await page.goto(url, options);
+        if (response && !response.ok()) {
+          throw Object.assign(new Error(`Page failed with status code ${response.status()}`), {
+            response: { status: response.status(), headers: response.headers() },
+          });
+        }
+        return response;
+      });
+    },
+
+    /**
+     * Opens a new Puppeteer page, launching the browser on first use.
+     * @returns {Promise<import('puppeteer').Page>}
+     */
+    async newPage() {
+      if (replay) {
+        throw new Error('Browser is not available in replay mode');
+      }
+
+      if (!browser) {
+        // Required lazily so http-only and replay runs never load Chrome
+        const puppeteer = require('puppeteer');
+        logger.debug('Launching browser');
+        browser = await puppeteer.launch({
+          headless: config.puppeteer.headless,
+          args: config.puppeteer.args,
+        });
+      }
+
+      const page = await browser.newPage();
+      await page.setUserAgent(config.userAgent);
+      return page;
+    },
+
+    /**
+     * Fetches a URL and returns the response body as a string.
+     * Replays or records fixtures when the context is in that mode.
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    async fetchHtml(url) {
+      if (replay) {
+        return this.readFixture(url);
+      }
+
+      const cached = await this.readCachedPage(url);
+      if (cached !== null) {
+        return cached;
+      }
+
+      const response = await this.request(url, () => axios.get(url, {
+        timeout: config.http.timeout,
+        headers: { 'User-Agent': config.userAgent },
+        responseType: 'text',
+      }));
+
+      await this.savePage(url, response.data);
+      return response.data;
+    },
+
+    /**
+     * Reads a page from the page cache. Only used with fromCache.
+     * @param {string} url
+     * @returns {Promise<string|null>} The cached HTML, or null if not cached
+     */
+    async readCachedPage(url) {
+      if (!fromCache || !cachePath) return null;
+
+      const filePath = path.join(cachePath, fixtureName(url));
+      try {
+        const html = await fs.promises.readFile(filePath, 'utf-8');
+        this.stats.cacheHits++;
+        logger.debug('Using cached page', { url, path: filePath });
+        return html;
+      } catch {
+        logger.debug('Page not cached, fetching', { url, cacheDate });
+        return null;
+      }
+    },
+
+    /**
+     * Keeps a fetched page: in the page cache, and as a fixture when recording.
+     * @param {string} url
+     * @param {string} html
+     */
+    async savePage(url, html) {
+      await this.saveFixture(url, html);
+      if (!cachePath) return;
+
+      try {
+        await fs.promises.mkdir(cachePath, { recursive: true });
+        await fs.promises.writeFile(path.join(cachePath, fixtureName(url)), html);
+      } catch (error) {
+        // The cache is a convenience; never fail a run over it
+        logger.warn('Could not cache page', { url, error: error.message });
+      }
+    },
+
+    /**
+     * Reads the saved fixture for a URL.
+     * @param {string} url
+     * @returns {Promise<string>}
+     * @throws {Error} If no fixture has been recorded for the URL
+     */
+    async readFixture(url) {
+      const filePath = path.join(fixturesPath, fixtureName(url));
+
+      try {
+        const html = await fs.promises.readFile(filePath, 'utf-8');
+        logger.debug('Replaying fixture', { url, path: filePath });
+        return html;
+      } catch {
+        throw new Error(`No fixture recorded for ${url} (expected ${filePath})`);
+      }
+    },
+
+    /**
+     * Saves page HTML as the fixture for a URL. No-op unless recording.
+     * @param {string} url
+     * @param {string} html
+     */
+    async saveFixture(url, html) {
+      if (!record) return;
+
+      const filePath = path.join(fixturesPath, fixtureName(url));
+      await fs.promises.mkdir(fixturesPath, { recursive: true });
+      await fs.promises.writeFile(filePath, html);
+      logger.info('Recorded fixture', { url, path: filePath });
+    },
+
+    /**
+     * Keeps a snapshot of the page a source extracted from (last one wins).
+     * Pass a Puppeteer page to capture its rendered DOM and a screenshot,
+     * or the html string for pages fetched without a browser.
+     * @param {string} source - Adapter name
+     * @param {Object} snapshot
+     * @param {string} snapshot.url
+     * @param {import('puppeteer').Page} [snapshot.page]
+     * @param {string} [snapshot.html]
+     * @returns {Promise<{url: string, html: string, screenshot: Buffer|null}>}
+     */
+    async captureSnapshot(source, { url, page, html }) {
+      let screenshot = null;
+
+      if (page) {
+        html = await page.content();
+        try {
+          screenshot = await page.screenshot({ type: 'png' });
+        } catch (error) {
+          logger.debug('Screenshot failed', { source, error: error.message });
+        }
+      }
+
+      const snapshot = { url, html: html || '', screenshot };
+      this.snapshots.set(source, snapshot);
+      return snapshot;
+    },
+
+    async close() {
+      if (browser) {
+        await browser.close();
+        browser = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFetchContext,
+  fixtureName,
+  cacheDateFor,
+  FETCH_MODES,
+  // Exported for testing
+  isRetryable,
+  retryDelay,
+  withRetry,
+  createHostThrottle,
+};
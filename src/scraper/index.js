@@ -1,125 +1,245 @@
 /**
- * OhMyRockness Scraper
+ * Show Scraper
  *
- * Scrapes upcoming concert listings and outputs clean JSON.
+ * Runs one or more source adapters (see src/scraper/sources/) for each
+ * city and outputs clean JSON: data/shows.json for the default city,
+ * data/<city>/shows.json for others.
  *
  * Usage:
- *   node src/scraper/index.js           # Run scraper, output to data/shows.json
- *   node src/scraper/index.js --dry-run # Scrape but don't save
+ *   node src/scraper/index.js                        # Run all sources for all cities
+ *   node src/scraper/index.js --city=nyc             # Run only the named city (or cities), comma-separated
+ *   node src/scraper/index.js --list-cities          # Print configured cities
+ *   node src/scraper/index.js --dry-run              # Scrape but don't save
+ *   node src/scraper/index.js --source=ohmyrockness  # Run only the named source(s), comma-separated
+ *   node src/scraper/index.js --list-sources         # Print available sources
+ *   node src/scraper/index.js --record               # Also save fetched pages as HTML fixtures
+ *   node src/scraper/index.js --replay               # Parse saved fixtures offline (never saves)
+ *   node src/scraper/index.js --fetch-mode=browser   # Skip the static HTML attempt (static|browser)
+ *   node src/scraper/index.js --from-cache           # Parse today's cached pages, fetching only missing ones
+ *   node src/scraper/index.js --from-cache=2026-03-01 # ...or the pages cached on that date
+ *   node src/scraper/index.js --force                # Save even if the health canary fails
+ *
+ * Subcommands, for saved shows files (default: the --city's latest shows.json):
+ *   node src/scraper/index.js validate [file]           # Print every invalid show with its index
+ *   node src/scraper/index.js diff <before> [after]     # Compare two shows files (--json for the changelog)
+ *   node src/scraper/index.js stats [file]              # Shows per venue and day, unknown-time counts (--json)
+ *   node src/scraper/index.js export [file] --format=ics --out=shows.ics  # CSV (default) or iCalendar
+ *
+ * Exit codes (the worst across cities):
+ *   0 - Success
+ *   1 - Scraper failed (every source failed, or an unexpected error), a
+ *       subcommand failed, or validate found invalid shows
+ *   2 - Health canary failed; existing data was kept and diagnostics saved
  *
  * Environment variables:
- *   SCRAPER_OUTPUT_DIR  - Output directory (default: data)
- *   LOG_LEVEL           - debug|info|warn|error (default: info)
+ *   SCRAPER_OUTPUT_DIR        - Output directory (default: data)
+ *   SCRAPER_CITIES            - Default cities when --city is not given (default: all)
+ *   SCRAPER_SOURCES           - Default sources when --source is not given (default: all)
+ *   SCRAPER_FIXTURES_DIR      - Fixture directory for --record/--replay (default: tests/fixtures/pages)
+ *   SCRAPER_FETCH_MODE        - static|browser (default: static)
+ *   SCRAPER_RETRIES           - Retries for failed page loads/fetches (default: 2)
+ *   SCRAPER_RETRY_DELAY_MS    - First retry delay, doubled each retry (default: 2000)
+ *   SCRAPER_HOST_DELAY_MS     - Minimum gap between requests to one host (default: 1000)
+ *   SCRAPER_CACHE             - Set to false to stop caching fetched pages (default: true)
+ *   SCRAPER_CACHE_DIR         - Raw page cache directory (default: cache/pages)
+ *   SCRAPER_MAX_DROP_RATIO    - Largest allowed count drop vs the last run (default: 0.5)
+ *   SCRAPER_STATUS_GRACE_DAYS - Days to keep cancelled/postponed/unlisted shows (default: 7)
+ *   SCRAPER_SOURCE_PRIORITY   - Most trusted sources first, for merging (default: jsonld,ohmyrockness)
+ *   SCRAPER_DIAGNOSTICS_DIR   - Where failed-run snapshots go (default: diagnostics)
+ *   LOG_LEVEL                 - debug|info|warn|error (default: info)
  */
 
-const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
 
-const { config, buildShowsUrl } = require('./config');
-const { parseShows, getSelectors } = require('./parsers');
+const { config, getSourceSettings, resolveCities, getOutputDir } = require('./config');
+const { createFetchContext } = require('./fetchers');
+const { diffShows, formatChangeSummary, buildChangelog } = require('./diff');
+const { EXIT_CODES, checkRunHealth, saveDiagnostics } = require('./canary');
+const { buildManifest, loadManifest, saveManifest } = require('./manifest');
+const { trackShowStatus } = require('./tracking');
+const { mergeShows } = require('./merge');
+const { computeStats, formatStats } = require('./stats');
+const { exportShows } = require('./export');
+const { listAdapters, resolveAdapters, combineSourceShows } = require('./sources');
 const { logger } = require('../shared/logger');
 const { validateShows } = require('../shared/types');
+const { assignShowIds, ensureUniqueShowIds } = require('../shared/showId');
+const { backfillStartsAt } = require('../shared/datetime');
+const { backfillStatus } = require('../shared/status');
+const { DEFAULT_CITY, backfillCity } = require('../shared/cities');
+const { createArtistAliases, applyArtistAliases } = require('../shared/artistAliases');
+const { createVenueRegistry, findUnregisteredVenues } = require('../shared/venues');
 
 /**
- * Scrapes the all-shows page.
- * @param {puppeteer.Page} page - Puppeteer page instance
- * @returns {Promise<Array>} Raw show data from page
+ * Loads the artist alias table. A missing file means no aliases; an invalid
+ * one is logged and ignored so a bad edit doesn't stop the scrape.
+ * @param {string} [filePath=config.artistAliases.path]
+ * @returns {Promise<ReturnType<typeof createArtistAliases>>}
  */
-async function scrapePage(page) {
-  const url = buildShowsUrl();
-  logger.info('Scraping all shows', { url });
-
-  await page.goto(url, {
-    waitUntil: 'networkidle2',
-    timeout: config.puppeteer.timeout,
-  });
-
-  const selectors = getSelectors();
-
-  // Wait for JS-rendered content to appear
-  await page.waitForSelector(selectors.showRow, { timeout: 15000 });
-
-  // Extract shows using browser-side evaluation
-  const rawShows = await page.$$eval(
-    selectors.showRow,
-    (rows, artistSel, dateSel, venueSel) => {
-      return rows.map(row => {
-        // Extract artists
-        const artistElements = Array.from(row.querySelectorAll(artistSel)).filter(a =>
-          a.classList.contains('non-profiled') || a.className.trim() === ''
-        );
-        const artists = artistElements.map(a => a.textContent.trim()).filter(Boolean);
-
-        // Extract date/time
-        const dateTimeEl = row.querySelector(dateSel);
-        const datetimeAttr = dateTimeEl?.getAttribute('title') || '';
-
-        let date = 'Unknown';
-        let time = 'Unknown';
-
-        if (datetimeAttr) {
-          try {
-            const dt = new Date(datetimeAttr);
-            if (!isNaN(dt.getTime())) {
-              date = dt.toLocaleDateString('en-US');
-              time = dt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-            }
-          } catch {
-            // Keep defaults
-          }
-        }
-
-        // Extract venue
-        const venueEl = row.querySelector(venueSel);
-        const venue = venueEl?.textContent.trim() || 'Unknown Venue';
-
-        return { artists, date, time, venue };
-      });
-    },
-    selectors.artistLinks,
-    selectors.dateTime,
-    selectors.venue
-  );
+async function loadArtistAliases(filePath = config.artistAliases.path) {
+  try {
+    return createArtistAliases(JSON.parse(await fs.promises.readFile(path.resolve(filePath), 'utf-8')));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Ignoring artist aliases', { path: filePath, error: error.message });
+    }
+    return createArtistAliases({ version: 0, artists: [], blocked: [] });
+  }
+}
 
-  logger.info(`Found ${rawShows.length} shows`);
-  return rawShows;
+/**
+ * Loads the venue registry, or null if it's missing or invalid (the run
+ * then can't report unregistered venues, but still saves shows).
+ * @param {string} [filePath=config.venues.registryPath]
+ * @returns {Promise<ReturnType<typeof createVenueRegistry>|null>}
+ */
+async function loadVenueRegistry(filePath = config.venues.registryPath) {
+  try {
+    return createVenueRegistry(JSON.parse(await fs.promises.readFile(path.resolve(filePath), 'utf-8')));
+  } catch (error) {
+    logger.error('Ignoring venue registry', { path: filePath, error: error.message });
+    return null;
+  }
 }
 
 /**
- * Main scraper function. Loads all shows from a single page.
- * @returns {Promise<Array>} All scraped and validated shows
+ * Warns about venues this run listed that the venue registry doesn't
+ * know, so they can be added (shows there get no location in the app).
+ * @param {Object[]} shows
+ * @param {string} city
+ * @returns {Promise<Array<{name: string, showCount: number}>>} The unregistered venues
  */
-async function scrape() {
-  logger.info('Starting scraper', { baseUrl: config.baseUrl });
+async function reportUnregisteredVenues(shows, city) {
+  const registry = await loadVenueRegistry();
+  if (!registry) return [];
+
+  const unregistered = findUnregisteredVenues(shows, registry);
+  if (unregistered.length > 0) {
+    logger.warn('Venues missing from the registry', {
+      city,
+      count: unregistered.length,
+      shows: unregistered.reduce((total, venue) => total + venue.showCount, 0),
+      venues: unregistered.map(venue => `${venue.name} (${venue.showCount})`),
+    });
+  }
+  return unregistered;
+}
 
-  const browser = await puppeteer.launch({
-    headless: config.puppeteer.headless,
-    args: config.puppeteer.args,
-  });
+/**
+ * Runs a single adapter. Errors are captured in the result rather than
+ * thrown so that one broken source doesn't fail the whole run.
+ * @param {Object} adapter - Source adapter
+ * @param {Object} context - Fetch context
+ * @param {Object} aliases - Artist alias table listed names are rewritten
+ *   with, after ids are assigned so an alias edit never changes a show's id
+ * @returns {Promise<{name: string, raw: number, valid: number, shows: Array, error?: string}>}
+ */
+async function runAdapter(adapter, context, aliases) {
+  logger.info('Running source', { source: adapter.name, strategy: adapter.fetchStrategy });
+  const retriesBefore = context.stats.retries;
 
   try {
-    const page = await browser.newPage();
-    await page.setUserAgent(
-      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-    );
-
-    const rawShows = await scrapePage(page);
-    await page.close();
+    const rawShows = await adapter.fetch(context);
 
     // Parse and validate
-    const parsedShows = parseShows(rawShows);
+    const parsedShows = assignShowIds(
+      adapter.parse(rawShows, context.city)
+        .map(show => ({ ...show, city: context.city, source: adapter.name }))
+    ).map(show => applyArtistAliases(show, aliases));
     const validShows = validateShows(parsedShows);
 
-    logger.info('Scraping complete', {
+    logger.info('Source complete', {
+      source: adapter.name,
       raw: rawShows.length,
       valid: validShows.length,
+      retries: context.stats.retries - retriesBefore,
     });
 
-    return validShows;
+    return { name: adapter.name, raw: rawShows.length, valid: validShows.length, shows: validShows };
+  } catch (error) {
+    logger.error('Source failed', {
+      source: adapter.name,
+      error: error.message,
+      retries: context.stats.retries - retriesBefore,
+    });
+    return { name: adapter.name, raw: 0, valid: 0, shows: [], error: error.message };
+  }
+}
+
+/**
+ * Main scraper function. Runs each selected source adapter the city has
+ * settings for in turn.
+ * @param {Object} [options]
+ * @param {string} [options.city=DEFAULT_CITY] - City id
+ * @param {string[]} [options.sources] - Adapter names (default: config.sources, then all)
+ * @param {boolean} [options.record=false] - Save fetched pages as HTML fixtures
+ * @param {boolean} [options.replay=false] - Read pages from fixtures instead of fetching
+ * @param {string} [options.fetchMode] - static|browser (default: config.fetchMode)
+ * @param {boolean} [options.fromCache=false] - Parse cached pages instead of fetching them
+ * @param {string} [options.cacheDate] - YYYY-MM-DD page cache to use (default: today)
+ * @returns {Promise<{shows: Array, sources: Array, health: Object, snapshots: Map, previousManifest: Object|null, startedAt: Date}>}
+ *   Valid shows from successful sources, a per-source result summary, the
+ *   health canary verdict, the page snapshots it was based on and the
+ *   manifest of the last saved run
+ */
+async function scrape({
+  city = DEFAULT_CITY,
+  sources = config.sources,
+  record = false,
+  replay = false,
+  fetchMode = config.fetchMode,
+  fromCache = false,
+  cacheDate,
+} = {}) {
+  const startedAt = new Date();
+  const adapters = resolveAdapters(sources).filter(adapter => getSourceSettings(city, adapter.name));
+  const context = createFetchContext({ record, replay, fetchMode, city, fromCache, cacheDate });
+
+  logger.info('Starting scraper', {
+    city,
+    sources: adapters.map(adapter => adapter.name),
+    mode: replay ? 'replay' : fromCache ? 'cache' : record ? 'record' : 'live',
+    fetchMode,
+  });
+
+  const aliases = await loadArtistAliases();
+  const results = [];
+
+  try {
+    for (const adapter of adapters) {
+      results.push(await runAdapter(adapter, context, aliases));
+    }
   } finally {
-    await browser.close();
+    await context.close();
   }
+
+  const shows = results.flatMap(result => result.shows);
+
+  logger.info('Scraping complete', {
+    city,
+    valid: shows.length,
+    failed: results.filter(result => result.error).map(result => result.name),
+    ...context.stats,
+  });
+
+  const previousManifest = await loadManifest(getOutputDir(city));
+  const health = checkRunHealth(results, {
+    snapshots: context.snapshots,
+    selectors: Object.fromEntries(adapters.map(adapter => [adapter.name, adapter.selectors])),
+    previousStats: previousManifest?.sources,
+    // Fixture counts aren't comparable with live runs
+    compareCounts: !replay,
+  });
+
+  return {
+    shows,
+    sources: results,
+    health,
+    snapshots: context.snapshots,
+    previousManifest,
+    startedAt,
+  };
 }
 
 /**
@@ -127,16 +247,18 @@ async function scrape() {
  * @param {Array} shows - Shows to save
  * @param {Object} [options]
  * @param {boolean} [options.keepHistory] - Also save timestamped version
+ * @param {string} [options.outputDir=getOutputDir()] - The city's output directory
  */
-async function saveShows(shows, { keepHistory = false } = {}) {
-  const outputDir = path.resolve(config.output.directory);
-
+async function saveShows(shows, { keepHistory = false, outputDir = getOutputDir() } = {}) {
   // Ensure directory exists (async)
   await fs.promises.mkdir(outputDir, { recursive: true });
 
-  // Always save to latest file
+  // Always save to latest file. Written to a temporary file and renamed into
+  // place so the web app, which watches it, never reads a half-written file
   const latestPath = path.join(outputDir, config.output.latestFilename);
-  await fs.promises.writeFile(latestPath, JSON.stringify(shows, null, 2));
+  const tempPath = `${latestPath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(shows, null, 2));
+  await fs.promises.rename(tempPath, latestPath);
   logger.info(`Saved ${shows.length} shows to ${latestPath}`);
 
   // Optionally save timestamped version
@@ -149,52 +271,428 @@ async function saveShows(shows, { keepHistory = false } = {}) {
 }
 
 /**
- * Loads shows from the latest JSON file.
- * @returns {Promise<Array>} Shows array
+ * Saves the changelog for this run, replacing the previous one.
+ * @param {Object} changelog - From buildChangelog()
+ * @param {string} [outputDir=getOutputDir()] - The city's output directory
  */
-async function loadShows() {
-  const filePath = path.resolve(config.output.directory, config.output.latestFilename);
+async function saveChanges(changelog, outputDir = getOutputDir()) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const changesPath = path.join(outputDir, config.output.changesFilename);
+  await fs.promises.writeFile(changesPath, JSON.stringify(changelog, null, 2));
+  logger.info('Saved changelog', { path: changesPath, ...changelog.counts });
+}
+
+/**
+ * Reads a shows file as written, without backfilling.
+ * @param {string} filePath
+ * @returns {Promise<any>} Parsed JSON
+ * @throws {Error} If the file is missing or not valid JSON
+ */
+async function readShowsFile(filePath) {
+  const content = await fs.promises.readFile(filePath, 'utf-8');
 
   try {
-    await fs.promises.access(filePath, fs.constants.R_OK);
-  } catch {
-    logger.warn('No shows file found', { path: filePath });
-    return [];
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON: ${error.message}`);
   }
+}
 
-  const content = await fs.promises.readFile(filePath, 'utf-8');
-  return JSON.parse(content);
+/**
+ * Gets the path of a city's latest shows file.
+ * @param {string} [cityId=DEFAULT_CITY]
+ * @returns {string}
+ */
+function getShowsPath(cityId = DEFAULT_CITY) {
+  return path.join(getOutputDir(cityId), config.output.latestFilename);
 }
 
-// CLI entry point
-async function main() {
-  const args = process.argv.slice(2);
-  const dryRun = args.includes('--dry-run');
+/**
+ * Loads shows from the latest JSON file, or the given one.
+ * @param {string} [cityId=DEFAULT_CITY]
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Read this file instead; unlike the
+ *   latest file, it must exist
+ * @returns {Promise<Array>} Shows array
+ */
+async function loadShows(cityId = DEFAULT_CITY, { filePath } = {}) {
+  if (!filePath) {
+    filePath = getShowsPath(cityId);
+
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      logger.warn('No shows file found', { path: filePath });
+      return [];
+    }
+  }
+
+  const shows = await readShowsFile(filePath);
+  if (!Array.isArray(shows)) {
+    throw new Error(`${filePath} does not contain a shows array`);
+  }
+
+  return upgradeShows(shows, cityId);
+}
 
+/**
+ * Adds fields that files written by older scrapers lack: startsAt, status
+ * and city from date/time, the cancelled flag and the file's city, and ids.
+ * @param {Array} shows
+ * @param {string} cityId
+ * @returns {Array}
+ */
+function upgradeShows(shows, cityId) {
+  const upgraded = shows
+    .map(show => backfillStartsAt(show, cityId))
+    .map(backfillStatus)
+    .map(show => backfillCity(show, cityId));
+
+  return upgraded.every(show => !show || typeof show !== 'object' || show.id)
+    ? upgraded
+    : assignShowIds(upgraded);
+}
+
+/**
+ * Combines a run's source results with the previously saved shows and
+ * collapses the same gig listed by several sources (or twice by one). Ids
+ * stay those runAdapter derived from the listed names, so an alias edit
+ * never changes them; only ids two remaining shows share get a suffix.
+ * @param {Array} previousShows - Shows from the last saved file
+ * @param {Array<{name: string, shows?: Array, error?: string}>} results
+ * @param {string} city - City id, for logging
+ * @returns {Array}
+ */
+function mergeRunShows(previousShows, results, city) {
+  const combined = combineSourceShows(previousShows, results);
+  const merged = ensureUniqueShowIds(mergeShows(combined));
+  if (merged.length < combined.length) {
+    logger.info('Merged duplicate shows', { city, before: combined.length, after: merged.length });
+  }
+  return merged;
+}
+
+/**
+ * Scrapes one city, then saves its shows, changelog and manifest unless
+ * this is a dry run or the health canary failed.
+ * @param {string} city - City id
+ * @param {Object} options - scrape() options plus:
+ * @param {boolean} options.dryRun - Log the results without saving
+ * @param {boolean} options.force - Save even if the health canary fails
+ * @returns {Promise<number>} Exit code for the city (see EXIT_CODES)
+ */
+async function runCity(city, { dryRun, force, ...scrapeOptions }) {
   try {
-    const shows = await scrape();
+    const {
+      shows,
+      sources: results,
+      health,
+      snapshots,
+      previousManifest,
+      startedAt,
+    } = await scrape({ ...scrapeOptions, city });
+
+    if (results.length === 0) {
+      logger.warn('No selected sources are configured for this city', { city });
+      return EXIT_CODES.ok;
+    }
+
+    // Keep evidence whenever a source broke, so markup changes can be diagnosed
+    const failedWithSnapshot = results.some(result => result.error && snapshots.has(result.name));
+    if (!health.healthy || failedWithSnapshot) {
+      await saveDiagnostics({
+        city,
+        problems: health.problems,
+        sources: results.map(({ shows: _shows, ...summary }) => summary),
+      }, snapshots);
+    }
+
+    if (results.every(result => result.error)) {
+      throw new Error('All sources failed');
+    }
+
+    if (!health.healthy) {
+      logger.error('Health check failed', { city, problems: health.problems.map(problem => `${problem.source}: ${problem.message}`) });
+    }
+    const canSave = health.healthy || force;
+
+    await reportUnregisteredVenues(shows, city);
+
+    // Keep shows from sources that failed or weren't run this time
+    const previousShows = await loadShows(city);
+    const merged = mergeRunShows(previousShows, results, city);
+    // Keep cancelled, postponed and vanished shows for their grace period
+    const tracked = trackShowStatus(previousShows, merged);
+    const diff = diffShows(previousShows, tracked);
 
     if (dryRun) {
-      logger.info('Dry run - not saving', { showCount: shows.length });
+      logger.info('Dry run - not saving', { city, showCount: shows.length, ...buildChangelog(diff).counts });
       console.log(JSON.stringify(shows.slice(0, 5), null, 2));
-      console.log(`... and ${shows.length - 5} more`);
+      if (shows.length > 5) {
+        console.log(`... and ${shows.length - 5} more`);
+      }
+    } else if (!canSave) {
+      logger.error('Refusing to overwrite shows; rerun with --force if the change is expected', { city });
     } else {
-      await saveShows(shows, { keepHistory: config.output.keepHistory });
+      const outputDir = getOutputDir(city);
+      await saveShows(tracked, { keepHistory: config.output.keepHistory, outputDir });
+      await saveChanges(buildChangelog(diff), outputDir);
+      await saveManifest(buildManifest(results, {
+        showCount: tracked.length,
+        startedAt,
+        previous: previousManifest,
+        city,
+      }), outputDir);
+      console.log(formatChangeSummary(diff));
     }
 
-    process.exit(0);
+    return canSave ? EXIT_CODES.ok : EXIT_CODES.unhealthy;
   } catch (error) {
-    logger.error('Scraper failed', { error: error.message, stack: error.stack });
-    process.exit(1);
+    logger.error('Scraper failed', { city, error: error.message, stack: error.stack });
+    return EXIT_CODES.failed;
+  }
+}
+
+/**
+ * `validate [file]`: checks every show in a shows file, as written, and
+ * prints each invalid one with its index and errors.
+ * @param {string[]} files - [file]; default the city's latest shows file
+ * @param {Object} options
+ * @param {string} options.city
+ * @returns {Promise<number>} Exit code: failed if any show is invalid
+ */
+async function validateCommand([filePath], { city }) {
+  filePath = filePath || getShowsPath(city);
+  const shows = await readShowsFile(filePath);
+
+  try {
+    const validShows = validateShows(shows, { strict: true });
+    console.log(`${filePath}: all ${validShows.length} shows are valid`);
+    return EXIT_CODES.ok;
+  } catch (error) {
+    if (!error.invalid) throw error;
+    console.log(error.message);
+    console.log(`${filePath}: ${error.invalid.length} of ${shows.length} shows are invalid`);
+    if (isLegacyFile(shows, city)) {
+      console.log('The file was written by an older scraper (shows without ids or startsAt). ' +
+        'The app and the other commands upgrade it when loading; the next scrape rewrites it.');
+    }
+    return EXIT_CODES.failed;
+  }
+}
+
+/**
+ * Checks whether every show in a file that fails validation passes once
+ * upgraded, i.e. the file is only out of date.
+ * @param {any} shows - Parsed shows file
+ * @param {string} city
+ * @returns {boolean}
+ */
+function isLegacyFile(shows, city) {
+  if (!Array.isArray(shows)) return false;
+  try {
+    validateShows(upgradeShows(shows, city), { strict: true });
+    return true;
+  } catch {
+    return false;
   }
 }
 
+/**
+ * `diff <before> [after]`: compares two shows files the way a scrape
+ * compares its results with the saved file. Invalid shows are skipped.
+ * @param {string[]} files - [before, after]; after defaults to the city's latest shows file
+ * @param {Object} options
+ * @param {string} options.city
+ * @param {boolean} options.json - Print the changelog JSON instead of a summary
+ * @returns {Promise<number>} Exit code
+ */
+async function diffCommand([beforePath, afterPath], { city, json }) {
+  if (!beforePath) {
+    throw new Error('diff needs a file to compare: diff <before.json> [after.json]');
+  }
+
+  const previousShows = validateShows(await loadShows(city, { filePath: beforePath }));
+  const nextShows = validateShows(await loadShows(city, { filePath: afterPath || getShowsPath(city) }));
+  const diff = diffShows(previousShows, nextShows);
+
+  console.log(json ? JSON.stringify(buildChangelog(diff), null, 2) : formatChangeSummary(diff));
+  return EXIT_CODES.ok;
+}
+
+/**
+ * `stats [file]`: prints shows per venue and per day, with unknown-time counts.
+ * @param {string[]} files - [file]; default the city's latest shows file
+ * @param {Object} options
+ * @param {string} options.city
+ * @param {boolean} options.json - Print JSON instead of a report
+ * @returns {Promise<number>} Exit code
+ */
+async function statsCommand([filePath], { city, json }) {
+  const shows = await loadShows(city, { filePath: filePath || getShowsPath(city) });
+  const stats = computeStats(validateShows(shows));
+
+  console.log(json ? JSON.stringify(stats, null, 2) : formatStats(stats));
+  return EXIT_CODES.ok;
+}
+
+/**
+ * `export [file]`: writes shows as CSV or iCalendar, to stdout or --out.
+ * Invalid shows are skipped.
+ * @param {string[]} files - [file]; default the city's latest shows file
+ * @param {Object} options
+ * @param {string} options.city
+ * @param {string} [options.format] - csv|ics (default: from --out's extension, then csv)
+ * @param {string} [options.out] - File to write instead of stdout
+ * @returns {Promise<number>} Exit code
+ */
+async function exportCommand([filePath], { city, format, out }) {
+  const shows = await loadShows(city, { filePath: filePath || getShowsPath(city) });
+  const outputFormat = format || (out && path.extname(out).slice(1).toLowerCase()) || 'csv';
+  const output = exportShows(validateShows(shows), outputFormat);
+
+  if (out) {
+    await fs.promises.writeFile(out, output);
+    logger.info('Exported shows', { path: out, format: outputFormat });
+  } else {
+    process.stdout.write(output);
+  }
+  return EXIT_CODES.ok;
+}
+
+// Subcommands that work on saved shows files rather than scraping
+const COMMANDS = {
+  validate: validateCommand,
+  diff: diffCommand,
+  stats: statsCommand,
+  export: exportCommand,
+};
+
+// Flags that take a value, so "--city nyc" isn't read as a file argument
+const VALUE_FLAGS = ['city', 'source', 'fetch-mode', 'from-cache', 'format', 'out'];
+
+/**
+ * Reads a "--name=value" or "--name value" argument.
+ * @param {string[]} args - CLI arguments
+ * @param {string} name - Flag name without dashes
+ * @returns {string|null}
+ */
+function getArgValue(args, name) {
+  const flag = `--${name}`;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`${flag}=`)) {
+      return args[i].slice(flag.length + 1);
+    }
+    if (args[i] === flag && args[i + 1] && !args[i + 1].startsWith('--')) {
+      return args[i + 1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gets the arguments that aren't flags or flag values.
+ * @param {string[]} args - CLI arguments
+ * @returns {string[]}
+ */
+function getPositionalArgs(args) {
+  return args.filter((arg, i) =>
+    !arg.startsWith('--') && !VALUE_FLAGS.some(name => args[i - 1] === `--${name}`)
+  );
+}
+
+/**
+ * Runs a subcommand against one city's files.
+ * @param {string} name - Key of COMMANDS
+ * @param {string[]} args - CLI arguments after the subcommand
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(name, args) {
+  try {
+    const [city] = resolveCities([getArgValue(args, 'city') || DEFAULT_CITY]);
+    return await COMMANDS[name](getPositionalArgs(args), {
+      city,
+      json: args.includes('--json'),
+      format: getArgValue(args, 'format') || undefined,
+      out: getArgValue(args, 'out') || undefined,
+    });
+  } catch (error) {
+    logger.error(`${name} failed`, { error: error.message });
+    return EXIT_CODES.failed;
+  }
+}
+
+// CLI entry point. Exit codes are set rather than exited with, so output
+// written to a pipe is flushed before the process ends.
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (COMMANDS[args[0]]) {
+    process.exitCode = await runCommand(args[0], args.slice(1));
+    return;
+  }
+
+  const replay = args.includes('--replay');
+  const record = args.includes('--record');
+  const force = args.includes('--force');
+  // Replayed fixtures are test data, never real listings
+  const dryRun = args.includes('--dry-run') || replay;
+
+  if (args.includes('--list-sources')) {
+    console.log(listAdapters().join('\n'));
+    process.exitCode = EXIT_CODES.ok;
+    return;
+  }
+
+  if (args.includes('--list-cities')) {
+    console.log(resolveCities().join('\n'));
+    process.exitCode = EXIT_CODES.ok;
+    return;
+  }
+
+  const sourceArg = getArgValue(args, 'source');
+  const sources = sourceArg
+    ? sourceArg.split(',').map(name => name.trim()).filter(Boolean)
+    : config.sources;
+
+  const cityArg = getArgValue(args, 'city');
+  const fetchMode = getArgValue(args, 'fetch-mode') || config.fetchMode;
+  const cacheDate = getArgValue(args, 'from-cache') || undefined;
+  const fromCache = args.includes('--from-cache') || cacheDate !== undefined;
+
+  let cities;
+  try {
+    cities = resolveCities(cityArg ? cityArg.split(',').map(id => id.trim()).filter(Boolean) : config.cityIds);
+  } catch (error) {
+    logger.error('Scraper failed', { error: error.message });
+    process.exitCode = EXIT_CODES.failed;
+    return;
+  }
+
+  const exitCodes = [];
+  for (const city of cities) {
+    exitCodes.push(await runCity(city, {
+      sources, record, replay, fetchMode, fromCache, cacheDate, dryRun, force,
+    }));
+  }
+
+  // A failed city outranks an unhealthy one
+  const worst = [EXIT_CODES.failed, EXIT_CODES.unhealthy].find(code => exitCodes.includes(code));
+  process.exitCode = worst ?? EXIT_CODES.ok;
+}
+
 if (require.main === module) {
   main();
 }
 
 module.exports = {
   scrape,
+  runAdapter,
+  mergeRunShows,
   saveShows,
+  saveChanges,
   loadShows,
 };
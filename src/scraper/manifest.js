@@ -0,0 +1,100 @@
+/**
+ * Scrape run manifest.
+ *
+ * shows.json is a bare array, so each saved run also writes a manifest
+ * (data/manifest.json, or data/<city>/manifest.json) recording when the
+ * data was scraped, for which city, which source
+ * adapters produced it and their counts. The web app reads it to report
+ * how fresh the listings are, and the health canary compares new counts
+ * against it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { config, getOutputDir } = require('./config');
+const { getAdapter } = require('./sources');
+const { logger } = require('../shared/logger');
+const { SHOW_SCHEMA_VERSION } = require('../shared/types');
+const { DEFAULT_CITY } = require('../shared/cities');
+
+/**
+ * Builds the manifest for a run. Sources that failed or weren't run keep
+ * their entry from the previous manifest, matching how their shows are
+ * kept in shows.json.
+ *
+ * @param {Array<{name: string, raw: number, valid: number, error?: string}>} results
+ * @param {Object} options
+ * @param {number} options.showCount - Shows being saved
+ * @param {Date} options.startedAt
+ * @param {Date} [options.finishedAt=new Date()]
+ * @param {Object|null} [options.previous] - From loadManifest()
+ * @param {string} [options.city=DEFAULT_CITY]
+ * @returns {import('../shared/types').ShowsManifest}
+ */
+function buildManifest(results, {
+  showCount,
+  startedAt,
+  finishedAt = new Date(),
+  previous = null,
+  city = DEFAULT_CITY,
+}) {
+  const scrapedAt = finishedAt.toISOString();
+  const sources = { ...(previous?.sources || {}) };
+
+  for (const result of results) {
+    if (result.error) continue;
+
+    sources[result.name] = {
+      label: getAdapter(result.name)?.label || result.name,
+      scrapedAt,
+      raw: result.raw,
+      valid: result.valid,
+    };
+  }
+
+  return {
+    schemaVersion: SHOW_SCHEMA_VERSION,
+    city,
+    scrapedAt,
+    durationMs: finishedAt.getTime() - startedAt.getTime(),
+    showCount,
+    sources,
+  };
+}
+
+/**
+ * Loads the manifest of the last saved run.
+ * @param {string} [outputDir=getOutputDir()] - The city's output directory
+ * @returns {Promise<Object|null>} Manifest, or null if there is none
+ */
+async function loadManifest(outputDir = getOutputDir()) {
+  const manifestPath = path.join(outputDir, config.output.manifestFilename);
+
+  try {
+    const content = await fs.promises.readFile(manifestPath, 'utf-8');
+    return JSON.parse(content);
+  } catch {
+    logger.debug('No previous manifest', { path: manifestPath });
+    return null;
+  }
+}
+
+/**
+ * Saves the manifest, replacing the previous one.
+ * @param {Object} manifest - From buildManifest()
+ * @param {string} [outputDir=getOutputDir()] - The city's output directory
+ */
+async function saveManifest(manifest, outputDir = getOutputDir()) {
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const manifestPath = path.join(outputDir, config.output.manifestFilename);
+  await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  logger.info('Saved manifest', { path: manifestPath, durationMs: manifest.durationMs });
+}
+
+module.exports = {
+  buildManifest,
+  loadManifest,
+  saveManifest,
+};
@@ -0,0 +1,213 @@
+/**
+ * Cross-source show merging.
+ *
+ * The same gig often appears in more than one source, with slightly
+ * different artist spellings or times, and OhMyRockness occasionally lists
+ * a show twice. Shows at the same venue on the same day whose lineups
+ * share an artist are clustered and merged into one show:
+ *
+ *   artists   - union, in the order of the preferred show, with their
+ *               artistQualifiers combined
+ *   startsAt  - the most specific (a time beats date-only), then preferred
+ *   ticketUrl - https before http, then preferred
+ *   soldOut   - true if any source says so
+ *   status    - the first non-scheduled status
+ *   others    - first value in preference order
+ *
+ * Preference follows config.merge.sourcePriority, then input order.
+ * Merged shows from more than one source record `sources` and, per field,
+ * which source(s) the value came from in `provenance`.
+ */
+
+const { config } = require('./config');
+const { normalizeArtistName } = require('../shared/normalize');
+const { normalizeVenueName } = require('../shared/venues');
+const { TIME_TBA } = require('../shared/datetime');
+const { STATUS_SCHEDULED, getShowStatus } = require('../shared/status');
+
+// Fields taken from the first show (in preference order) that has them
+const FIRST_VALUE_FIELDS = ['url', 'price', 'ageRestriction'];
+
+/**
+ * Normalizes an artist name for overlap checks. Looser than
+ * normalizeArtistName: punctuation and accents are ignored too, so
+ * "Sunn O)))" and "Sunn O" or "Beyoncé" and "Beyonce" match.
+ * @param {string} name
+ * @returns {string}
+ */
+function looseArtistKey(name) {
+  return normalizeVenueName(normalizeArtistName(name));
+}
+
+/**
+ * Builds the key shows must share to be merged: venue and local date.
+ * @param {Object} show
+ * @returns {string}
+ */
+function clusterKey(show) {
+  return `${normalizeVenueName(show.venue)}#${String(show.startsAt).slice(0, 10)}`;
+}
+
+/**
+ * Checks whether a show has an announced start time.
+ * @param {Object} show
+ * @returns {boolean}
+ */
+function hasTime(show) {
+  return show.time !== TIME_TBA && String(show.startsAt).includes('T');
+}
+
+/**
+ * Checks whether two shows are the same gig: same venue and day, and at
+ * least one artist in common. Two timed listings from the same source at
+ * different times are kept apart (early and late sets of one bill).
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameShow(a, b) {
+  if (clusterKey(a) !== clusterKey(b)) return false;
+
+  if (a.source === b.source && hasTime(a) && hasTime(b) && a.startsAt !== b.startsAt) {
+    return false;
+  }
+
+  const lineup = new Set(a.artists.map(looseArtistKey));
+  return b.artists.some(artist => lineup.has(looseArtistKey(artist)));
+}
+
+/**
+ * Gets a show's rank in config.merge.sourcePriority; unlisted sources last.
+ * @param {Object} show
+ * @param {string[]} priority
+ * @returns {number}
+ */
+function sourceRank(show, priority) {
+  const index = priority.indexOf(show.source);
+  return index === -1 ? priority.length : index;
+}
+
+/**
+ * Merges one cluster of shows, already in preference order.
+ * @param {Array} cluster
+ * @returns {Object} Merged show
+ */
+function mergeCluster(cluster) {
+  const [preferred] = cluster;
+  const provenance = {};
+  const merged = { ...preferred };
+
+  // Artists: union, first spelling wins; qualifiers combined under that spelling
+  const spellings = new Map();
+  const artistSources = new Set();
+  const artistQualifiers = {};
+  merged.artists = [];
+  for (const show of cluster) {
+    for (const artist of show.artists) {
+      const key = looseArtistKey(artist);
+      if (!spellings.has(key)) {
+        spellings.set(key, artist);
+        merged.artists.push(artist);
+        artistSources.add(show.source);
+      }
+
+      const spelling = spellings.get(key);
+      for (const qualifier of show.artistQualifiers?.[artist] || []) {
+        artistQualifiers[spelling] = artistQualifiers[spelling] || [];
+        if (!artistQualifiers[spelling].includes(qualifier)) artistQualifiers[spelling].push(qualifier);
+      }
+    }
+  }
+  provenance.artists = [...artistSources];
+  if (Object.keys(artistQualifiers).length > 0) {
+    merged.artistQualifiers = artistQualifiers;
+  } else {
+    delete merged.artistQualifiers;
+  }
+
+  const pick = (field, show) => {
+    if (!show) return;
+    merged[field] = show[field];
+    provenance[field] = show.source;
+  };
+
+  const timed = cluster.find(hasTime) || preferred;
+  for (const field of ['startsAt', 'date', 'time']) {
+    merged[field] = timed[field];
+  }
+  provenance.startsAt = timed.source;
+  provenance.venue = preferred.source;
+
+  const withTickets = cluster.filter(show => show.ticketUrl);
+  pick('ticketUrl', withTickets.find(show => show.ticketUrl.startsWith('https:')) || withTickets[0]);
+
+  for (const field of FIRST_VALUE_FIELDS) {
+    pick(field, cluster.find(show => show[field] !== undefined));
+  }
+
+  pick('soldOut', cluster.find(show => show.soldOut === true) || cluster.find(show => show.soldOut !== undefined));
+
+  const withStatus = cluster.find(show => getShowStatus(show) !== STATUS_SCHEDULED);
+  if (withStatus) {
+    pick('status', withStatus);
+    if (withStatus.statusChangedAt) merged.statusChangedAt = withStatus.statusChangedAt;
+  }
+
+  const sources = [...new Set(cluster.map(show => show.source))];
+  if (sources.length > 1) {
+    merged.sources = sources;
+    merged.provenance = provenance;
+  } else {
+    delete merged.sources;
+    delete merged.provenance;
+  }
+
+  return merged;
+}
+
+/**
+ * Collapses duplicate listings of the same gig, within and across sources.
+ * Shows without a duplicate are returned unchanged.
+ *
+ * @param {Array} shows - Validated shows, each with a source
+ * @param {Object} [options]
+ * @param {string[]} [options.sourcePriority=config.merge.sourcePriority]
+ *   Source names, most trusted first
+ * @returns {Array} Merged shows, in the order of each cluster's first show
+ */
+function mergeShows(shows, { sourcePriority = config.merge.sourcePriority } = {}) {
+  const clusters = [];
+  const byKey = new Map();
+
+  for (const show of shows) {
+    const key = clusterKey(show);
+    const candidates = byKey.get(key) || [];
+    const cluster = candidates.find(existing => existing.some(other => isSameShow(show, other)));
+
+    if (cluster) {
+      cluster.push(show);
+    } else {
+      const created = [show];
+      clusters.push(created);
+      byKey.set(key, [...candidates, created]);
+    }
+  }
+
+  return clusters.map(cluster => {
+    if (cluster.length === 1) return cluster[0];
+
+    const ordered = cluster
+      .map((show, index) => ({ show, index }))
+      .sort((a, b) =>
+        sourceRank(a.show, sourcePriority) - sourceRank(b.show, sourcePriority) || a.index - b.index
+      )
+      .map(({ show }) => show);
+
+    return mergeCluster(ordered);
+  });
+}
+
+module.exports = {
+  mergeShows,
+  isSameShow,
+};
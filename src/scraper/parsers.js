@@ -11,22 +11,33 @@
  * 3. Update selectors in config.js
  */
 
-const { config } = require('./config');
+const cheerio = require('cheerio');
+
+const { config, getSourceSettings } = require('./config');
+const { normalizeStartsAt, describeStartsAt } = require('../shared/datetime');
+const { DEFAULT_CITY, getCity } = require('../shared/cities');
+const { detectStatus, stripStatusMarker } = require('../shared/status');
+const { parseLineup } = require('../shared/lineup');
 
 /**
- * Extracts shows from a page using Puppeteer's page context.
- * This function runs IN THE BROWSER via page.$$eval().
+ * Creates the show extraction function.
+ *
+ * The same function runs IN THE BROWSER via page.$$eval() during live
+ * scrapes, and in Node over saved HTML via extractShowsFromHtml(), so
+ * fixture tests exercise exactly the code that runs in production.
+ *
+ * The returned function takes (rows, artistSel, dateSel, venueSel, detailSels):
+ * the matched show row elements, then the selectors for artist links,
+ * the datetime element and the venue element, and the optional detail
+ * selectors ({ ticketLink, info }). Details are returned as raw text and
+ * interpreted in Node by parseShowDetails().
  *
- * @param {string} showRowSelector - Selector for show rows
- * @param {string} artistLinksSelector - Selector for artist links
- * @param {string} dateTimeSelector - Selector for datetime element
- * @param {string} venueSelector - Selector for venue element
  * @returns {Function} Extraction function for page.$$eval
  */
-function createShowExtractor(selectors) {
+function createShowExtractor() {
   // This function is serialized and run in the browser context
   // It cannot access Node.js variables directly - selectors must be passed in
-  return (rows, artistSel, dateSel, venueSel) => {
+  return (rows, artistSel, dateSel, venueSel, detailSels = {}) => {
     return rows.map(row => {
       // Extract artists - filter to non-profiled links (actual performers)
       const artistElements = Array.from(row.querySelectorAll(artistSel)).filter(a =>
@@ -34,56 +45,213 @@ function createShowExtractor(selectors) {
       );
       const artists = artistElements.map(a => a.textContent.trim()).filter(Boolean);
 
-      // Extract date/time from datetime attribute
+      // Extract the raw datetime attribute. It is converted to venue-local
+      // time in Node (parseShows), never with the browser's timezone.
       const dateTimeEl = row.querySelector(dateSel);
-      const datetimeAttr = dateTimeEl?.getAttribute('title') || '';
-
-      let date = 'Unknown';
-      let time = 'Unknown';
-
-      if (datetimeAttr) {
-        try {
-          const dt = new Date(datetimeAttr);
-          if (!isNaN(dt.getTime())) {
-            date = dt.toLocaleDateString('en-US');
-            time = dt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-          }
-        } catch {
-          // Keep defaults
-        }
-      }
+      const datetime = dateTimeEl?.getAttribute('title') || '';
 
       // Extract venue
       const venueEl = row.querySelector(venueSel);
       const venue = venueEl?.textContent.trim() || 'Unknown Venue';
 
-      return { artists, date, time, venue };
+      // Extract optional details (ticket link, price/age/status text)
+      const ticketEl = detailSels.ticketLink ? row.querySelector(detailSels.ticketLink) : null;
+      const ticketUrl = ticketEl?.getAttribute('href') || '';
+      const info = detailSels.info
+        ? Array.from(row.querySelectorAll(detailSels.info))
+          .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+          .filter(Boolean)
+          .join(' | ')
+        : '';
+
+      return { artists, datetime, venue, ticketUrl, info };
     });
   };
 }
 
+/**
+ * Wraps a cheerio element in the subset of the DOM Element API that
+ * the show extractor uses.
+ * @param {import('cheerio').CheerioAPI} $ - Loaded document
+ * @param {Object} el - Cheerio node
+ * @returns {Object} DOM-like element
+ */
+function toDomElement($, el) {
+  const $el = $(el);
+
+  return {
+    get className() {
+      return $el.attr('class') || '';
+    },
+    classList: {
+      contains: className => $el.hasClass(className),
+    },
+    get textContent() {
+      return $el.text();
+    },
+    getAttribute: name => $el.attr(name) ?? null,
+    querySelector: selector => {
+      const found = $el.find(selector).first();
+      return found.length > 0 ? toDomElement($, found[0]) : null;
+    },
+    querySelectorAll: selector => $el.find(selector).toArray().map(child => toDomElement($, child)),
+  };
+}
+
+/**
+ * Runs the show extractor over an HTML string in Node.
+ * Used to replay saved fixtures without a browser.
+ * @param {string} html - Page HTML
+ * @param {Object} [selectors=getSelectors()] - Selector strings
+ * @returns {Array} Raw show data, same shape as a live scrape
+ */
+function extractShowsFromHtml(html, selectors = getSelectors()) {
+  const $ = cheerio.load(html);
+  const rows = $(selectors.showRow).toArray().map(el => toDomElement($, el));
+
+  return createShowExtractor()(
+    rows,
+    selectors.artistLinks,
+    selectors.dateTime,
+    selectors.venue,
+    config.detailSelectors
+  );
+}
+
+/**
+ * Interprets a row's detail text.
+ *
+ * @param {string} info - Text from the detail elements, e.g. "Tickets | $12 - $15 | 21+"
+ * @returns {{ price?: {min: number, max: number}, ageRestriction?: string, soldOut?: boolean, status?: string }}
+ */
+function parseShowDetails(info) {
+  const details = {};
+  if (!info) return details;
+
+  const price = info.match(/\$\s*(\d+(?:\.\d{1,2})?)(?:\s*(?:-|–|to)\s*\$?\s*(\d+(?:\.\d{1,2})?))?/i);
+  if (price) {
+    const min = parseFloat(price[1]);
+    const max = price[2] ? parseFloat(price[2]) : min;
+    details.price = { min: Math.min(min, max), max: Math.max(min, max) };
+  } else if (/\bfree\b/i.test(info)) {
+    details.price = { min: 0, max: 0 };
+  }
+
+  const age = info.match(/\b(21|18|16)\s*(?:\+|and over|& over)/i);
+  if (age) {
+    details.ageRestriction = `${age[1]}+`;
+  } else if (/\ball[\s-]ages\b/i.test(info)) {
+    details.ageRestriction = 'all ages';
+  }
+
+  if (/\bsold[\s-]?out\b/i.test(info)) {
+    details.soldOut = true;
+  }
+
+  const status = detectStatus(info);
+  if (status) {
+    details.status = status;
+  }
+
+  return details;
+}
+
+/**
+ * Resolves a possibly relative link against the site's base URL.
+ * @param {string} href
+ * @param {string} baseUrl
+ * @returns {string|null} Absolute http(s) URL, or null
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+
+  try {
+    const url = new URL(href, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Removes cancelled/postponed markers from artist names
+ * ("CANCELLED: Band" -> "Band"), dropping names that were only a marker,
+ * then splits compound entries into performers (see shared/lineup.js).
+ * @param {string[]} artists
+ * @returns {{ artists: string[], artistQualifiers: Object<string, string[]>, status: string|null }}
+ */
+function stripLineupMarkers(artists) {
+  let status = null;
+  const names = [];
+
+  for (const artist of artists || []) {
+    const stripped = stripStatusMarker(artist);
+    status = status || stripped.status;
+    if (stripped.name) names.push(stripped.name);
+  }
+
+  const lineup = parseLineup(names);
+  return { artists: lineup.artists, artistQualifiers: lineup.qualifiers, status };
+}
+
 /**
  * Parses raw scraped data into clean show objects.
- * Filters out invalid entries.
+ * Filters out invalid entries. Optional details are only set when found.
+ *
+ * The datetime attribute becomes `startsAt` in the city's local time, with
+ * `date`/`time` derived from it for display. A cancelled/postponed
+ * marker in the detail text or an artist name sets `status`. Compound
+ * artist entries ("X w/ Y") become one artist each, with any role
+ * qualifiers ("DJ set") in `artistQualifiers`.
  *
  * @param {Array} rawShows - Raw scraped show data
+ * @param {string} [cityId=DEFAULT_CITY] - City the listings are for
  * @returns {Array} Cleaned show objects
  */
-function parseShows(rawShows) {
+function parseShows(rawShows, cityId = DEFAULT_CITY) {
+  const { timeZone } = getCity(cityId);
+  const { baseUrl } = getSourceSettings(cityId, 'ohmyrockness');
+
   return rawShows
+    .map(show => ({
+      ...show,
+      ...stripLineupMarkers(show.artists),
+      startsAt: normalizeStartsAt(show.datetime, timeZone),
+    }))
     .filter(show => {
       // Must have at least one artist
       if (!show.artists || show.artists.length === 0) return false;
       // Must have a venue
       if (!show.venue || show.venue === 'Unknown Venue') return false;
+      // Must have a start date
+      if (!show.startsAt) return false;
       return true;
     })
-    .map(show => ({
-      artists: show.artists,
-      venue: show.venue,
-      date: show.date,
-      time: show.time,
-    }));
+    .map(show => {
+      const parsed = {
+        artists: show.artists,
+        venue: show.venue,
+        startsAt: show.startsAt,
+        ...describeStartsAt(show.startsAt),
+      };
+
+      if (Object.keys(show.artistQualifiers).length > 0) {
+        parsed.artistQualifiers = show.artistQualifiers;
+      }
+
+      const ticketUrl = resolveUrl(show.ticketUrl, baseUrl);
+      if (ticketUrl) {
+        parsed.ticketUrl = ticketUrl;
+      }
+
+      const details = parseShowDetails(show.info);
+      const status = details.status || show.status;
+      if (status) {
+        details.status = status;
+      }
+
+      return { ...parsed, ...details };
+    });
 }
 
 /**
@@ -101,6 +269,8 @@ function getSelectors() {
 
 module.exports = {
   createShowExtractor,
+  extractShowsFromHtml,
+  parseShowDetails,
   parseShows,
   getSelectors,
 };
@@ -0,0 +1,101 @@
+/**
+ * Source adapter registry.
+ *
+ * Each listings site is wrapped in an adapter so that one site going
+ * down or changing markup only affects its own shows.
+ *
+ * @typedef {Object} SourceAdapter
+ * @property {string} name - Unique id, used on the CLI and as Show.source
+ * @property {string} label - Human-readable name for logs
+ * @property {'browser'|'http'} fetchStrategy - How the adapter fetches pages
+ * @property {Object} selectors - CSS selectors the adapter depends on
+ * @property {(context: Object) => Promise<Array>} fetch - Returns raw records for context.city
+ * @property {(raw: Array, cityId: string) => Array} parse - Turns raw records into shows
+ *
+ * Per-city settings (URLs) live in the city's `sources[adapter.name]` in
+ * src/shared/cities.js; a city only runs the adapters it has settings for.
+ */
+
+const ohmyrockness = require('./ohmyrockness');
+const jsonld = require('./jsonld');
+
+/** @type {SourceAdapter[]} */
+const ADAPTERS = [
+  ohmyrockness,
+  jsonld,
+];
+
+// Shows written before adapters existed carry no source field
+const LEGACY_SOURCE = ohmyrockness.name;
+
+/**
+ * Lists the names of all registered adapters.
+ * @returns {string[]}
+ */
+function listAdapters() {
+  return ADAPTERS.map(adapter => adapter.name);
+}
+
+/**
+ * Looks up an adapter by name.
+ * @param {string} name
+ * @returns {SourceAdapter|null}
+ */
+function getAdapter(name) {
+  return ADAPTERS.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * Resolves adapter names to adapters. An empty list or "all" selects
+ * every registered adapter.
+ * @param {string[]} [names]
+ * @returns {SourceAdapter[]}
+ * @throws {Error} If a name is not registered
+ */
+function resolveAdapters(names = []) {
+  if (names.length === 0 || names.includes('all')) {
+    return [...ADAPTERS];
+  }
+
+  return names.map(name => {
+    const adapter = getAdapter(name);
+    if (!adapter) {
+      throw new Error(`Unknown source "${name}". Available: ${listAdapters().join(', ')}`);
+    }
+    return adapter;
+  });
+}
+
+/**
+ * Combines a run's per-source results with the previously saved shows.
+ *
+ * Sources that ran successfully replace their previous shows; shows from
+ * sources that failed or were not run are kept as they were. Merged shows
+ * belong to their preferred `source`.
+ *
+ * @param {Array} previousShows - Shows from the last saved file
+ * @param {Array<{name: string, shows?: Array, error?: string}>} results
+ * @returns {Array} Combined shows
+ */
+function combineSourceShows(previousShows, results) {
+  const refreshed = new Set(
+    results.filter(result => !result.error).map(result => result.name)
+  );
+
+  const kept = previousShows.filter(show =>
+    !refreshed.has(show.source || LEGACY_SOURCE)
+  );
+
+  const fresh = results
+    .filter(result => !result.error)
+    .flatMap(result => result.shows);
+
+  return [...kept, ...fresh];
+}
+
+module.exports = {
+  listAdapters,
+  getAdapter,
+  resolveAdapters,
+  combineSourceShows,
+};
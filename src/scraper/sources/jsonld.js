@@ -0,0 +1,272 @@
+/**
+ * Schema.org JSON-LD source adapter.
+ *
+ * Maps performers, startDate, location and offers (ticket link, price,
+ * availability) plus eventStatus and typicalAgeRange into shows.
+ *
+ * Many venue websites embed <script type="application/ld+json"> blocks
+ * describing their events. This adapter reads those blocks from a list of
+ * venue calendar pages, so new venues can be covered by adding a URL to
+ * config.js instead of writing per-venue selectors.
+ */
+
+const cheerio = require('cheerio');
+
+const { config, getSourceSettings } = require('../config');
+const { logger } = require('../../shared/logger');
+const { normalizeStartsAt, describeStartsAt, VENUE_TIME_ZONE } = require('../../shared/datetime');
+const { DEFAULT_CITY, getCity } = require('../../shared/cities');
+const { stripStatusMarker } = require('../../shared/status');
+const { parseLineup } = require('../../shared/lineup');
+
+const NAME = 'jsonld';
+
+const EVENT_TYPES = new Set(['Event', 'MusicEvent']);
+
+// schema.org eventStatus values that map to a Show status
+const EVENT_STATUSES = {
+  EventCancelled: 'cancelled',
+  EventPostponed: 'postponed',
+};
+
+/**
+ * Checks whether a JSON-LD node is an Event or MusicEvent.
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isEvent(node) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(type => EVENT_TYPES.has(type));
+}
+
+/**
+ * Flattens a parsed JSON-LD value into a list of nodes,
+ * unwrapping top-level arrays and @graph containers.
+ * @param {any} value
+ * @returns {Object[]}
+ */
+function flattenNodes(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(flattenNodes);
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  if (Array.isArray(value['@graph'])) {
+    return value['@graph'].flatMap(flattenNodes);
+  }
+  return [value];
+}
+
+/**
+ * Extracts schema.org Event objects from an HTML page.
+ * Malformed JSON-LD blocks are skipped.
+ * @param {string} html
+ * @returns {Object[]} Event nodes
+ */
+function extractEvents(html) {
+  const $ = cheerio.load(html);
+  const events = [];
+
+  $(config.jsonld.selectors.script).each((i, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).text());
+    } catch {
+      logger.debug('Skipping malformed JSON-LD block', { index: i });
+      return;
+    }
+
+    events.push(...flattenNodes(data).filter(isEvent));
+  });
+
+  return events;
+}
+
+/**
+ * Returns the first element of an array, or the value itself.
+ * @param {any} value
+ * @returns {any}
+ */
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Reads a schema.org Thing's name, accepting plain strings too.
+ * @param {any} thing
+ * @returns {string}
+ */
+function nameOf(thing) {
+  if (typeof thing === 'string') return thing.trim();
+  if (thing && typeof thing.name === 'string') return thing.name.trim();
+  return '';
+}
+
+/**
+ * Checks whether a schema.org enumeration value (full URL or bare name)
+ * is the given member, e.g. "https://schema.org/SoldOut" is "SoldOut".
+ * @param {any} value
+ * @param {string} member
+ * @returns {boolean}
+ */
+function isSchemaValue(value, member) {
+  return typeof value === 'string' && value.replace(/^https?:\/\/schema\.org\//, '') === member;
+}
+
+/**
+ * Reads the price range across an event's USD (or unlabelled) offers.
+ * @param {Object[]} offers
+ * @returns {{min: number, max: number}|null}
+ */
+function priceRangeOf(offers) {
+  const prices = offers
+    .filter(offer => !offer.priceCurrency || offer.priceCurrency === 'USD')
+    .flatMap(offer => [offer.price, offer.lowPrice, offer.highPrice])
+    .map(price => parseFloat(price))
+    .filter(price => Number.isFinite(price) && price >= 0);
+
+  if (prices.length === 0) return null;
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+/**
+ * Maps schema.org typicalAgeRange ("21-", "18+", "all ages") to a Show ageRestriction.
+ * @param {any} range
+ * @returns {string|null}
+ */
+function ageRestrictionOf(range) {
+  if (typeof range !== 'string') return null;
+
+  const minimum = range.match(/\b(21|18|16)\b/);
+  if (minimum) return `${minimum[1]}+`;
+  if (/all/i.test(range)) return 'all ages';
+  return null;
+}
+
+/**
+ * Maps a schema.org Event to a raw show record.
+ * Falls back to the event name when no performers are listed; compound
+ * names ("X w/ Y") are split into performers. Status comes from
+ * eventStatus, or a "CANCELLED"/"POSTPONED" marker in a name.
+ * @param {Object} event - JSON-LD Event node
+ * @param {string} [timeZone=VENUE_TIME_ZONE] - Timezone of the city the venue is in
+ * @returns {Object} Show fields; optional details only when present
+ */
+function eventToShow(event, timeZone = VENUE_TIME_ZONE) {
+  const performers = [].concat(event.performer || []).map(nameOf).filter(Boolean);
+  const names = (performers.length > 0 ? performers : [nameOf(event.name)].filter(Boolean))
+    .map(stripStatusMarker);
+  const lineup = parseLineup(names.map(entry => entry.name).filter(Boolean));
+  const markedStatus = names.map(entry => entry.status).find(Boolean)
+    || stripStatusMarker(nameOf(event.name) || '').status;
+
+  const venue = nameOf(first(event.location)) || 'Unknown Venue';
+  const startsAt = normalizeStartsAt(event.startDate, timeZone);
+
+  const show = { artists: lineup.artists, venue, startsAt, ...describeStartsAt(startsAt) };
+
+  if (Object.keys(lineup.qualifiers).length > 0) {
+    show.artistQualifiers = lineup.qualifiers;
+  }
+
+  if (typeof event.url === 'string' && /^https?:\/\//.test(event.url)) {
+    show.url = event.url;
+  }
+
+  const offers = [].concat(event.offers || []).filter(offer => offer && typeof offer === 'object');
+  const ticketUrl = offers.map(offer => offer.url).find(url => typeof url === 'string' && /^https?:\/\//.test(url));
+  if (ticketUrl) {
+    show.ticketUrl = ticketUrl;
+  }
+
+  const price = priceRangeOf(offers);
+  if (price) {
+    show.price = price;
+  }
+
+  const ageRestriction = ageRestrictionOf(event.typicalAgeRange);
+  if (ageRestriction) {
+    show.ageRestriction = ageRestriction;
+  }
+
+  if (offers.length > 0 && offers.every(offer => isSchemaValue(offer.availability, 'SoldOut'))) {
+    show.soldOut = true;
+  }
+
+  const eventStatus = Object.keys(EVENT_STATUSES).find(value => isSchemaValue(event.eventStatus, value));
+  const status = eventStatus ? EVENT_STATUSES[eventStatus] : markedStatus;
+  if (status) {
+    show.status = status;
+  }
+
+  return show;
+}
+
+/**
+ * Fetches every venue page configured for the context's city and collects
+ * their events. Each page is kept as the source's snapshot for diagnostics
+ * (see canary.js). A failing page is logged and skipped; the source only
+ * fails if every page fails.
+ * @param {Object} context - Fetch context from createFetchContext()
+ * @returns {Promise<Object[]>} Event nodes
+ * @throws {Error} If the city has no venue URLs, since a run that checked
+ *   nothing shouldn't pass as one that found no shows
+ */
+async function fetchEvents(context) {
+  const city = context.city || DEFAULT_CITY;
+  const urls = getSourceSettings(city, 'jsonld')?.venueUrls || [];
+  const events = [];
+  let failures = 0;
+
+  if (urls.length === 0) {
+    throw new Error(`No JSON-LD venue URLs configured for ${city}`);
+  }
+
+  for (const url of urls) {
+    try {
+      const html = await context.fetchHtml(url);
+      await context.captureSnapshot(NAME, { url, html });
+      const pageEvents = extractEvents(html);
+      logger.debug('Extracted JSON-LD events', { url, count: pageEvents.length });
+      events.push(...pageEvents);
+    } catch (error) {
+      failures++;
+      logger.warn('Failed to fetch venue page', { url, error: error.message });
+    }
+  }
+
+  if (failures === urls.length) {
+    throw new Error('All JSON-LD venue pages failed');
+  }
+
+  logger.info(`Found ${events.length} JSON-LD events`, { pages: urls.length, failures });
+  return events;
+}
+
+/**
+ * Parses JSON-LD events into clean show objects.
+ * Filters out events without artists, a venue or a start date.
+ * @param {Object[]} events
+ * @param {string} [cityId=DEFAULT_CITY] - City the venue pages are in
+ * @returns {Array} Show objects
+ */
+function parseEvents(events, cityId = DEFAULT_CITY) {
+  const { timeZone } = getCity(cityId);
+
+  return events
+    .map(event => eventToShow(event, timeZone))
+    .filter(show => show.artists.length > 0 && show.venue !== 'Unknown Venue' && show.startsAt);
+}
+
+module.exports = {
+  name: NAME,
+  label: 'Venue JSON-LD',
+  fetchStrategy: 'http',
+  selectors: config.jsonld.selectors,
+  fetch: fetchEvents,
+  parse: parseEvents,
+  // Exposed for testing
+  extractEvents,
+  eventToShow,
+};
@@ -0,0 +1,133 @@
+/**
+ * OhMyRockness source adapter.
+ *
+ * In 'static' fetch mode the all-shows page is fetched over plain HTTP and
+ * parsed with cheerio. If no show rows are found (the listings are
+ * JS-rendered), or in 'browser' mode, the page is rendered in a headless
+ * browser instead. Rows are extracted using the selectors in config.js;
+ * extraction logic lives in parsers.js.
+ */
+
+const { config, buildShowsUrl } = require('../config');
+const {
+  createShowExtractor,
+  extractShowsFromHtml,
+  parseShows,
+  getSelectors,
+} = require('../parsers');
+const { logger } = require('../../shared/logger');
+
+const NAME = 'ohmyrockness';
+
+/**
+ * Extracts rows from a saved copy of the all-shows page in Node.
+ * @param {Object} context - Fetch context
+ * @param {string} url - All-shows URL
+ * @param {string} html - Saved page HTML
+ * @param {Object} selectors - Selector strings from getSelectors()
+ * @param {string} fetchMode - 'replay' or 'cache', for the log
+ * @returns {Promise<Array>} Raw show data from page
+ */
+async function extractSavedPage(context, url, html, selectors, fetchMode) {
+  await context.captureSnapshot(NAME, { url, html });
+  const rawShows = extractShowsFromHtml(html, selectors);
+  logger.info(`Found ${rawShows.length} shows`, { fetchMode });
+  return rawShows;
+}
+
+/**
+ * Scrapes the all-shows page.
+ * In replay mode the saved fixture is parsed in Node instead, and with
+ * fromCache the cached page is when there is one.
+ * @param {Object} context - Fetch context from createFetchContext()
+ * @returns {Promise<Array>} Raw show data from page
+ */
+async function fetchShows(context) {
+  const url = buildShowsUrl(context.city);
+  const selectors = getSelectors();
+
+  if (context.replaying) {
+    logger.info('Replaying all shows', { url });
+    const html = await context.readFixture(url);
+    return extractSavedPage(context, url, html, selectors, 'replay');
+  }
+
+  const cached = await context.readCachedPage(url);
+  if (cached !== null) {
+    return extractSavedPage(context, url, cached, selectors, 'cache');
+  }
+
+  if (context.fetchMode === 'static') {
+    logger.info('Fetching all shows as static HTML', { url });
+    const html = await context.fetchHtml(url);
+    await context.captureSnapshot(NAME, { url, html });
+    const rawShows = extractShowsFromHtml(html, selectors);
+
+    if (rawShows.length > 0) {
+      logger.info(`Found ${rawShows.length} shows`, { fetchMode: 'static' });
+      return rawShows;
+    }
+
+    logger.info('No show rows in static HTML, falling back to browser', {
+      selector: selectors.showRow,
+    });
+  }
+
+  return fetchShowsWithBrowser(context, url, selectors);
+}
+
+/**
+ * Renders the all-shows page in the browser and extracts rows there.
+ * @param {Object} context - Fetch context
+ * @param {string} url - All-shows URL
+ * @param {Object} selectors - Selector strings from getSelectors()
+ * @returns {Promise<Array>} Raw show data from page
+ */
+async function fetchShowsWithBrowser(context, url, selectors) {
+  logger.info('Scraping all shows', { url });
+
+  const page = await context.newPage();
+
+  try {
+    await context.gotoPage(page, url, {
+      waitUntil: 'networkidle2',
+      timeout: config.puppeteer.timeout,
+    });
+
+    // Wait for JS-rendered content to appear. Keep what did render if it
+    // never does, so the markup change can be diagnosed.
+    try {
+      await page.waitForSelector(selectors.showRow, { timeout: 15000 });
+    } catch (error) {
+      await context.captureSnapshot(NAME, { url, page });
+      throw error;
+    }
+
+    const snapshot = await context.captureSnapshot(NAME, { url, page });
+    await context.savePage(url, snapshot.html);
+
+    // Extract shows using browser-side evaluation
+    const rawShows = await page.$$eval(
+      selectors.showRow,
+      createShowExtractor(),
+      selectors.artistLinks,
+      selectors.dateTime,
+      selectors.venue,
+      config.detailSelectors
+    );
+
+    logger.info(`Found ${rawShows.length} shows`, { fetchMode: 'browser' });
+    return rawShows;
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = {
+  name: NAME,
+  label: 'OhMyRockness',
+  fetchStrategy: 'browser',
+  selectors: getSelectors(),
+  fetch: fetchShows,
+  parse: parseShows,
+};
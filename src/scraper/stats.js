@@ -0,0 +1,102 @@
+/**
+ * Show file statistics.
+ *
+ * Summarises a shows file for the `stats` CLI command: how many shows each
+ * venue and day has, and how many have no announced start time yet.
+ */
+
+const { TIME_TBA } = require('../shared/datetime');
+const { getShowStatus } = require('../shared/status');
+
+/**
+ * Checks whether a show's start time is unknown (date-only or "TBA").
+ * @param {Object} show
+ * @returns {boolean}
+ */
+function hasUnknownTime(show) {
+  return show.time === TIME_TBA || !String(show.startsAt).includes('T');
+}
+
+/**
+ * Counts shows and unknown-time shows per key.
+ * @param {Array} shows
+ * @param {Function} keyFn
+ * @returns {Map<string, {count: number, unknownTime: number}>}
+ */
+function countBy(shows, keyFn) {
+  const counts = new Map();
+  for (const show of shows) {
+    const key = keyFn(show);
+    const entry = counts.get(key) || { count: 0, unknownTime: 0 };
+    entry.count++;
+    if (hasUnknownTime(show)) entry.unknownTime++;
+    counts.set(key, entry);
+  }
+  return counts;
+}
+
+/**
+ * Computes statistics for a list of shows.
+ * @param {Array} shows - Valid shows
+ * @returns {{
+ *   total: number,
+ *   unknownTime: number,
+ *   byStatus: Object<string, number>,
+ *   byVenue: Array<{venue: string, count: number, unknownTime: number}>,
+ *   byDay: Array<{day: string, count: number, unknownTime: number}>
+ * }} Venues busiest first (then by name), days in date order (YYYY-MM-DD)
+ */
+function computeStats(shows) {
+  const byStatus = {};
+  for (const show of shows) {
+    const status = getShowStatus(show);
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  }
+
+  const byVenue = [...countBy(shows, show => show.venue)]
+    .map(([venue, counts]) => ({ venue, ...counts }))
+    .sort((a, b) => b.count - a.count || a.venue.localeCompare(b.venue));
+
+  const byDay = [...countBy(shows, show => String(show.startsAt).slice(0, 10))]
+    .map(([day, counts]) => ({ day, ...counts }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+  return {
+    total: shows.length,
+    unknownTime: shows.filter(hasUnknownTime).length,
+    byStatus,
+    byVenue,
+    byDay,
+  };
+}
+
+/**
+ * Formats statistics as a human-readable report.
+ * @param {ReturnType<typeof computeStats>} stats
+ * @returns {string}
+ */
+function formatStats(stats) {
+  const statuses = Object.entries(stats.byStatus).map(([status, count]) => `${count} ${status}`);
+  const lines = [
+    `${stats.total} shows, ${stats.unknownTime} with unknown time` +
+    (statuses.length > 0 ? ` (${statuses.join(', ')})` : ''),
+  ];
+
+  const row = (label, { count, unknownTime }) =>
+    `  ${String(count).padStart(4)}  ${label}${unknownTime > 0 ? ` (${unknownTime} unknown time)` : ''}`;
+
+  if (stats.byVenue.length > 0) {
+    lines.push('', 'By venue:', ...stats.byVenue.map(entry => row(entry.venue, entry)));
+  }
+
+  if (stats.byDay.length > 0) {
+    lines.push('', 'By day:', ...stats.byDay.map(entry => row(entry.day, entry)));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  computeStats,
+  formatStats,
+};
@@ -0,0 +1,83 @@
+/**
+ * Show status tracking between runs.
+ *
+ * Shows that are cancelled, postponed or vanish from their listing aren't
+ * dropped straight away: they stay in shows.json with a `status` for a grace
+ * period so the app can tell users. Statuses read from listing text come in
+ * with the parsed shows; this module adds "unlisted" for upcoming shows that
+ * disappeared from a source that ran, keeps the time each status was first
+ * seen and drops unlisted shows whose grace period has run out. Shows still
+ * listed stay whatever their status, since dropping them would only bring
+ * them back next run with a new first-seen time.
+ */
+
+const { config } = require('./config');
+const { diffShows } = require('./diff');
+const { isSameShow } = require('./merge');
+const { STATUS_SCHEDULED, getShowStatus } = require('../shared/status');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sets a show's status fields. Scheduled shows carry neither field.
+ * @param {Object} show
+ * @param {string} status
+ * @param {string} changedAt - ISO 8601
+ * @returns {Object} New show object
+ */
+function withStatus(show, status, changedAt) {
+  const { status: _status, statusChangedAt: _changedAt, ...rest } = show;
+  if (status === STATUS_SCHEDULED) return rest;
+  return { ...rest, status, statusChangedAt: changedAt };
+}
+
+/**
+ * Applies status tracking to the shows about to be saved.
+ *
+ * @param {Array} previousShows - Shows from the last saved file
+ * @param {Array} nextShows - Combined shows from this run, with ids
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {number} [options.graceDays=config.status.graceDays] - How long
+ *   shows missing from this run are kept after their status was first seen
+ * @returns {Array} Shows to save: nextShows plus retained unlisted shows
+ *   whose grace period hasn't run out
+ */
+function trackShowStatus(previousShows, nextShows, {
+  now = new Date(),
+  graceDays = config.status.graceDays,
+} = {}) {
+  const nowIso = now.toISOString();
+  const previousById = new Map(
+    previousShows.filter(show => show && show.id).map(show => [show.id, show])
+  );
+
+  // Keep the first-seen time while a show's status stays the same
+  const track = (show, status) => {
+    const previous = previousById.get(show.id);
+    const since = previous && getShowStatus(previous) === status && previous.statusChangedAt;
+    return withStatus(show, status, since || nowIso);
+  };
+
+  const tracked = nextShows.map(show => track(show, getShowStatus(show)));
+
+  // Upcoming shows that vanished (not moved or past) stay, flagged unlisted,
+  // until their grace period runs out. A show whose lineup changed is still
+  // listed, just under a new id.
+  const cutoff = now.getTime() - graceDays * DAY_MS;
+  const { removed } = diffShows(previousShows, nextShows, { now });
+  for (const show of removed) {
+    if (nextShows.some(next => isSameShow(show, next))) continue;
+    const status = getShowStatus(show);
+    const kept = track(show, status === STATUS_SCHEDULED ? 'unlisted' : status);
+    if (Date.parse(kept.statusChangedAt) >= cutoff) {
+      tracked.push(kept);
+    }
+  }
+
+  return tracked;
+}
+
+module.exports = {
+  trackShowStatus,
+};
@@ -0,0 +1,115 @@
+/**
+ * Artist alias table service.
+ *
+ * Loads the alias table (data/artist-aliases.json) once and keeps it in
+ * memory. Unlike the venue registry it's edited at runtime through the
+ * admin API, so saves replace the in-memory copy too. Each save must name
+ * the version it was based on, so two admins can't overwrite each other's
+ * edits unseen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { logger } = require('../shared/logger');
+const { createArtistAliases } = require('../shared/artistAliases');
+
+let aliasesPromise = null;
+
+// Saves run one at a time so the version check sees every earlier save
+let saveQueue = Promise.resolve();
+
+/**
+ * Gets the alias table, loading it on first use.
+ * A missing or invalid file gives an empty table so matching still works,
+ * just without overrides.
+ * @returns {Promise<ReturnType<typeof createArtistAliases>>}
+ */
+function getArtistAliases() {
+  if (!aliasesPromise) {
+    aliasesPromise = loadAliases();
+  }
+  return aliasesPromise;
+}
+
+/**
+ * @returns {Promise<ReturnType<typeof createArtistAliases>>}
+ */
+async function loadAliases() {
+  const aliasesPath = path.resolve(config.artists.aliasesPath);
+
+  try {
+    const content = await fs.promises.readFile(aliasesPath, 'utf-8');
+    const aliases = createArtistAliases(JSON.parse(content));
+    logger.info('Loaded artist aliases', {
+      version: aliases.version,
+      artists: aliases.artists.length,
+      blocked: aliases.blocked.length,
+    });
+    return aliases;
+  } catch (error) {
+    logger.error('Failed to load artist aliases', { path: aliasesPath, error: error.message });
+    return createArtistAliases({ version: 0, artists: [], blocked: [] });
+  }
+}
+
+/**
+ * Replaces the alias table. The new table gets the next version number.
+ * @param {{version: number, artists: Array, blocked: Array}} data - The
+ *   whole table, with the version the edit was based on
+ * @returns {Promise<{aliases: Object}|{error: string, conflict?: boolean}>}
+ *   The saved table, or why it wasn't saved: `conflict` when the table
+ *   changed since `version`, otherwise the data is invalid
+ * @throws {Error} If the file can't be written
+ */
+function saveArtistAliases(data) {
+  const save = saveQueue.then(async () => {
+    const current = await getArtistAliases();
+    if (data?.version !== current.version) {
+      return { error: `Artist aliases have changed since version ${data?.version}; current version is ${current.version}`, conflict: true };
+    }
+
+    const table = {
+      version: current.version + 1,
+      artists: data.artists,
+      blocked: data.blocked,
+    };
+
+    let aliases;
+    try {
+      aliases = createArtistAliases(table);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    // Written to a temporary file and renamed so a crash never leaves half a table
+    const aliasesPath = path.resolve(config.artists.aliasesPath);
+    const tempPath = `${aliasesPath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(table, null, 2) + '\n');
+    await fs.promises.rename(tempPath, aliasesPath);
+
+    aliasesPromise = Promise.resolve(aliases);
+    logger.info('Saved artist aliases', {
+      version: aliases.version,
+      artists: aliases.artists.length,
+      blocked: aliases.blocked.length,
+    });
+    return { aliases };
+  });
+
+  saveQueue = save.catch(() => {});
+  return save;
+}
+
+/**
+ * Forgets the loaded table so the next call re-reads the file.
+ */
+function clearArtistAliases() {
+  aliasesPromise = null;
+}
+
+module.exports = {
+  getArtistAliases,
+  saveArtistAliases,
+  clearArtistAliases,
+};
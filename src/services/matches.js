@@ -0,0 +1,198 @@
+/**
+ * Show matches for GET /api/matches.
+ *
+ * The matching itself is findMatchingShows (shared/normalize.js). This
+ * adds what the user needs to see why a show matched: their own spelling
+ * of each matched artist, and whether it's one of their top artists, from
+ * their liked songs, or both. It also scores each show's relevance for the
+ * "Best for you" sort, so a headline show by the user's #1 artist ranks
+ * above a support slot by an artist on one liked song.
+ *
+ * Matching a big library against every show still blocks the event loop
+ * for a moment, so each user's matches are kept and reused until their
+ * artists, the shows or the alias table change. After a change the kept
+ * matches are served while new ones are worked out in the background, so
+ * a shows reload or alias save doesn't stall every user's next request.
+ */
+
+const { CONFIDENT_MATCH, normalizeArtistName, findMatchingShows } = require('../shared/normalize');
+const { logger } = require('../shared/logger');
+
+// Top artists Spotify returns (getTopArtists); the last one still scores a little
+const TOP_ARTISTS = 50;
+
+// An artist on this many liked songs counts half as much as the #1 top artist
+const LIKED_TRACKS_HALF = 5;
+
+// Weight of an artist that isn't headlining
+const SUPPORT_WEIGHT = 0.6;
+
+// Users whose matches are kept; the least recently used are dropped first
+const MAX_CACHED_USERS = 100;
+
+// userId + city -> { key, matches, refreshing }; refreshing is the key
+// being matched in the background, if any
+const matchCache = new Map();
+
+/**
+ * Indexes the user's artists by normalized name. The first spelling seen
+ * is kept, top artists first.
+ * @param {Array<{name: string}>} topArtists - In Spotify's rank order
+ * @param {Array<{name: string, likedTracks?: number}>} likedArtists
+ * @returns {Map<string, {name: string, sources: string[], topRank: number|null, likedTracks: number}>}
+ *   sources holds "top" and/or "liked"; topRank is 1 for the top artist
+ */
+function indexUserArtists(topArtists, likedArtists) {
+  const index = new Map();
+
+  const entryFor = artist => {
+    const key = normalizeArtistName(artist?.name);
+    if (!key) return null;
+    if (!index.has(key)) {
+      index.set(key, { name: artist.name, sources: [], topRank: null, likedTracks: 0 });
+    }
+    return index.get(key);
+  };
+
+  topArtists.forEach((artist, position) => {
+    const entry = entryFor(artist);
+    if (!entry || entry.topRank !== null) return;
+    entry.sources.push('top');
+    entry.topRank = position + 1;
+  });
+
+  for (const artist of likedArtists) {
+    const entry = entryFor(artist);
+    if (!entry) continue;
+    if (!entry.sources.includes('liked')) entry.sources.push('liked');
+    entry.likedTracks += artist.likedTracks || 1;
+  }
+
+  return index;
+}
+
+/**
+ * Scores how much one matched artist says the user will want the show:
+ * how much they listen to the artist (top artist rank and liked songs,
+ * either of which can score it highly), times whether the artist
+ * headlines, times the match confidence.
+ * @param {{topRank: number|null, likedTracks: number, position: number, confidence: number}} entry
+ * @returns {number}
+ */
+function artistRelevance({ topRank, likedTracks, position, confidence }) {
+  const top = topRank ? 1 - (Math.min(topRank, TOP_ARTISTS) - 1) / TOP_ARTISTS : 0;
+  const liked = likedTracks / (likedTracks + LIKED_TRACKS_HALF);
+  const affinity = 1 - (1 - top) * (1 - liked);
+
+  return affinity * (position === 0 ? 1 : SUPPORT_WEIGHT) * confidence;
+}
+
+/**
+ * Finds the shows matching the user's top and liked artists.
+ * @param {Array<{name: string}>} topArtists - From spotify.getTopArtists
+ * @param {Array<{name: string}>} likedArtists - From spotify.getLikedArtists
+ * @param {Array} shows
+ * @param {Object} [options] - findMatchingShows options (now, lookBackDays,
+ *   threshold, aliases)
+ * @returns {Array} Copies of the matching shows, sorted by date, each with
+ *   `match: {artist, userArtist, confidence, method, position, sources,
+ *   topRank, likedTracks, possible, score, artists}`: the best-matching
+ *   lineup artist, and in `artists` every one that matched. userArtist is
+ *   the user's spelling; possible is true below CONFIDENT_MATCH; score is
+ *   the show's relevance, the sum of its matched artists' (more is better)
+ */
+function findUserMatches(topArtists, likedArtists, shows, options) {
+  const userArtists = indexUserArtists(topArtists, likedArtists);
+
+  return findMatchingShows(new Set(userArtists.keys()), shows, options).map(show => {
+    const artists = show.match.artists.map(entry => {
+      const { name, sources, topRank, likedTracks } = userArtists.get(entry.userArtist);
+      return { ...entry, userArtist: name, sources: [...sources], topRank, likedTracks };
+    });
+    const best = artists.find(entry => entry.artist === show.match.artist);
+    const score = artists.reduce((total, entry) => total + artistRelevance(entry), 0);
+
+    return {
+      ...show,
+      match: {
+        ...best,
+        possible: best.confidence < CONFIDENT_MATCH,
+        score: Math.round(score * 1000) / 1000,
+        artists,
+      },
+    };
+  });
+}
+
+/**
+ * Gets a user's matches among all of a city's shows, past ones included
+ * (filter them with filterUpcoming), matching only when the user's
+ * artists, the shows or the alias table changed since the last call.
+ * Then the user's previous matches are returned while the new ones are
+ * worked out after this request; only a user's first call waits for them.
+ * @param {string} userId
+ * @param {Object} data
+ * @param {string} data.city
+ * @param {Array<{name: string}>} data.topArtists
+ * @param {Array<{name: string, likedTracks?: number}>} data.likedArtists
+ * @param {Array} data.shows - All of the city's shows
+ * @param {string} data.version - The shows' version (see getShowsSnapshot)
+ * @param {Object} data.aliases - Alias table (see shared/artistAliases.js)
+ * @param {number} data.threshold - Lowest match confidence
+ * @returns {Array} As findUserMatches; shared between calls, so don't modify
+ */
+function getUserMatches(userId, { city, topArtists, likedArtists, shows, version, aliases, threshold }) {
+  const cacheKey = `${userId}\n${city}`;
+  const key = JSON.stringify([
+    version,
+    aliases.version,
+    threshold,
+    topArtists.map(artist => artist.name),
+    likedArtists.map(artist => [artist.name, artist.likedTracks]),
+  ]);
+
+  const match = () => findUserMatches(topArtists, likedArtists, shows, { lookBackDays: Infinity, threshold, aliases });
+
+  const cached = matchCache.get(cacheKey);
+  if (!cached) {
+    const matches = match();
+    matchCache.set(cacheKey, { key, matches, refreshing: null });
+    if (matchCache.size > MAX_CACHED_USERS) {
+      matchCache.delete(matchCache.keys().next().value);
+    }
+    return matches;
+  }
+
+  // Most recently used last, so the least recently used go first
+  matchCache.delete(cacheKey);
+  matchCache.set(cacheKey, cached);
+
+  if (cached.key !== key && cached.refreshing !== key) {
+    cached.refreshing = key;
+    setImmediate(() => {
+      // A newer refresh, or clearMatchCache, supersedes this one
+      if (matchCache.get(cacheKey) !== cached || cached.refreshing !== key) return;
+      try {
+        cached.matches = match();
+        cached.key = key;
+      } catch (error) {
+        logger.error('Failed to refresh matches', { userId, city, error: error.message });
+      }
+      cached.refreshing = null;
+    });
+  }
+  return cached.matches;
+}
+
+/**
+ * Forgets every user's cached matches.
+ */
+function clearMatchCache() {
+  matchCache.clear();
+}
+
+module.exports = {
+  findUserMatches,
+  getUserMatches,
+  clearMatchCache,
+};
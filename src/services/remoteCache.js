@@ -0,0 +1,133 @@
+/**
+ * Last-known-good copy of the remote shows data.
+ *
+ * The remote URL is the fallback when the local shows file is missing, so
+ * when it's down too there would be nothing to serve. Every remote payload
+ * that passes validation is saved to disk (config.shows.remoteCachePath)
+ * with its fetch time and a checksum, and served, flagged stale, when both
+ * sources fail. Payloads that look corrupted next to the last good copy -
+ * mostly invalid shows, or far fewer of them - are rejected rather than
+ * replacing it. A drop in show count can be real (a season ending, a source
+ * removed), so once the last good copy is old enough a smaller payload is
+ * accepted rather than serving older and older data for good.
+ *
+ * File format:
+ * { "fetchedAt", "url", "showCount", "checksum": sha256 of shows, "shows": [...] }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { logger } = require('../shared/logger');
+
+// More invalid shows than this and the payload's format has probably changed
+const MAX_INVALID_RATIO = 0.2;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * @param {Array} shows
+ * @returns {string} Hex sha256 of the shows
+ */
+function checksumShows(shows) {
+  return crypto.createHash('sha256').update(JSON.stringify(shows)).digest('hex');
+}
+
+/**
+ * Reads the last good remote payload.
+ * @param {string} [cachePath=config.shows.remoteCachePath]
+ * @returns {Promise<{fetchedAt: string, url: string, showCount: number, shows: Array}|null>}
+ *   null if there isn't one, or it's unreadable or fails its checksum
+ */
+async function loadRemoteCache(cachePath = config.shows.remoteCachePath) {
+  let cached;
+  try {
+    cached = JSON.parse(await fs.promises.readFile(path.resolve(cachePath), 'utf-8'));
+  } catch (error) {
+    logger.debug('No remote shows cache', { path: cachePath, error: error.message });
+    return null;
+  }
+
+  if (!Array.isArray(cached?.shows) || cached.checksum !== checksumShows(cached.shows)) {
+    logger.warn('Ignoring corrupted remote shows cache', { path: cachePath });
+    return null;
+  }
+
+  return cached;
+}
+
+/**
+ * Saves a validated remote payload as the last good copy. Written to a
+ * temporary file and renamed so a crash never leaves half a cache.
+ * @param {Array} shows - Validated shows
+ * @param {Object} options
+ * @param {Date} options.fetchedAt
+ * @param {string} options.url
+ * @param {string} [options.cachePath=config.shows.remoteCachePath]
+ */
+async function saveRemoteCache(shows, { fetchedAt, url, cachePath = config.shows.remoteCachePath }) {
+  const target = path.resolve(cachePath);
+  const tempPath = `${target}.tmp`;
+  const cached = {
+    fetchedAt: fetchedAt.toISOString(),
+    url,
+    showCount: shows.length,
+    checksum: checksumShows(shows),
+    shows,
+  };
+
+  try {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(cached));
+    await fs.promises.rename(tempPath, target);
+    logger.debug('Saved remote shows cache', { path: target, count: shows.length });
+  } catch (error) {
+    // The fetched data is still served; only the fallback copy is out of date
+    logger.error('Failed to save remote shows cache', { path: target, error: error.message });
+  }
+}
+
+/**
+ * Checks a remote payload looks sound next to the last good copy.
+ * @param {number} rawCount - Shows in the payload
+ * @param {number} validCount - Shows that passed validation
+ * @param {Object|null} lastGood - From loadRemoteCache()
+ * @param {Object} [options]
+ * @param {number} [options.maxDropRatio=config.shows.remoteMaxDropRatio] - Largest
+ *   allowed drop in show count vs the last good copy
+ * @param {number} [options.maxDropAgeHours=config.shows.remoteMaxDropAgeHours] - A
+ *   last good copy fetched longer ago than this no longer holds back a drop
+ * @param {Date} [options.now=new Date()]
+ * @returns {string[]} Problems; empty if the payload can be used
+ */
+function checkRemotePayload(rawCount, validCount, lastGood, {
+  maxDropRatio = config.shows.remoteMaxDropRatio,
+  maxDropAgeHours = config.shows.remoteMaxDropAgeHours,
+  now = new Date(),
+} = {}) {
+  if (validCount === 0) {
+    return [rawCount === 0 ? 'no shows' : `none of ${rawCount} shows are valid`];
+  }
+
+  const problems = [];
+  const invalid = rawCount - validCount;
+  if (invalid / rawCount > MAX_INVALID_RATIO) {
+    problems.push(`${invalid} of ${rawCount} shows are invalid`);
+  }
+
+  // Every payload since the last good copy has been rejected; after this
+  // long the drop is taken as real
+  const lastGoodAge = lastGood ? (now.getTime() - Date.parse(lastGood.fetchedAt)) / HOUR_MS : 0;
+  if (lastGood && validCount < lastGood.showCount * (1 - maxDropRatio) && !(lastGoodAge >= maxDropAgeHours)) {
+    problems.push(`show count dropped from ${lastGood.showCount} to ${validCount}`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  loadRemoteCache,
+  saveRemoteCache,
+  checkRemotePayload,
+};
@@ -0,0 +1,314 @@
+/**
+ * Show list queries for GET /api/upcoming-shows and GET /api/matches.
+ *
+ * Parses and validates the endpoints' query parameters, then filters,
+ * sorts and pages a city's shows:
+ *
+ *   includePast - "true" for every past show still in the data, or a number
+ *                 of days to look back (default: config.shows.lookBackDays)
+ *   from, to  - YYYY-MM-DD, inclusive, compared with the venue-local date
+ *   venue     - venue name (any registry alias) or registry venue id
+ *   artist    - case- and accent-insensitive substring of any artist
+ *   borough   - one of BOROUGHS, "none" for venues outside NYC, or
+ *               "unknown" for venues missing from the registry (no location)
+ *   sort      - date (default), venue or artist; "-" prefix for descending.
+ *               /api/matches also takes relevance: best for the user first
+ *               (match.score, see services/matches.js)
+ *   limit     - page size (1-MAX_LIMIT); without it every match is returned
+ *   cursor    - nextCursor from the previous page
+ *
+ * Cursors encode the sort position of the last show returned rather than
+ * an offset, so a page doesn't repeat or skip shows when the data is
+ * reloaded between requests.
+ */
+
+const { BOROUGHS, normalizeVenueName } = require('../shared/venues');
+const { normalizeArtistName } = require('../shared/normalize');
+
+const SORT_FIELDS = ['date', 'venue', 'artist'];
+const MATCH_SORT_FIELDS = [...SORT_FIELDS, 'relevance'];
+const MAX_LIMIT = 500;
+const MAX_ARTIST_LENGTH = 200;
+const MAX_LOOK_BACK_DAYS = 365;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// borough value for shows at venues missing from the registry
+const UNKNOWN_LOCATION = 'unknown';
+const BOROUGH_ERROR = `borough must be one of: ${BOROUGHS.join(', ')}, none, ${UNKNOWN_LOCATION}`;
+
+/**
+ * Lowercases, strips accents and collapses whitespace for substring search.
+ * @param {string} text
+ * @returns {string}
+ */
+function searchText(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')  // Strip accents
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Checks a YYYY-MM-DD string is a real date.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Reads a borough parameter the way /api/venues does.
+ * @param {string} value
+ * @returns {string|null|undefined} Borough name, null for "none",
+ *   UNKNOWN_LOCATION, or undefined if not a valid value
+ */
+function parseBorough(value) {
+  const requested = String(value).toLowerCase();
+  if (requested === 'none') return null;
+  if (requested === UNKNOWN_LOCATION) return UNKNOWN_LOCATION;
+  return BOROUGHS.find(name => name.toLowerCase() === requested);
+}
+
+/**
+ * Checks a show is in a borough from parseBorough.
+ * @param {Object} show
+ * @param {string|null} borough
+ * @returns {boolean}
+ */
+function isInBorough(show, borough) {
+  // Shows at venues missing from the registry only match UNKNOWN_LOCATION
+  if (!show.location) return borough === UNKNOWN_LOCATION;
+  return show.location.borough === borough;
+}
+
+/**
+ * Gets the values a show is ordered by: the sort field, then start time
+ * and id so the order (and so every cursor) is total.
+ * @param {Object} show
+ * @param {string} field - One of MATCH_SORT_FIELDS
+ * @returns {Array<string|number>} The relevance sort's first value is
+ *   the negated score, so the best match comes first
+ */
+function sortKey(show, field) {
+  const primary = {
+    date: () => show.startsAt,
+    venue: () => normalizeVenueName(show.venue),
+    artist: () => normalizeArtistName(show.artists[0]),
+    relevance: () => -show.match.score,
+  }[field]();
+  return [primary, show.startsAt, show.id];
+}
+
+/**
+ * Compares two sort keys; only the sort field is reversed for descending.
+ * @param {Array<string|number>} a
+ * @param {Array<string|number>} b
+ * @param {boolean} descending
+ * @returns {number}
+ */
+function compareKeys(a, b, descending) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue;
+    const order = a[i] < b[i] ? -1 : 1;
+    return i === 0 && descending ? -order : order;
+  }
+  return 0;
+}
+
+/**
+ * Encodes a page position as an opaque cursor.
+ * @param {string} sort
+ * @param {Array<string|number>} key
+ * @returns {string}
+ */
+function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor.
+ * @param {string} cursor
+ * @returns {{sort: string, key: Array<string|number>}|null} null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    const valid = typeof decoded?.sort === 'string' &&
+      Array.isArray(decoded.key) &&
+      decoded.key.length === 3 &&
+      (typeof decoded.key[0] === 'string' || Number.isFinite(decoded.key[0])) &&
+      decoded.key.slice(1).every(value => typeof value === 'string');
+    return valid ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses and validates the query parameters.
+ * @param {Object} params - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.matches=false] - Parsing for /api/matches, whose
+ *   shows can be sorted by relevance
+ * @returns {{query: Object}|{error: string}} The parsed query, or the first
+ *   problem found, worded for a 400 response
+ */
+function parseShowQuery(params, { matches = false } = {}) {
+  const query = { sort: 'date' };
+
+  for (const name of ['includePast', 'from', 'to', 'venue', 'artist', 'borough', 'sort', 'limit', 'cursor']) {
+    if (params[name] !== undefined && typeof params[name] !== 'string') {
+      return { error: `${name} must be given once` };
+    }
+  }
+
+  if (params.includePast !== undefined) {
+    const value = params.includePast.toLowerCase();
+    const days = Number(value);
+    if (value === 'true' || value === 'false') {
+      query.lookBackDays = value === 'true' ? Infinity : 0;
+    } else if (/^\d+$/.test(value) && days <= MAX_LOOK_BACK_DAYS) {
+      query.lookBackDays = days;
+    } else {
+      return { error: `includePast must be true, false or a number of days from 0 to ${MAX_LOOK_BACK_DAYS}` };
+    }
+  }
+
+  for (const name of ['from', 'to']) {
+    if (params[name] === undefined) continue;
+    if (!isValidDate(params[name])) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+    query[name] = params[name];
+  }
+  if (query.from && query.to && query.from > query.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (params.venue !== undefined) {
+    if (!normalizeVenueName(params.venue)) {
+      return { error: 'venue must not be empty' };
+    }
+    query.venue = params.venue;
+  }
+
+  if (params.artist !== undefined) {
+    const artist = searchText(params.artist);
+    if (!artist || artist.length > MAX_ARTIST_LENGTH) {
+      return { error: `artist must be 1-${MAX_ARTIST_LENGTH} characters` };
+    }
+    query.artist = artist;
+  }
+
+  if (params.borough !== undefined) {
+    const borough = parseBorough(params.borough);
+    if (borough === undefined) {
+      return { error: BOROUGH_ERROR };
+    }
+    query.borough = borough;
+  }
+
+  if (params.sort !== undefined) {
+    const field = params.sort.replace(/^-/, '');
+    const fields = matches ? MATCH_SORT_FIELDS : SORT_FIELDS;
+    if (!fields.includes(field)) {
+      return { error: `sort must be one of: ${fields.join(', ')} (prefix with - for descending)` };
+    }
+    query.sort = params.sort;
+  }
+
+  if (params.limit !== undefined) {
+    const limit = Number(params.limit);
+    if (!/^\d+$/.test(params.limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+    query.limit = limit;
+  }
+
+  if (params.cursor !== undefined) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      return { error: 'cursor is invalid' };
+    }
+    if (cursor.sort !== query.sort) {
+      return { error: 'cursor was made for a different sort' };
+    }
+    query.cursor = cursor;
+  }
+
+  return { query };
+}
+
+/**
+ * Checks a show against the query's filters.
+ * @param {Object} show
+ * @param {Object} query - From parseShowQuery, optionally with `venueId`:
+ *   the registry id the venue parameter resolves to
+ * @returns {boolean}
+ */
+function matchesQuery(show, query) {
+  const day = show.startsAt.slice(0, 10);
+  if (query.from && day < query.from) return false;
+  if (query.to && day > query.to) return false;
+
+  if (query.venue !== undefined &&
+    normalizeVenueName(show.venue) !== normalizeVenueName(query.venue) &&
+    (!show.location || show.location.venueId !== (query.venueId ?? query.venue))) {
+    return false;
+  }
+
+  if (query.artist !== undefined &&
+    !show.artists.some(artist => searchText(artist).includes(query.artist))) {
+    return false;
+  }
+
+  if (query.borough !== undefined && !isInBorough(show, query.borough)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Filters, sorts and pages shows.
+ * @param {Array} shows - Valid shows (from findUserMatches when sorting by relevance)
+ * @param {Object} query - From parseShowQuery
+ * @returns {{shows: Array, total: number, nextCursor: string|null}} One page,
+ *   the number of shows matching the filters and the cursor for the next
+ *   page (null on the last one)
+ */
+function queryShows(shows, query) {
+  const field = query.sort.replace(/^-/, '');
+  const descending = query.sort.startsWith('-');
+
+  const sorted = shows
+    .filter(show => matchesQuery(show, query))
+    .map(show => ({ show, key: sortKey(show, field) }))
+    .sort((a, b) => compareKeys(a.key, b.key, descending));
+
+  const remaining = query.cursor
+    ? sorted.filter(({ key }) => compareKeys(key, query.cursor.key, descending) > 0)
+    : sorted;
+  const page = query.limit ? remaining.slice(0, query.limit) : remaining;
+  const hasMore = page.length < remaining.length;
+
+  return {
+    shows: page.map(({ show }) => show),
+    total: sorted.length,
+    nextCursor: hasMore ? encodeCursor(query.sort, page[page.length - 1].key) : null,
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  UNKNOWN_LOCATION,
+  BOROUGH_ERROR,
+  parseBorough,
+  parseShowQuery,
+  queryShows,
+};
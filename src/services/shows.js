@@ -2,72 +2,244 @@
  * Concert/show data service.
  *
  * Loads show data from local JSON file (produced by scraper)
- * or falls back to remote URL.
+ * or falls back to remote URL. Shows are per city: the default city reads
+ * config.shows.localPath, other cities the same filename in a
+ * subdirectory named after the city (see src/shared/cities.js).
  *
  * Data flow:
- *   scraper runs → writes data/shows.json → web app reads it
+ *   scraper runs → writes data/shows.json + data/manifest.json → web app reads them
  *
  * Expected show structure (flat, clean):
  * {
+ *   id: string,
  *   artists: string[],
  *   venue: string,
- *   date: string,
- *   time: string
+ *   startsAt: string,  // ISO 8601, venue-local with offset
+ *   date: string,      // display, derived from startsAt
+ *   time: string       // display, derived from startsAt
  * }
+ *
+ * On load, venue names are canonicalised against the venue registry and
+ * known venues get a `location` (address, neighborhood, borough, lat/lon).
+ *
+ * Local files are watched: a new scrape is swapped in as soon as it lands,
+ * unless it fails to load, in which case the last good copy stays in use.
+ * Remote data expires after CACHE_TTL_MS; its last good copy is kept on
+ * disk for when the remote is down too (see remoteCache.js).
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { config } = require('../config');
 const { logger } = require('../shared/logger');
-const { validateShows } = require('../shared/types');
+const { validateShows, SHOW_SCHEMA_VERSION } = require('../shared/types');
+const { assignShowIds } = require('../shared/showId');
+const { backfillStartsAt, isUpcomingShow } = require('../shared/datetime');
+const { backfillStatus } = require('../shared/status');
+const { attachVenue } = require('../shared/venues');
+const { DEFAULT_CITY, cityDataPath, backfillCity } = require('../shared/cities');
+const { getVenueRegistry } = require('./venues');
+const { loadRemoteCache, saveRemoteCache, checkRemotePayload } = require('./remoteCache');
+
+// Cache for show data, by city id. Entries are replaced whole, never edited:
+// { shows, manifest (null for remote data), source: 'local'|'remote', stale,
+//   version, lastModified (Date), timestamp }
+const cache = new Map();
+const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes, for remote data and unwatched files
 
-// Cache for show data
-let cachedShows = null;
-let cacheTimestamp = null;
-const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+// { watcher, cancelReload } by city id; a watched city's cache is reloaded on change instead of expiring
+const watchers = new Map();
+// A scrape writes shows.json, changes.json and manifest.json in quick succession
+const RELOAD_DEBOUNCE_MS = 500;
 
 /**
- * Attempts to load shows from local file first, then remote.
- * @returns {Promise<Array>} Array of show objects
+ * Gets all of a city's shows, past ones included, with a version for HTTP
+ * caching, loading them if needed.
+ * @param {string} [city=DEFAULT_CITY] - City id
+ * @returns {Promise<{shows: Array, version: string, lastModified: Date, stale: boolean}>}
+ *   version is a hash of the validated shows; lastModified is the shows
+ *   file's mtime (or when remote data was fetched); stale is true when both
+ *   sources failed and the last good remote copy is being served
  */
-async function getUpcomingShows() {
+async function getShowsSnapshot(city = DEFAULT_CITY) {
   // Return cached data if still valid
-  if (cachedShows && cacheTimestamp && (Date.now() - cacheTimestamp < CACHE_TTL_MS)) {
-    logger.debug('Returning cached shows data');
-    return cachedShows;
+  const cached = cache.get(city);
+  const watched = cached?.source === 'local' && watchers.has(city);
+  if (cached && (watched || Date.now() - cached.timestamp < CACHE_TTL_MS)) {
+    logger.debug('Returning cached shows data', { city });
+    return cached;
   }
 
-  let shows = null;
+  return loadShows(city);
+}
+
+/**
+ * Keeps the shows that haven't started yet, in venue-local time (see
+ * isUpcomingShow), or started within the look-back window.
+ * @param {Array} shows
+ * @param {Object} [options]
+ * @param {number} [options.lookBackDays=config.shows.lookBackDays] - Infinity keeps every show
+ * @param {Date} [options.now=new Date()]
+ * @returns {Array}
+ */
+function filterUpcoming(shows, { lookBackDays = config.shows.lookBackDays, now = new Date() } = {}) {
+  return shows.filter(show => isUpcomingShow(show, { now, lookBackDays }));
+}
+
+/**
+ * Attempts to load a city's shows from local file first, then remote,
+ * and returns those that haven't happened yet.
+ * @param {string} [city=DEFAULT_CITY] - City id
+ * @param {Object} [options] - filterUpcoming() options
+ * @returns {Promise<Array>} Array of show objects
+ */
+async function getUpcomingShows(city = DEFAULT_CITY, options) {
+  return filterUpcoming((await getShowsSnapshot(city)).shows, options);
+}
+
+/**
+ * Loads a city's shows and swaps them into the cache. A local file that
+ * can't be read, isn't a shows array or has no valid shows leaves the last
+ * good copy in place, so a broken or half-written scrape never replaces
+ * working data.
+ * @param {string} city - City id
+ * @returns {Promise<Object>} The cache entry now in use
+ */
+async function loadShows(city) {
+  const previous = cache.get(city);
+  let manifest = null;
+  let source = 'local';
 
   // Try local file first
-  shows = await loadFromLocalFile();
+  let loaded = await loadFromLocalFile(city);
+  if (loaded) {
+    manifest = await loadManifest(city);
+    watchLocalFile(city);
+  }
 
-  // Fall back to remote if local fails
-  if (!shows) {
-    shows = await loadFromRemote();
+  if (!loaded && previous?.source === 'local') {
+    return keepPrevious(city, previous, 'Shows file could not be loaded');
   }
 
-  if (!shows) {
-    throw new Error('Failed to load shows from any source');
+  // Fall back to remote if local fails (the remote only has the default city)
+  if (!loaded && city === DEFAULT_CITY) {
+    loaded = await loadRemoteOrLastGood();
+    source = 'remote';
   }
 
-  // Validate and cache
-  const validShows = validateShows(shows);
-  cachedShows = validShows;
-  cacheTimestamp = Date.now();
+  if (!loaded) {
+    if (previous) return keepPrevious(city, previous, 'Shows could not be loaded');
+    throw new Error(`Failed to load shows for ${city} from any source`);
+  }
+
+  // Validate and add venue locations
+  const registry = await getVenueRegistry();
+  const validShows = validateShows(loaded.shows.map(show => backfillCity(show, city)))
+    .map(show => attachVenue(show, registry));
+
+  if (validShows.length === 0 && loaded.shows.length > 0 && previous) {
+    return keepPrevious(city, previous, 'No valid shows in new data');
+  }
+
+  const entry = {
+    shows: validShows,
+    manifest,
+    source,
+    // True when serving the last good remote copy because both sources failed
+    stale: Boolean(loaded.stale),
+    version: crypto.createHash('sha1').update(JSON.stringify(validShows)).digest('base64url'),
+    lastModified: loaded.modifiedAt,
+    timestamp: Date.now(),
+  };
+  // One assignment, so requests see either the old data or the new, never a mix
+  cache.set(city, entry);
+
+  logger.info('Shows loaded successfully', {
+    city,
+    count: validShows.length,
+    withoutVenueLocation: validShows.filter(show => !show.location).length,
+  });
+  return entry;
+}
+
+/**
+ * Keeps serving a city's last good shows after a failed load.
+ * @param {string} city
+ * @param {Object} previous - Current cache entry
+ * @param {string} reason
+ * @returns {Object} A copy of the entry with a fresh TTL
+ */
+function keepPrevious(city, previous, reason) {
+  logger.warn(`${reason}; keeping the last good copy`, { city, count: previous.shows.length });
+  const entry = { ...previous, timestamp: Date.now() };
+  cache.set(city, entry);
+  return entry;
+}
+
+/**
+ * Starts watching the directory of a city's local shows file, reloading
+ * the city's shows (and manifest) shortly after either file changes. The
+ * directory is watched rather than the file so replacing it by rename, as
+ * the scraper does, is seen too. If watching isn't possible the cache
+ * falls back to expiring after CACHE_TTL_MS.
+ * @param {string} city - City id
+ */
+function watchLocalFile(city) {
+  if (watchers.has(city)) return;
+
+  const localPath = cityDataPath(path.resolve(config.shows.localPath), city);
+  const manifestPath = cityDataPath(path.resolve(config.shows.manifestPath), city);
+  const watchedNames = new Set([path.basename(localPath), path.basename(manifestPath)]);
+  let timer = null;
+
+  try {
+    const watcher = fs.watch(path.dirname(localPath), (eventType, filename) => {
+      if (filename && !watchedNames.has(filename)) return;
+
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        logger.info('Shows file changed, reloading', { city, path: localPath });
+        refreshShows(city).catch(error => {
+          logger.error('Failed to reload shows', { city, error: error.message });
+        });
+      }, RELOAD_DEBOUNCE_MS);
+      timer.unref();
+    });
+
+    watcher.on('error', error => {
+      logger.warn('Stopped watching shows file', { city, error: error.message });
+      stopWatching(city);
+    });
+    watcher.unref();
+    watchers.set(city, { watcher, cancelReload: () => clearTimeout(timer) });
+    logger.debug('Watching shows file', { city, path: localPath });
+  } catch (error) {
+    logger.warn('Cannot watch shows file; reloading on a timer instead', { city, error: error.message });
+  }
+}
 
-  logger.info('Shows loaded successfully', { count: validShows.length });
-  return validShows;
+/**
+ * Stops watching a city's shows file, or every city's.
+ * @param {string} [city]
+ */
+function stopWatching(city) {
+  for (const [id, { watcher, cancelReload }] of watchers) {
+    if (city !== undefined && id !== city) continue;
+    cancelReload();
+    watcher.close();
+    watchers.delete(id);
+  }
 }
 
 /**
  * Load shows from local JSON file.
- * @returns {Promise<Array|null>}
+ * @param {string} city - City id
+ * @returns {Promise<{shows: Array, modifiedAt: Date}|null>}
  */
-async function loadFromLocalFile() {
-  const localPath = path.resolve(config.shows.localPath);
+async function loadFromLocalFile(city) {
+  const localPath = cityDataPath(path.resolve(config.shows.localPath), city);
 
   try {
     // Use async access check instead of blocking existsSync
@@ -78,7 +250,10 @@ async function loadFromLocalFile() {
       return null;
     }
 
-    const content = await fs.promises.readFile(localPath, 'utf-8');
+    const [content, stats] = await Promise.all([
+      fs.promises.readFile(localPath, 'utf-8'),
+      fs.promises.stat(localPath),
+    ]);
     const shows = JSON.parse(content);
 
     if (!Array.isArray(shows)) {
@@ -87,13 +262,112 @@ async function loadFromLocalFile() {
     }
 
     logger.info('Loaded shows from local file', { path: localPath, count: shows.length });
-    return shows;
+    return { shows: upgradeLegacyShows(shows, city), modifiedAt: stats.mtime };
   } catch (error) {
     logger.error('Failed to load local shows file', { error: error.message });
     return null;
   }
 }
 
+/**
+ * Load the scrape run manifest written next to the local shows file.
+ * @param {string} city - City id
+ * @returns {Promise<Object|null>}
+ */
+async function loadManifest(city) {
+  const manifestPath = cityDataPath(path.resolve(config.shows.manifestPath), city);
+
+  try {
+    const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf-8'));
+
+    if (manifest.schemaVersion > SHOW_SCHEMA_VERSION) {
+      logger.warn('Shows were written with a newer schema', {
+        schemaVersion: manifest.schemaVersion,
+        supported: SHOW_SCHEMA_VERSION,
+      });
+    }
+
+    return manifest;
+  } catch (error) {
+    logger.debug('No shows manifest', { path: manifestPath, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Works out how old the data described by a manifest is.
+ * @param {Object|null} manifest
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {number} [options.staleAfterHours=config.shows.staleAfterHours]
+ * @returns {{scrapedAt: string|null, ageHours: number|null, stale: boolean, staleAfterHours: number}}
+ *   Without a usable scrapedAt the age is unknown and the data isn't flagged stale
+ */
+function describeFreshness(manifest, {
+  now = new Date(),
+  staleAfterHours = config.shows.staleAfterHours,
+} = {}) {
+  const scrapedAt = manifest?.scrapedAt || null;
+  const scrapedTime = scrapedAt ? new Date(scrapedAt).getTime() : NaN;
+
+  if (isNaN(scrapedTime)) {
+    return { scrapedAt: null, ageHours: null, stale: false, staleAfterHours };
+  }
+
+  const ageHours = Math.max(0, (now.getTime() - scrapedTime) / (60 * 60 * 1000));
+  return {
+    scrapedAt,
+    ageHours: Math.round(ageHours * 10) / 10,
+    stale: ageHours > staleAfterHours,
+    staleAfterHours,
+  };
+}
+
+/**
+ * Gets the manifest for a city's currently served shows and their freshness.
+ * @param {string} [city=DEFAULT_CITY] - City id
+ * @returns {Promise<{manifest: Object|null, freshness: Object}>}
+ */
+async function getShowsManifest(city = DEFAULT_CITY) {
+  const { manifest, stale, lastModified } = await getShowsSnapshot(city);
+
+  // The last good remote copy has no manifest; it's as old as its fetch
+  if (stale) {
+    return { manifest, freshness: { ...describeFreshness({ scrapedAt: lastModified.toISOString() }), stale: true } };
+  }
+  return { manifest, freshness: describeFreshness(manifest) };
+}
+
+/**
+ * Fetches the remote shows, checks them against the last good copy and
+ * saves them as the new one. If the fetch fails or the payload looks
+ * corrupted, the last good copy is used instead, flagged stale.
+ * @returns {Promise<{shows: Array, modifiedAt: Date, stale: boolean}|null>}
+ *   null when there's neither usable remote data nor a last good copy
+ */
+async function loadRemoteOrLastGood() {
+  const [remoteShows, lastGood] = await Promise.all([loadFromRemote(), loadRemoteCache()]);
+
+  if (remoteShows) {
+    const validShows = validateShows(remoteShows.map(show => backfillCity(show, DEFAULT_CITY)));
+    const problems = checkRemotePayload(remoteShows.length, validShows.length, lastGood);
+
+    if (problems.length === 0) {
+      const fetchedAt = new Date();
+      await saveRemoteCache(validShows, { fetchedAt, url: config.shows.remoteUrl });
+      return { shows: validShows, modifiedAt: fetchedAt, stale: false };
+    }
+    logger.warn('Rejected remote shows', { url: config.shows.remoteUrl, problems });
+  }
+
+  if (!lastGood) {
+    return null;
+  }
+
+  logger.warn('Serving last good remote shows', { fetchedAt: lastGood.fetchedAt, count: lastGood.showCount });
+  return { shows: lastGood.shows, modifiedAt: new Date(lastGood.fetchedAt), stale: true };
+}
+
 /**
  * Load shows from remote URL (legacy support).
  * @returns {Promise<Array|null>}
@@ -124,7 +398,12 @@ async function loadFromRemote() {
       shows = shows.map(s => s.name.name);
     }
 
-    return shows;
+    if (!Array.isArray(shows)) {
+      logger.warn('Remote shows have invalid format');
+      return null;
+    }
+
+    return upgradeLegacyShows(shows, DEFAULT_CITY);
   } catch (error) {
     logger.error('Failed to fetch remote shows', { error: error.message });
     return null;
@@ -132,24 +411,47 @@ async function loadFromRemote() {
 }
 
 /**
- * Clear the shows cache.
+ * Adds fields that data written by older scrapers lacks:
+ * startsAt (from date/time), status (from the cancelled flag) and ids.
+ * @param {Array} shows
+ * @param {string} city - City id the data is for
+ * @returns {Array}
+ */
+function upgradeLegacyShows(shows, city) {
+  if (shows.every(show => show?.id && show.startsAt && !('cancelled' in show))) {
+    return shows;
+  }
+
+  logger.debug('Upgrading legacy show data');
+  const upgraded = shows.map(show => backfillStartsAt(show, city)).map(backfillStatus);
+  return upgraded.every(show => show?.id) ? upgraded : assignShowIds(upgraded);
+}
+
+/**
+ * Clear the shows cache for every city and stop watching their files.
  */
 function clearCache() {
-  cachedShows = null;
-  cacheTimestamp = null;
+  cache.clear();
+  stopWatching();
 }
 
 /**
- * Force reload from source (bypasses cache).
+ * Force reload from source (bypasses cache). Keeps the current shows if
+ * the reload fails.
+ * @param {string} [city=DEFAULT_CITY] - City id
  * @returns {Promise<Array>}
  */
-async function refreshShows() {
-  clearCache();
-  return getUpcomingShows();
+async function refreshShows(city = DEFAULT_CITY) {
+  return (await loadShows(city)).shows;
 }
 
 module.exports = {
   getUpcomingShows,
+  getShowsSnapshot,
+  getShowsManifest,
+  filterUpcoming,
   clearCache,
   refreshShows,
+  // Exposed for testing
+  describeFreshness,
 };
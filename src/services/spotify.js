@@ -168,7 +168,8 @@ async function getTopArtists(userId, limit = 50) {
 }
 
 /**
- * Get unique artists from the user's liked songs.
+ * Get unique artists from the user's liked songs, with how many of the
+ * liked songs each one is on (`likedTracks`).
  * Set SPOTIFY_MAX_LIKED_PAGES env var to limit pages (0 = unlimited).
  * @param {string} userId - Session identifier
  * @returns {Promise<Array>} Array of unique artist objects
@@ -195,10 +196,14 @@ async function getLikedArtists(userId) {
     for (const item of data.items) {
       if (!item.track?.artists) continue;
       for (const artist of item.track.artists) {
-        if (!artistsMap.has(artist.id)) {
+        const existing = artistsMap.get(artist.id);
+        if (existing) {
+          existing.likedTracks++;
+        } else {
           artistsMap.set(artist.id, {
             name: artist.name,
             url: artist.external_urls.spotify,
+            likedTracks: 1,
           });
         }
       }
@@ -0,0 +1,56 @@
+/**
+ * Venue registry service.
+ *
+ * Loads the venue registry (data/venues.json) once and keeps it in memory.
+ * The file is versioned with the code, so it only changes on deploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { logger } = require('../shared/logger');
+const { createVenueRegistry } = require('../shared/venues');
+
+let registryPromise = null;
+
+/**
+ * Gets the venue registry, loading it on first use.
+ * A missing or invalid file gives an empty registry so shows still load,
+ * just without locations.
+ * @returns {Promise<ReturnType<typeof createVenueRegistry>>}
+ */
+function getVenueRegistry() {
+  if (!registryPromise) {
+    registryPromise = loadRegistry();
+  }
+  return registryPromise;
+}
+
+/**
+ * @returns {Promise<ReturnType<typeof createVenueRegistry>>}
+ */
+async function loadRegistry() {
+  const registryPath = path.resolve(config.venues.registryPath);
+
+  try {
+    const content = await fs.promises.readFile(registryPath, 'utf-8');
+    const registry = createVenueRegistry(JSON.parse(content));
+    logger.info('Loaded venue registry', { version: registry.version, count: registry.venues.length });
+    return registry;
+  } catch (error) {
+    logger.error('Failed to load venue registry', { path: registryPath, error: error.message });
+    return createVenueRegistry({ version: null, venues: [] });
+  }
+}
+
+/**
+ * Forgets the loaded registry so the next call re-reads the file.
+ */
+function clearRegistry() {
+  registryPromise = null;
+}
+
+module.exports = {
+  getVenueRegistry,
+  clearRegistry,
+};
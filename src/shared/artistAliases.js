@@ -0,0 +1,195 @@
+/**
+ * Artist alias table and match overrides.
+ *
+ * Some artists are listed under other names than their Spotify one (side
+ * projects, renamed bands, spellings fuzzy matching can't bridge), and some
+ * names produce false matches. The alias table (data/artist-aliases.json)
+ * maps listed names to the canonical Spotify artist and blocks pairings that
+ * must never match. The scraper rewrites listed names to the canonical
+ * one (after giving shows their ids, which stay those of the listed
+ * names); the matcher (findMatchingShows) resolves aliases and skips
+ * blocked pairs.
+ *
+ * Names are compared folded (see foldArtistName), so case, accents,
+ * punctuation and a leading "The" never need their own entry.
+ *
+ * File format:
+ * {
+ *   "version": 1,
+ *   "artists": [{ "name", "spotifyId", "aliases": [] }],
+ *   "blocked": [{ "listed", "artist", "note" }]
+ * }
+ */
+
+const { foldArtistName } = require('./normalize');
+
+/**
+ * @typedef {Object} ArtistAlias
+ * @property {string} name - Canonical (Spotify) artist name
+ * @property {string} [spotifyId] - Spotify artist id
+ * @property {string[]} [aliases] - Other names listings use for the artist
+ */
+
+/**
+ * @typedef {Object} BlockedMatch
+ * @property {string} listed - Artist name as listed in shows
+ * @property {string} artist - User (Spotify) artist it must never match
+ * @property {string} [note] - Why, for whoever edits the table next
+ */
+
+/**
+ * Checks a value is a string with something in it.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validates one artist entry.
+ * @param {any} artist
+ * @returns {string[]} Errors, empty if valid
+ */
+function validateArtist(artist) {
+  if (!artist || typeof artist !== 'object') {
+    return ['artist must be an object'];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(artist.name)) {
+    errors.push('name must be a non-empty string');
+  }
+  if (artist.spotifyId !== undefined && !/^[0-9A-Za-z]{22}$/.test(artist.spotifyId)) {
+    errors.push('spotifyId must be a 22-character Spotify id');
+  }
+  if (artist.aliases !== undefined &&
+    (!Array.isArray(artist.aliases) || !artist.aliases.every(isNonEmptyString))) {
+    errors.push('aliases must be an array of non-empty strings');
+  }
+  return errors;
+}
+
+/**
+ * Validates one blocked pairing.
+ * @param {any} block
+ * @returns {string[]} Errors, empty if valid
+ */
+function validateBlock(block) {
+  if (!block || typeof block !== 'object') {
+    return ['block must be an object'];
+  }
+
+  const errors = [];
+  for (const field of ['listed', 'artist']) {
+    if (!isNonEmptyString(block[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (block.note !== undefined && typeof block.note !== 'string') {
+    errors.push('note must be a string');
+  }
+  return errors;
+}
+
+/**
+ * Keys a blocked pairing.
+ * @param {string} listed
+ * @param {string} artist
+ * @returns {string}
+ */
+function blockKey(listed, artist) {
+  return `${foldArtistName(listed)}|${foldArtistName(artist)}`;
+}
+
+/**
+ * Builds an alias table from the parsed data file.
+ * @param {{version: number, artists: ArtistAlias[], blocked: BlockedMatch[]}} data
+ * @returns {{
+ *   version: number,
+ *   artists: ArtistAlias[],
+ *   blocked: BlockedMatch[],
+ *   resolve: function(string): string|null,
+ *   isBlocked: function(string, string): boolean
+ * }} `resolve` gives the canonical name for a listed name (null if it has
+ *   no entry); `isBlocked` checks a listed name against a user artist
+ * @throws {Error} If an entry is invalid or two artists claim the same name
+ */
+function createArtistAliases(data) {
+  if (!data || !Array.isArray(data.artists) || !Array.isArray(data.blocked)) {
+    throw new Error('Artist aliases must have artists and blocked arrays');
+  }
+  if (!Number.isInteger(data.version) || data.version < 0) {
+    throw new Error('Artist aliases version must be a whole number');
+  }
+
+  const byName = new Map();
+  const artists = data.artists.map((artist, index) => {
+    const errors = validateArtist(artist);
+    if (errors.length > 0) {
+      throw new Error(`Invalid artist at index ${index} (${artist?.name}): ${errors.join('; ')}`);
+    }
+
+    const entry = { ...artist, aliases: artist.aliases || [] };
+    for (const name of [entry.name, ...entry.aliases]) {
+      const key = foldArtistName(name);
+      const existing = byName.get(key);
+      if (existing && existing !== entry) {
+        throw new Error(`Artist name "${name}" is claimed by both ${existing.name} and ${entry.name}`);
+      }
+      byName.set(key, entry);
+    }
+    return entry;
+  });
+
+  const blocked = data.blocked.map((block, index) => {
+    const errors = validateBlock(block);
+    if (errors.length > 0) {
+      throw new Error(`Invalid block at index ${index}: ${errors.join('; ')}`);
+    }
+    return block;
+  });
+  const blockedKeys = new Set(blocked.map(block => blockKey(block.listed, block.artist)));
+
+  return {
+    version: data.version,
+    artists,
+    blocked,
+    resolve: name => byName.get(foldArtistName(name))?.name || null,
+    isBlocked: (listed, artist) => blockedKeys.has(blockKey(listed, artist)),
+  };
+}
+
+/**
+ * Gives a show's artists their canonical names. Qualifiers follow the
+ * renamed artist, and an artist listed under two of its names is kept once.
+ * @param {Object} show
+ * @param {ReturnType<typeof createArtistAliases>} aliases
+ * @returns {Object} The show, or a copy if any name changed
+ */
+function applyArtistAliases(show, aliases) {
+  const renamed = show.artists.map(artist => aliases.resolve(artist) || artist);
+  if (renamed.every((name, index) => name === show.artists[index])) {
+    return show;
+  }
+
+  const artists = [...new Set(renamed)];
+  const updated = { ...show, artists };
+
+  if (show.artistQualifiers) {
+    updated.artistQualifiers = {};
+    show.artists.forEach((artist, index) => {
+      const qualifiers = show.artistQualifiers[artist];
+      if (!qualifiers) return;
+      const existing = updated.artistQualifiers[renamed[index]] || [];
+      updated.artistQualifiers[renamed[index]] = [...new Set([...existing, ...qualifiers])];
+    });
+  }
+
+  return updated;
+}
+
+module.exports = {
+  createArtistAliases,
+  applyArtistAliases,
+};
@@ -0,0 +1,109 @@
+/**
+ * Cities.
+ *
+ * Shows are scraped, stored and served per city. This is the one list of
+ * cities: the web app serves these, and the scraper runs each city's
+ * `sources`. The default city keeps the original data file paths
+ * (data/shows.json); other cities get a subdirectory named after their
+ * id (data/<id>/shows.json).
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+
+/**
+ * @typedef {Object} City
+ * @property {string} id - Stable slug, used in file paths, the API and Show.city
+ * @property {string} name - Display name
+ * @property {string} timeZone - IANA timezone venue-local times are written in
+ * @property {Object<string, Object>} sources - Scraper source settings keyed
+ *   by adapter name (see src/scraper/sources); a city only runs the sources
+ *   listed here
+ */
+
+/**
+ * Reads a comma-separated list from an environment variable.
+ * @param {string} name
+ * @returns {string[]|null} null if the variable is unset
+ */
+function listFromEnv(name) {
+  if (process.env[name] === undefined) return null;
+  return process.env[name].split(',').map(value => value.trim()).filter(Boolean);
+}
+
+// Venue calendar pages in New York that embed schema.org Event blocks.
+// Add a venue by appending its calendar URL (or set SCRAPER_JSONLD_URLS).
+const NYC_JSONLD_URLS = listFromEnv('SCRAPER_JSONLD_URLS') || [
+  // 'https://venue.example.com/calendar',
+];
+
+/** @type {City[]} */
+const CITIES = [
+  {
+    id: 'nyc',
+    name: 'New York',
+    timeZone: 'America/New_York',
+    sources: {
+      ohmyrockness: {
+        baseUrl: process.env.SCRAPER_BASE_URL || 'https://www.ohmyrockness.com',
+      },
+      // Only run when there are venue pages to read; the source fails on
+      // an empty list rather than passing with no shows
+      ...(NYC_JSONLD_URLS.length > 0 && { jsonld: { venueUrls: NYC_JSONLD_URLS } }),
+    },
+  },
+];
+
+const DEFAULT_CITY = 'nyc';
+
+/**
+ * Looks up a city by id.
+ * @param {string} id
+ * @returns {City|null}
+ */
+function getCity(id) {
+  return CITIES.find(city => city.id === id) || null;
+}
+
+/**
+ * Describes a city for clients: everything but its scraper settings.
+ * @param {City} city
+ * @returns {{id: string, name: string, timeZone: string}}
+ */
+function describeCity({ id, name, timeZone }) {
+  return { id, name, timeZone };
+}
+
+/**
+ * Gets a city's copy of a data file: the path itself for the default
+ * city, otherwise the same filename in a subdirectory named after the city.
+ * "data/shows.json" -> "data/chicago/shows.json"
+ * @param {string} filePath
+ * @param {string} [cityId=DEFAULT_CITY]
+ * @returns {string}
+ */
+function cityDataPath(filePath, cityId = DEFAULT_CITY) {
+  if (cityId === DEFAULT_CITY) return filePath;
+  return path.join(path.dirname(filePath), cityId, path.basename(filePath));
+}
+
+/**
+ * Sets `city` on shows written before cities existed.
+ * @param {Object} show
+ * @param {string} [cityId=DEFAULT_CITY] - City of the file the show came from
+ * @returns {Object}
+ */
+function backfillCity(show, cityId = DEFAULT_CITY) {
+  if (!show || typeof show !== 'object' || show.city) return show;
+  return { ...show, city: cityId };
+}
+
+module.exports = {
+  CITIES,
+  DEFAULT_CITY,
+  getCity,
+  describeCity,
+  cityDataPath,
+  backfillCity,
+};
@@ -0,0 +1,310 @@
+/**
+ * Show start time handling.
+ *
+ * The canonical start time is `startsAt`, an ISO 8601 string in the
+ * venue's local time with an explicit UTC offset:
+ *
+ *   "2026-03-07T20:00:00-05:00"   full date and time
+ *   "2026-03-07"                  date only (time not announced)
+ *
+ * Because the string carries the venue's wall-clock time, the calendar
+ * date and display time can be read straight from it without converting
+ * through the timezone of whoever is running the code. `date` and `time`
+ * on a show are derived from it for display and backwards compatibility.
+ */
+
+const { DEFAULT_CITY, getCity } = require('./cities');
+
+const VENUE_TIME_ZONE = 'America/New_York';
+
+// Shown when a show's start time hasn't been announced
+const TIME_TBA = 'TBA';
+
+const STARTS_AT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter for wall-clock parts in a timezone.
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Gets a timezone's UTC offset at an instant, in minutes (e.g. -300 for EST).
+ * @param {Date} instant
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getZoneOffsetMinutes(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = parseInt(value, 10);
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instantSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instantSeconds) / 60000);
+}
+
+/**
+ * Formats an offset in minutes as "+HH:MM" / "-HH:MM".
+ * @param {number} offsetMinutes
+ * @returns {string}
+ */
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Converts an instant to a startsAt string in the venue's timezone.
+ * @param {Date} instant
+ * @param {string} [timeZone=VENUE_TIME_ZONE]
+ * @returns {string} e.g. "2026-03-07T20:00:00-05:00"
+ */
+function toStartsAt(instant, timeZone = VENUE_TIME_ZONE) {
+  const offset = getZoneOffsetMinutes(instant, timeZone);
+  const local = new Date(instant.getTime() + offset * 60000);
+
+  return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}` +
+    `T${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())}` +
+    formatOffset(offset);
+}
+
+/**
+ * Builds a startsAt string from venue-local wall-clock values.
+ * @param {{year: number, month: number, day: number, hours: number, minutes: number}} wallClock
+ * @param {string} [timeZone=VENUE_TIME_ZONE]
+ * @returns {string}
+ */
+function startsAtFromWallClock({ year, month, day, hours, minutes }, timeZone = VENUE_TIME_ZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The offset depends on the instant, which depends on the offset;
+  // a second pass settles it around DST changes.
+  let instant = asUtc - getZoneOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+  instant = asUtc - getZoneOffsetMinutes(new Date(instant), timeZone) * 60000;
+
+  return toStartsAt(new Date(instant), timeZone);
+}
+
+/**
+ * Reads the wall-clock fields written in a startsAt string.
+ * @param {string} startsAt
+ * @returns {{year: number, month: number, day: number, hours: number|null, minutes: number|null}|null}
+ *   hours/minutes are null for date-only values; null if unparseable
+ */
+function parseStartsAt(startsAt) {
+  const match = typeof startsAt === 'string' && startsAt.match(STARTS_AT_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes] = match;
+  const parts = {
+    year: parseInt(year, 10),
+    month: parseInt(month, 10),
+    day: parseInt(day, 10),
+    hours: hours === undefined ? null : parseInt(hours, 10),
+    minutes: minutes === undefined ? null : parseInt(minutes, 10),
+  };
+
+  // Reject impossible dates like 2026-02-30
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day) {
+    return null;
+  }
+  if (parts.hours !== null && (parts.hours > 23 || parts.minutes > 59)) {
+    return null;
+  }
+
+  return parts;
+}
+
+/**
+ * Checks a value is a canonical startsAt: date-only, or date and time
+ * with an explicit offset.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isValidStartsAt(value) {
+  const parts = parseStartsAt(value);
+  if (!parts) return false;
+  return parts.hours === null || /(Z|[+-]\d{2}:\d{2})$/.test(value);
+}
+
+/**
+ * Normalizes a scraped start time into a canonical startsAt.
+ *
+ * - With an offset ("...-05:00" or "...Z"): converted to venue-local time
+ * - Without an offset ("2026-03-07T20:00"): taken as venue-local time
+ * - Date only ("2026-03-07"): kept as date-only
+ * - Anything else Date can parse: converted from that instant
+ *
+ * @param {string} value
+ * @param {string} [timeZone=VENUE_TIME_ZONE]
+ * @returns {string|null} startsAt, or null if unparseable
+ */
+function normalizeStartsAt(value, timeZone = VENUE_TIME_ZONE) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const trimmed = value.trim();
+  const parts = parseStartsAt(trimmed);
+  const match = trimmed.match(STARTS_AT_PATTERN);
+
+  if (parts && parts.hours === null) {
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+  }
+
+  if (parts && !match[7]) {
+    return startsAtFromWallClock(parts, timeZone);
+  }
+
+  const instant = new Date(trimmed);
+  if (isNaN(instant.getTime())) return null;
+  return toStartsAt(instant, timeZone);
+}
+
+/**
+ * Derives the display date and time from a startsAt.
+ * @param {string} startsAt
+ * @returns {{date: string, time: string}|null} "M/D/YYYY" and "hh:mm AM/PM" (or "TBA")
+ */
+function describeStartsAt(startsAt) {
+  const parts = parseStartsAt(startsAt);
+  if (!parts) return null;
+
+  const date = `${parts.month}/${parts.day}/${parts.year}`;
+  if (parts.hours === null) {
+    return { date, time: TIME_TBA };
+  }
+
+  const period = parts.hours < 12 ? 'AM' : 'PM';
+  const hours12 = parts.hours % 12 === 0 ? 12 : parts.hours % 12;
+  return { date, time: `${pad(hours12)}:${pad(parts.minutes)} ${period}` };
+}
+
+/**
+ * Builds a startsAt from legacy "M/D/YYYY" and "hh:mm AM/PM" strings,
+ * taken as venue-local time. An unparseable time gives a date-only value.
+ * @param {string} date
+ * @param {string} time
+ * @param {string} [timeZone=VENUE_TIME_ZONE]
+ * @returns {string|null} startsAt, or null if the date is unparseable
+ */
+function startsAtFromDisplay(date, time, timeZone = VENUE_TIME_ZONE) {
+  const dateMatch = typeof date === 'string' && date.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!dateMatch) return null;
+
+  const [, month, day, year] = dateMatch.map(Number);
+  const dateOnly = `${year}-${pad(month)}-${pad(day)}`;
+  if (!parseStartsAt(dateOnly)) return null;
+
+  const timeMatch = typeof time === 'string' && time.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+  if (!timeMatch) return dateOnly;
+
+  let hours = parseInt(timeMatch[1], 10) % 12;
+  if (timeMatch[3].toUpperCase() === 'PM') hours += 12;
+
+  return startsAtFromWallClock({ year, month, day, hours, minutes: parseInt(timeMatch[2], 10) }, timeZone);
+}
+
+/**
+ * Gets the timezone of a city, or VENUE_TIME_ZONE for an unknown one.
+ * @param {string} cityId
+ * @returns {string}
+ */
+function getCityTimeZone(cityId) {
+  return getCity(cityId)?.timeZone || VENUE_TIME_ZONE;
+}
+
+/**
+ * Adds startsAt to a show written before it existed, and re-derives
+ * date/time from it. The display date and time are read in the show's
+ * city's timezone. Shows that already have one are returned as-is.
+ * @param {Object} show
+ * @param {string} [cityId=DEFAULT_CITY] - City of the file the show came
+ *   from, for shows written before they had a `city`
+ * @returns {Object}
+ */
+function backfillStartsAt(show, cityId = DEFAULT_CITY) {
+  if (!show || typeof show !== 'object' || show.startsAt) return show;
+
+  const startsAt = startsAtFromDisplay(show.date, show.time, getCityTimeZone(show.city || cityId));
+  if (!startsAt) return show;
+
+  return { ...show, startsAt, ...describeStartsAt(startsAt) };
+}
+
+/**
+ * Checks whether a show hasn't started yet, or started within the
+ * look-back window. Timed shows count from their start instant; date-only
+ * shows stay upcoming until their venue-local day is over.
+ * @param {string} startsAt
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {number} [options.lookBackDays=0] - Also keep shows that started
+ *   this many days before now (Infinity keeps every past show)
+ * @param {string} [options.timeZone=VENUE_TIME_ZONE] - The venue's timezone
+ * @returns {boolean} True for unparseable values, which are never hidden
+ */
+function isUpcoming(startsAt, { now = new Date(), lookBackDays = 0, timeZone = VENUE_TIME_ZONE } = {}) {
+  const parts = parseStartsAt(startsAt);
+  if (!parts || lookBackDays === Infinity) return true;
+
+  const cutoff = new Date(now.getTime() - lookBackDays * 24 * 60 * 60 * 1000);
+  if (parts.hours !== null) {
+    return new Date(startsAt).getTime() >= cutoff.getTime();
+  }
+
+  // Date-only: compare with the venue-local date at the cutoff
+  return startsAt >= toStartsAt(cutoff, timeZone).slice(0, 10);
+}
+
+/**
+ * Checks isUpcoming() for a show, in its city's timezone. Shows written
+ * before startsAt existed are read from their display date and time.
+ * @param {Object} show
+ * @param {Object} [options] - isUpcoming() options, without timeZone
+ * @returns {boolean}
+ */
+function isUpcomingShow(show, options = {}) {
+  const timeZone = getCityTimeZone(show.city);
+  const startsAt = show.startsAt || startsAtFromDisplay(show.date, show.time, timeZone) || show.date;
+  return isUpcoming(startsAt, { ...options, timeZone });
+}
+
+module.exports = {
+  VENUE_TIME_ZONE,
+  TIME_TBA,
+  toStartsAt,
+  startsAtFromWallClock,
+  parseStartsAt,
+  isValidStartsAt,
+  normalizeStartsAt,
+  describeStartsAt,
+  startsAtFromDisplay,
+  getCityTimeZone,
+  backfillStartsAt,
+  isUpcoming,
+  isUpcomingShow,
+};
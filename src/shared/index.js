@@ -6,5 +6,9 @@
 module.exports = {
   ...require('./types'),
   ...require('./normalize'),
+  ...require('./showId'),
+  ...require('./datetime'),
+  ...require('./venues'),
+  ...require('./status'),
   ...require('./logger'),
 };
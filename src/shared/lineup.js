@@ -0,0 +1,199 @@
+/**
+ * Lineup parsing.
+ *
+ * Listings often bundle several acts into one artist entry or qualify a
+ * name: "X w/ Y", "A b2b B", "Artist (DJ Set)", "Band + Friends". Used by
+ * the scraper (to store one performer per artist entry) and the matcher (for
+ * shows scraped before lineups were split), so both see plain names.
+ *
+ * Only unambiguous separators split an entry: "w/", "with special guest",
+ * "feat."/"ft."/"featuring" and "b2b". "&", "and", "+", "x" and "," are
+ * part of plenty of real names ("Simon & Garfunkel", "Florence + the
+ * Machine"), so they only split off a trailing placeholder ("+ Friends"),
+ * which becomes a qualifier of the name before it.
+ */
+
+// Lineup entries that stand for unnamed acts rather than an artist
+const PLACEHOLDER_NAMES = new Set([
+  'tba',
+  'tbd',
+  'tba tbd',
+  'to be announced',
+  'more tba',
+  'guest',
+  'guests',
+  'special guest',
+  'special guests',
+  'surprise guest',
+  'surprise guests',
+  'various artists',
+]);
+
+// Splits an entry into performers; the captured text says how they relate
+const SEPARATOR_PATTERN = /\s+(w\/|with special guests?|featuring|feat\.?|ft\.?|b2b)(?:\s+|(?<=\/))/gi;
+
+// Qualifier given to the performer after each kind of separator
+const SEPARATOR_QUALIFIERS = [
+  [/^(w\/|with)/i, 'support'],
+  [/^(featuring|feat|ft)/i, 'featured'],
+  [/^b2b/i, 'b2b'],
+];
+
+// "Band + Friends", "DJ & More": placeholders that trail a name, kept as a
+// qualifier ("and friends")
+const TRAILING_PLACEHOLDER_PATTERN = /\s+(?:\+|&|and)\s+(friends|special guests?|guests|(?:many )?more)$/i;
+
+// Qualifiers stripped from the end of a name, in brackets or after " - ",
+// and what they're recorded as
+const ROLE_QUALIFIERS = {
+  'dj set': 'dj set',
+  'dj': 'dj set',
+  'live': 'live',
+  'live set': 'live',
+  'acoustic': 'acoustic',
+  'acoustic set': 'acoustic',
+  'solo': 'solo',
+  'solo set': 'solo',
+  'full band': 'full band',
+  'album release': 'album release',
+  'album release show': 'album release',
+  'record release': 'album release',
+  'record release show': 'album release',
+};
+
+// "(DJ Set)", "[live]", " - acoustic set", or a bare " DJ set"
+const QUALIFIER_SUFFIX_PATTERN = /\s*(?:\(([^()]+)\)|\[([^[\]]+)\]|\s[-–—]\s+([^-–—]+))$|\s+((?:dj|live|acoustic|solo) set)$/i;
+
+/**
+ * Lowercases and collapses punctuation for comparing against the
+ * placeholder and qualifier lists.
+ * @param {string} text
+ * @returns {string}
+ */
+function simplify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Checks whether a lineup entry is a placeholder ("TBA", "Special Guests").
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPlaceholderName(name) {
+  return typeof name === 'string' && PLACEHOLDER_NAMES.has(simplify(name));
+}
+
+/**
+ * Strips known role qualifiers from the end of a name:
+ * "Artist (DJ Set) - Album Release" -> "Artist", ["dj set", "album release"].
+ * Brackets that aren't a known qualifier stay part of the name.
+ * @param {string} text
+ * @returns {{name: string, qualifiers: string[]}}
+ */
+function stripQualifiers(text) {
+  let name = text.trim();
+  const qualifiers = [];
+
+  for (;;) {
+    const match = name.match(QUALIFIER_SUFFIX_PATTERN);
+    const qualifier = match && ROLE_QUALIFIERS[simplify(match.slice(1).find(Boolean))];
+    if (!qualifier || match.index === 0) break;
+
+    name = name.slice(0, match.index).trim();
+    if (!qualifiers.includes(qualifier)) qualifiers.unshift(qualifier);
+  }
+
+  return { name, qualifiers };
+}
+
+/**
+ * Splits one artist entry into its performers.
+ *
+ *   "X w/ Y"          -> X, Y (support)
+ *   "A b2b B"         -> A (b2b), B (b2b)
+ *   "A feat. B"       -> A, B (featured)
+ *   "Artist (DJ Set)" -> Artist (dj set)
+ *   "Band + Friends"  -> Band (and friends)
+ *
+ * Placeholders after a separator ("X w/ Special Guests") are dropped;
+ * an entry that is only a placeholder is kept as it is.
+ *
+ * @param {string} entry - Artist entry as listed
+ * @returns {Array<{name: string, qualifiers: string[]}>} Performers in
+ *   listed order; empty for a blank entry
+ */
+function parseLineupEntry(entry) {
+  if (typeof entry !== 'string' || !entry.trim()) return [];
+
+  const text = entry.trim();
+  if (isPlaceholderName(text)) {
+    return [{ name: text, qualifiers: [] }];
+  }
+
+  // Leading "w/ Y": a support act listed on its own
+  const parts = [];
+  let relation = /^w\/\s*/i.test(text) ? 'support' : null;
+  let start = relation ? text.match(/^w\/\s*/i)[0].length : 0;
+
+  for (const match of text.matchAll(SEPARATOR_PATTERN)) {
+    parts.push({ text: text.slice(start, match.index), relation });
+    relation = SEPARATOR_QUALIFIERS.find(([pattern]) => pattern.test(match[1]))[1];
+    start = match.index + match[0].length;
+  }
+  parts.push({ text: text.slice(start), relation });
+
+  // b2b applies to both sides
+  parts.forEach((part, index) => {
+    if (parts[index + 1]?.relation === 'b2b' && !part.relation) part.relation = 'b2b';
+  });
+
+  const performers = [];
+  for (const part of parts) {
+    const trailing = part.text.match(TRAILING_PLACEHOLDER_PATTERN);
+    const { name, qualifiers } = stripQualifiers(trailing ? part.text.slice(0, trailing.index) : part.text);
+    if (!name || isPlaceholderName(name)) continue;
+    if (part.relation) qualifiers.unshift(part.relation);
+    if (trailing) qualifiers.push(`and ${simplify(trailing[1])}`);
+    performers.push({ name, qualifiers });
+  }
+
+  return performers;
+}
+
+/**
+ * Splits every entry of a lineup, dropping repeated performers (compared
+ * case-insensitively) and combining their qualifiers.
+ * @param {string[]} artists - Artist entries as listed
+ * @returns {{artists: string[], qualifiers: Object<string, string[]>}}
+ *   Performer names in listed order, and the qualifiers of those that have any
+ */
+function parseLineup(artists) {
+  const byKey = new Map();
+
+  for (const entry of artists || []) {
+    for (const performer of parseLineupEntry(entry)) {
+      const key = performer.name.toLowerCase();
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.qualifiers.push(...performer.qualifiers.filter(q => !existing.qualifiers.includes(q)));
+      } else {
+        byKey.set(key, performer);
+      }
+    }
+  }
+
+  const performers = [...byKey.values()];
+  const qualifiers = {};
+  for (const performer of performers) {
+    if (performer.qualifiers.length > 0) qualifiers[performer.name] = performer.qualifiers;
+  }
+
+  return { artists: performers.map(performer => performer.name), qualifiers };
+}
+
+module.exports = {
+  PLACEHOLDER_NAMES,
+  isPlaceholderName,
+  parseLineupEntry,
+  parseLineup,
+};
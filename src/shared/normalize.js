@@ -3,8 +3,27 @@
  *
  * Used by both the scraper (to clean scraped names) and
  * the web app (to match user artists against shows).
+ *
+ * Matching is fuzzy: names are compared after folding accents and
+ * punctuation ("Beyoncé" = "Beyonce", "Sister." = "Sister"), and close
+ * spellings ("Radiohaed") match with a confidence below 1. Short names,
+ * short words and numbers ("Blink 182") only match exactly, since one
+ * character is enough to make them a different artist, and lineup
+ * placeholders ("TBA", "Special Guests") never match.
  */
 
+const { isUpcomingShow } = require('./datetime');
+const { PLACEHOLDER_NAMES, parseLineupEntry } = require('./lineup');
+
+// Matches scoring below this are dropped
+const DEFAULT_MATCH_THRESHOLD = 0.87;
+
+// Matches scoring below this are shown as "possible match"
+const CONFIDENT_MATCH = 0.95;
+
+// Folded names shorter than this (without spaces) only match exactly
+const MIN_FUZZY_LENGTH = 5;
+
 /**
  * Normalizes an artist name for comparison.
  * - Lowercases
@@ -28,6 +47,351 @@ function normalizeArtistName(name) {
     .trim();
 }
 
+/**
+ * Folds a normalized artist name for fuzzy comparison: accents removed
+ * and every run of punctuation or spaces turned into a single space.
+ * Names made only of punctuation ("!!!") fold to their normalized form.
+ *
+ * @param {string} name - Raw artist name
+ * @returns {string} Folded name
+ */
+function foldArtistName(name) {
+  const normalized = normalizeArtistName(name);
+  const folded = normalized
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')  // Strip accents
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+  return folded || normalized;
+}
+
+/**
+ * Counts the insertions, deletions, substitutions and swaps of adjacent
+ * characters needed to turn one string into the other.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maxDistance=Infinity] - Stops early once the distance
+ *   is sure to be above this, returning maxDistance + 1
+ * @returns {number}
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+  const left = Array.from(a);
+  const right = Array.from(b);
+  const rows = [Array.from({ length: right.length + 1 }, (_, j) => j)];
+  let previousMin = 0;
+
+  for (let i = 1; i <= left.length; i++) {
+    rows.push([i]);
+    let rowMin = i;
+    for (let j = 1; j <= right.length; j++) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && left[i - 1] === right[j - 2] && left[i - 2] === right[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+
+    // Later cells build on this row or (swaps) the one before it
+    if (rowMin > maxDistance && previousMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousMin = rowMin;
+  }
+
+  return Math.min(rows[left.length][right.length], maxDistance + 1);
+}
+
+/**
+ * Scores how alike two strings are: 1 - edits / longer length.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [threshold=0] - Scores below this may come back lower
+ *   than they are, as the comparison stops once it can't reach it
+ * @returns {number} 0-1
+ */
+function editSimilarity(a, b, threshold = 0) {
+  const length = Math.max(Array.from(a).length, Array.from(b).length);
+  if (length === 0) return 0;
+
+  const maxDistance = threshold > 0 ? Math.ceil((1 - threshold) * length) : Infinity;
+  return 1 - editDistance(a, b, maxDistance) / length;
+}
+
+// Character counts kept per name: a-z, 0-9, and a few shared slots for
+// other letters (sharing a slot only makes names look more alike)
+const COUNT_SLOTS = 40;
+
+/**
+ * Picks the count slot of a folded name's character.
+ * @param {string} character
+ * @returns {number}
+ */
+function countSlot(character) {
+  const code = character.codePointAt(0);
+  if (code >= 97 && code <= 122) return code - 97;
+  if (code >= 48 && code <= 57) return code - 48 + 26;
+  return 36 + (code % 4);
+}
+
+/**
+ * Counts the bits set in a 32-bit number.
+ * @param {number} bits
+ * @returns {number}
+ */
+function countBits(bits) {
+  let value = bits - ((bits >>> 1) & 0x55555555);
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Works out once what comparing a folded name needs: the name without
+ * spaces, its words, its words in alphabetical order, and roughly which
+ * characters it has and how often.
+ * @param {string} folded - Folded name
+ * @returns {{matchable: boolean, compact: string, length: number, words: string[], sorted: string, counts: Uint16Array, present: number}}
+ *   matchable is false for empty names and placeholders; length counts
+ *   characters, not UTF-16 units; present has a bit per count slot used
+ */
+function prepareFolded(folded) {
+  const compact = folded.replace(/ /g, '');
+  const words = folded.split(' ');
+  const counts = new Uint16Array(COUNT_SLOTS);
+  let present = 0;
+  for (const character of compact) {
+    const slot = countSlot(character);
+    counts[slot]++;
+    present |= 1 << (slot % 32);
+  }
+
+  return {
+    matchable: Boolean(folded) && !PLACEHOLDER_NAMES.has(folded),
+    compact,
+    length: Array.from(compact).length,
+    words,
+    sorted: [...words].sort().join(''),
+    counts,
+    present,
+  };
+}
+
+/**
+ * Counts the characters one name has more of than the other, whichever
+ * has more. Every edit fixes at most one of them (a swap none), so this
+ * is never more than the edit distance, and far cheaper to work out.
+ * @param {Uint16Array} left - Counts from prepareFolded
+ * @param {Uint16Array} right - Counts from prepareFolded
+ * @returns {number}
+ */
+function characterDifference(left, right) {
+  let extraLeft = 0;
+  let extraRight = 0;
+  for (let slot = 0; slot < COUNT_SLOTS; slot++) {
+    const difference = left[slot] - right[slot];
+    if (difference > 0) extraLeft += difference;
+    else extraRight -= difference;
+  }
+  return Math.max(extraLeft, extraRight);
+}
+
+/**
+ * Scores two prepared folded names (see foldedSimilarity).
+ * @param {Object} left - From prepareFolded
+ * @param {Object} right - From prepareFolded
+ * @param {number} threshold
+ * @returns {number} Confidence from 0 to 1
+ */
+function preparedSimilarity(left, right, threshold) {
+  if (!left.matchable || !right.matchable) {
+    return 0;
+  }
+
+  if (left.compact === right.compact) {
+    return 1;
+  }
+
+  const shorter = Math.min(left.compact.length, right.compact.length);
+  const longer = Math.max(left.compact.length, right.compact.length);
+  // Every extra character is an edit, so a big length gap can't score well
+  if (shorter < MIN_FUZZY_LENGTH || 1 - (longer - shorter) / longer < threshold) {
+    return 0;
+  }
+  // ...and so is every character one name has more of. A character only
+  // one name has takes an edit too, and an edit covers at most two of them
+  const maxDistance = Math.ceil((1 - threshold) * Math.max(left.length, right.length));
+  if (threshold > 0 && (countBits(left.present ^ right.present) > 2 * maxDistance
+    || characterDifference(left.counts, right.counts) > maxDistance)) {
+    return 0;
+  }
+
+  // "Artist A" vs "Artist C", "Blink 182" vs "Blink 183": the words that
+  // differ must be long enough for a typo to be told from another name
+  const differing = [
+    ...left.words.filter(word => !right.words.includes(word)),
+    ...right.words.filter(word => !left.words.includes(word)),
+  ];
+  if (differing.some(word => word.length < MIN_FUZZY_LENGTH || /\d/.test(word))) {
+    return 0;
+  }
+  // "The National" vs "The Nationals": a trailing "s" makes another name
+  if (differing.some(word => differing.includes(`${word}s`))) {
+    return 0;
+  }
+
+  return Math.max(
+    editSimilarity(left.compact, right.compact, threshold),
+    editSimilarity(left.sorted, right.sorted, threshold)
+  );
+}
+
+/**
+ * Scores two folded names (see artistSimilarity).
+ * @param {string} left - Folded name
+ * @param {string} right - Folded name
+ * @param {number} [threshold=0] - Scores that can't reach this are
+ *   returned as 0 without comparing the names
+ * @returns {number} Confidence from 0 to 1
+ */
+function foldedSimilarity(left, right, threshold = 0) {
+  return preparedSimilarity(prepareFolded(left || ''), prepareFolded(right || ''), threshold);
+}
+
+/**
+ * Scores how likely two artist names are the same artist.
+ *
+ * 1 when they're equal once folded (spaces ignored, so "AC/DC" = "ACDC");
+ * otherwise the edit similarity of the folded names, or of their words in
+ * alphabetical order when that's higher ("Hall & Oates" vs "Oates & Hall").
+ * Placeholders always score 0; short names, and names differing in a short
+ * word or a number, score 0 unless they're equal.
+ *
+ * @param {string} a - Raw artist name
+ * @param {string} b - Raw artist name
+ * @returns {number} Confidence from 0 to 1
+ */
+function artistSimilarity(a, b) {
+  return foldedSimilarity(foldArtistName(a), foldArtistName(b));
+}
+
+/**
+ * Folds the user's artist names once for repeated matching, indexed so a
+ * lineup name is only compared with the artists it could match: equal
+ * names by their folded form without spaces, and fuzzy candidates by that
+ * form's length, since a big length gap can't score well.
+ * @param {Set<string>} userArtistNames - Normalized artist names
+ * @returns {{exact: Map<string, Array>, byLength: Map<number, Array>}}
+ *   Entries are `{name, prepared, order}`: prepared is from prepareFolded,
+ *   order the name's place in the set
+ */
+function indexUserArtists(userArtistNames) {
+  const exact = new Map();
+  const byLength = new Map();
+
+  [...userArtistNames].forEach((name, order) => {
+    const prepared = prepareFolded(foldArtistName(name));
+    const { compact } = prepared;
+    const entry = { name, prepared, order };
+
+    if (!exact.has(compact)) exact.set(compact, []);
+    exact.get(compact).push(entry);
+    if (!byLength.has(compact.length)) byLength.set(compact.length, []);
+    byLength.get(compact.length).push(entry);
+  });
+
+  return { exact, byLength };
+}
+
+/**
+ * Lists the indexed user artists a folded name could match at the
+ * threshold: those equal to it, and the length buckets close enough for
+ * foldedSimilarity to reach it (which hold the equal ones again).
+ * @param {string} compact - Folded lineup name without spaces
+ * @param {{exact: Map, byLength: Map}} index - From indexUserArtists
+ * @param {number} threshold
+ * @returns {{exact: Array, fuzzy: Array<Array>}}
+ */
+function matchCandidates(compact, index, threshold) {
+  const exact = index.exact.get(compact) || [];
+  const fuzzy = [];
+
+  if (compact.length >= MIN_FUZZY_LENGTH) {
+    for (const [length, entries] of index.byLength) {
+      const shorter = Math.min(length, compact.length);
+      const longer = Math.max(length, compact.length);
+      if (length === compact.length || 1 - (longer - shorter) / longer >= threshold) {
+        fuzzy.push(entries);
+      }
+    }
+  }
+
+  return { exact, fuzzy };
+}
+
+/**
+ * Finds the folded user artist a lineup name best matches.
+ * @param {string} name - Raw artist name from a show
+ * @param {{exact: Map, byLength: Map}} index - From indexUserArtists
+ * @param {number} threshold
+ * @param {Object} [aliases] - From createArtistAliases (shared/artistAliases.js)
+ * @returns {{userArtist: string, confidence: number, method: string}|null}
+ *   method is "alias" when the name matched as another name of the artist,
+ *   otherwise "exact" or "fuzzy"
+ */
+function bestArtistMatch(name, index, threshold, aliases) {
+  const canonical = aliases?.resolve(name) || name;
+  const folded = foldArtistName(canonical);
+  const viaAlias = folded !== foldArtistName(name);
+  const isBlocked = userArtist => aliases
+    && (aliases.isBlocked(name, userArtist) || aliases.isBlocked(canonical, userArtist));
+  const prepared = prepareFolded(folded);
+  const candidates = matchCandidates(prepared.compact, index, threshold);
+
+  // An equal name always wins; the first one in the user's set among equals
+  for (const { name: userArtist, prepared: userPrepared } of candidates.exact) {
+    if (preparedSimilarity(prepared, userPrepared, threshold) === 1 && !isBlocked(userArtist)) {
+      return { userArtist, confidence: 1, method: viaAlias ? 'alias' : 'exact' };
+    }
+  }
+
+  // Otherwise the closest spelling, the first in the user's set on a tie
+  let best = null;
+  let bestOrder = Infinity;
+  for (const bucket of candidates.fuzzy) {
+    for (const { name: userArtist, prepared: userPrepared, order } of bucket) {
+      const confidence = preparedSimilarity(prepared, userPrepared, threshold);
+      if (confidence < threshold || confidence === 0) continue;
+      if (best && (confidence < best.confidence || (confidence === best.confidence && order > bestOrder))) continue;
+      if (isBlocked(userArtist)) continue;
+
+      best = { userArtist, confidence };
+      bestOrder = order;
+    }
+  }
+
+  if (best) {
+    best.method = viaAlias ? 'alias' : best.confidence === 1 ? 'exact' : 'fuzzy';
+  }
+  return best;
+}
+
+/**
+ * Finds the user artist a lineup name best matches.
+ * @param {string} name - Raw artist name from a show
+ * @param {Set<string>} userArtistNames - Normalized artist names
+ * @param {Object} [options]
+ * @param {number} [options.threshold=DEFAULT_MATCH_THRESHOLD] - Lowest confidence to accept
+ * @param {Object} [options.aliases] - Alias table (see shared/artistAliases.js): listed
+ *   names are resolved to their canonical artist, and blocked pairings skipped
+ * @returns {{userArtist: string, confidence: number, method: string}|null}
+ *   The normalized user artist name, the confidence and how it matched
+ *   ("exact", "alias" or "fuzzy"), or null if none scores high enough
+ */
+function matchArtistName(name, userArtistNames, { threshold = DEFAULT_MATCH_THRESHOLD, aliases } = {}) {
+  return bestArtistMatch(name, indexUserArtists(userArtistNames), threshold, aliases);
+}
+
 /**
  * Checks if two artist names match after normalization.
  * @param {string} a - First artist name
@@ -56,27 +420,66 @@ function createArtistNameSet(artists) {
 }
 
 /**
- * Finds shows that match any artist in the user's set.
+ * Finds upcoming shows that match any artist in the user's set.
+ * Shows that have already started are left out (see isUpcomingShow).
  * @param {Set<string>} userArtistNames - Normalized artist name set
  * @param {Array} shows - Array of show objects
- * @returns {Array} Matching shows, sorted by date
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {number} [options.lookBackDays=0] - Also match shows that started
+ *   this many days ago (Infinity for every past show)
+ * @param {number} [options.threshold=DEFAULT_MATCH_THRESHOLD] - Lowest
+ *   confidence a fuzzy match needs (1 for exact matches only)
+ * @param {Object} [options.aliases] - Alias table (see shared/artistAliases.js)
+ * @returns {Array} Copies of the matching shows, sorted by date, each with
+ *   `match: {artist, userArtist, confidence, method, artists}`: the
+ *   best-matching lineup artist, and in `artists` every lineup artist that
+ *   matched (`{artist, userArtist, confidence, method, position}`, in lineup
+ *   order; position is the artist's place on the bill, 0 for the headliner)
  */
-function findMatchingShows(userArtistNames, shows) {
-  const matches = shows.filter(show => {
+function findMatchingShows(userArtistNames, shows, {
+  now = new Date(),
+  lookBackDays = 0,
+  threshold = DEFAULT_MATCH_THRESHOLD,
+  aliases,
+} = {}) {
+  const userArtists = indexUserArtists(userArtistNames);
+  // Lineup name -> its best match; the same acts play many shows
+  const bestMatches = new Map();
+  const matches = [];
+
+  for (const show of shows) {
     if (!show || !Array.isArray(show.artists)) {
-      return false;
+      continue;
+    }
+
+    if (!isUpcomingShow(show, { now, lookBackDays })) {
+      continue;
     }
 
-    return show.artists.some(artist => {
-      const normalized = normalizeArtistName(artist);
-      return userArtistNames.has(normalized);
+    // Entries are split again for shows scraped before lineups were
+    // ("X w/ Y"); already split names come back unchanged
+    const matched = [];
+    show.artists.flatMap(parseLineupEntry).forEach(({ name: artist }, position) => {
+      if (!bestMatches.has(artist)) {
+        bestMatches.set(artist, bestArtistMatch(artist, userArtists, threshold, aliases));
+      }
+      const match = bestMatches.get(artist);
+      if (match && !matched.some(entry => entry.artist === artist)) {
+        matched.push({ artist, ...match, position });
+      }
     });
-  });
 
-  // Sort by date (ascending)
+    if (matched.length > 0) {
+      const best = matched.reduce((top, entry) => (entry.confidence > top.confidence ? entry : top));
+      matches.push({ ...show, match: { ...best, artists: matched } });
+    }
+  }
+
+  // Sort by start (ascending); startsAt carries an offset so instants compare correctly
   matches.sort((a, b) => {
     try {
-      return new Date(a.date) - new Date(b.date);
+      return new Date(a.startsAt || a.date) - new Date(b.startsAt || b.date);
     } catch {
       return 0;
     }
@@ -86,7 +489,12 @@ function findMatchingShows(userArtistNames, shows) {
 }
 
 module.exports = {
+  DEFAULT_MATCH_THRESHOLD,
+  CONFIDENT_MATCH,
   normalizeArtistName,
+  foldArtistName,
+  artistSimilarity,
+  matchArtistName,
   artistNamesMatch,
   createArtistNameSet,
   findMatchingShows,
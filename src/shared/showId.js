@@ -0,0 +1,120 @@
+/**
+ * Stable show identifiers.
+ *
+ * A show's id is derived from its venue, date and lineup, so the same gig
+ * gets the same id on every scrape. Names are compared after
+ * normalizeArtistName, which makes ids tolerant to case and whitespace
+ * changes; lineup order doesn't matter.
+ */
+
+const crypto = require('crypto');
+const { normalizeArtistName } = require('./normalize');
+const { startsAtFromDisplay } = require('./datetime');
+
+/**
+ * Derives the id for a show.
+ * @param {Object} show - Show with artists, venue and date
+ * @returns {string} 12-character hex id
+ */
+function createShowId(show) {
+  const artists = Array.isArray(show.artists) ? show.artists : [];
+  const lineup = artists.map(normalizeArtistName).sort().join('|');
+  const venue = normalizeArtistName(show.venue);
+  const date = typeof show.date === 'string' ? show.date.trim() : '';
+
+  return crypto
+    .createHash('sha1')
+    .update(`${venue}\n${date}\n${lineup}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+/**
+ * Orders shows that share an id: by start time, then by their contents,
+ * so the order they were listed in never matters.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareSameIdShows(a, b) {
+  const startsA = a.startsAt || startsAtFromDisplay(a.date, a.time) || '';
+  const startsB = b.startsAt || startsAtFromDisplay(b.date, b.time) || '';
+  if (startsA !== startsB) return startsA < startsB ? -1 : 1;
+
+  const { id: idA, ...restA } = a;
+  const { id: idB, ...restB } = b;
+  const contentA = JSON.stringify(restA);
+  const contentB = JSON.stringify(restB);
+  return contentA < contentB ? -1 : contentA > contentB ? 1 : 0;
+}
+
+/**
+ * Sets the id on every show in a list.
+ * Shows that would share an id (e.g. early and late sets of the same
+ * bill) get "-2", "-3", ... suffixes by start time, so the early set keeps
+ * its id whichever order a listing puts them in.
+ * Non-object entries are passed through untouched for validation to reject.
+ * @param {Array} shows
+ * @returns {Array} New show objects with ids, in input order
+ */
+function assignShowIds(shows) {
+  const groups = new Map();
+  shows.forEach(show => {
+    if (!show || typeof show !== 'object') return;
+    const baseId = createShowId(show);
+    if (!groups.has(baseId)) groups.set(baseId, []);
+    groups.get(baseId).push(show);
+  });
+
+  const ids = new Map();
+  for (const [baseId, group] of groups) {
+    group.sort(compareSameIdShows).forEach((show, index) => {
+      ids.set(show, index === 0 ? baseId : `${baseId}-${index + 1}`);
+    });
+  }
+
+  return shows.map(show => (ids.has(show) ? { ...show, id: ids.get(show) } : show));
+}
+
+/**
+ * Keeps the ids shows already have (e.g. from the names as listed, before
+ * aliases were applied), re-suffixing only shows that now share one, such
+ * as two sources' listings that merging kept apart. The first show by
+ * start time keeps the id; the others get the next free "-N" suffix.
+ * Shows without an id get one from createShowId.
+ * @param {Array} shows
+ * @returns {Array} Show objects with unique ids, in input order
+ */
+function ensureUniqueShowIds(shows) {
+  const withIds = shows.map(show => (
+    show && typeof show === 'object' && !show.id ? { ...show, id: createShowId(show) } : show
+  ));
+
+  const groups = new Map();
+  withIds.forEach(show => {
+    if (!show || typeof show !== 'object') return;
+    if (!groups.has(show.id)) groups.set(show.id, []);
+    groups.get(show.id).push(show);
+  });
+
+  const used = new Set(groups.keys());
+  const ids = new Map();
+  for (const [id, group] of groups) {
+    if (group.length === 1) continue;
+    const baseId = id.replace(/-\d+$/, '');
+    let suffix = 2;
+    group.sort(compareSameIdShows).slice(1).forEach(show => {
+      while (used.has(`${baseId}-${suffix}`)) suffix++;
+      used.add(`${baseId}-${suffix}`);
+      ids.set(show, `${baseId}-${suffix}`);
+    });
+  }
+
+  return withIds.map(show => (ids.has(show) ? { ...show, id: ids.get(show) } : show));
+}
+
+module.exports = {
+  createShowId,
+  ensureUniqueShowIds,
+  assignShowIds,
+};
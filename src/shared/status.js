@@ -0,0 +1,90 @@
+/**
+ * Show status.
+ *
+ * Shows that stop going ahead stay in the data for a grace period with a
+ * `status` so users who were counting on them find out:
+ *
+ *   cancelled - the listing says so
+ *   postponed - the listing says so (a new date may follow as a new show)
+ *   unlisted  - the show disappeared from its source between runs
+ *
+ * Shows without a status are going ahead ("scheduled"). `statusChangedAt`
+ * records when the status was first seen, and is what the grace period
+ * counts from (see src/scraper/tracking.js).
+ */
+
+const STATUS_SCHEDULED = 'scheduled';
+
+const SHOW_STATUSES = [STATUS_SCHEDULED, 'cancelled', 'postponed', 'unlisted'];
+
+// "CANCELLED: Band", "Band (Postponed)", "** CANCELED ** Band", "Band - POSTPONED"
+const MARKER_WORD = '(cancell?ed|postponed)';
+const LEADING_MARKER = new RegExp(`^[\\s*!\\[(]*${MARKER_WORD}[\\s*!\\])]*[:\\-–—]?\\s*`, 'i');
+const TRAILING_MARKER = new RegExp(`\\s*[-–—:]?[\\s*!\\[(]*${MARKER_WORD}[\\s*!\\])]*$`, 'i');
+const MARKER_DELIMITER = /[*!\[\]():\-–—]/;
+
+/**
+ * Gets a show's status, defaulting to scheduled.
+ * @param {Object} show
+ * @returns {string} One of SHOW_STATUSES
+ */
+function getShowStatus(show) {
+  return show?.status || STATUS_SCHEDULED;
+}
+
+/**
+ * Finds a cancelled/postponed status word in listing text.
+ * @param {string} text
+ * @returns {string|null} "cancelled", "postponed" or null
+ */
+function detectStatus(text) {
+  if (typeof text !== 'string') return null;
+  if (/\bcancell?ed\b/i.test(text)) return 'cancelled';
+  if (/\bpostponed\b/i.test(text)) return 'postponed';
+  return null;
+}
+
+/**
+ * Strips a leading or trailing cancelled/postponed marker from a name,
+ * so "CANCELLED: Band" keeps the same lineup (and show id) as "Band".
+ * @param {string} name
+ * @returns {{name: string, status: string|null}} Name without the marker;
+ *   an empty name means the text was only a marker
+ */
+function stripStatusMarker(name) {
+  if (typeof name !== 'string') return { name: '', status: null };
+
+  for (const pattern of [LEADING_MARKER, TRAILING_MARKER]) {
+    const match = name.match(pattern);
+    // A bare word only counts when shouted, so "Cancelled Plans" stays a band name
+    const isMarker = match && (MARKER_DELIMITER.test(match[0]) || match[1] === match[1].toUpperCase());
+    if (isMarker) {
+      return { name: name.replace(pattern, '').trim(), status: detectStatus(match[1]) };
+    }
+  }
+
+  return { name, status: null };
+}
+
+/**
+ * Converts the `cancelled` flag written before statuses existed.
+ * Shows that already have a status are returned as-is.
+ * @param {Object} show
+ * @returns {Object}
+ */
+function backfillStatus(show) {
+  if (!show || typeof show !== 'object' || !('cancelled' in show)) return show;
+
+  const { cancelled, ...rest } = show;
+  if (cancelled !== true || rest.status) return rest;
+  return { ...rest, status: 'cancelled' };
+}
+
+module.exports = {
+  STATUS_SCHEDULED,
+  SHOW_STATUSES,
+  getShowStatus,
+  detectStatus,
+  stripStatusMarker,
+  backfillStatus,
+};
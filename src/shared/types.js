@@ -5,13 +5,60 @@
  * that flow between the scraper and web app.
  */
 
+const { isValidStartsAt } = require('./datetime');
+const { SHOW_STATUSES } = require('./status');
+
 /**
  * @typedef {Object} Show
- * @property {string[]} artists - List of performing artists
+ * @property {string} id - Stable identifier from venue, date and lineup (see showId.js)
+ * @property {string[]} artists - List of performing artists, one per entry (see lineup.js)
+ * @property {Object<string, string[]>} [artistQualifiers] - Role qualifiers stripped from
+ *   artist entries, by artist name: "dj set", "support", "b2b", "featured", "and friends"...
  * @property {string} venue - Venue name
- * @property {string} date - Show date (formatted string)
- * @property {string} time - Show time (formatted string)
+ * @property {string} [city] - City id (see cities.js); backfilled from the file on load
+ * @property {string} startsAt - ISO 8601 start in venue-local time with offset
+ *   ("2026-03-07T20:00:00-05:00"), or date-only ("2026-03-07") if the time isn't announced
+ * @property {string} date - Display date derived from startsAt: "M/D/YYYY"
+ * @property {string} time - Display time derived from startsAt: "hh:mm AM/PM" or "TBA"
  * @property {string} [url] - Optional link to show details
+ * @property {string} [ticketUrl] - Optional http(s) link to buy tickets
+ * @property {PriceRange} [price] - Optional ticket price range
+ * @property {string} [ageRestriction] - Optional age limit: "21+", "18+", "16+" or "all ages"
+ * @property {boolean} [soldOut] - True when listed as sold out
+ * @property {string} [status] - "cancelled", "postponed" or "unlisted" (see status.js); absent = scheduled
+ * @property {string} [statusChangedAt] - ISO 8601 time the status was first seen; set with status
+ * @property {string} [source] - Name of the scraper source adapter that produced it
+ *   (the preferred one for merged shows)
+ * @property {string[]} [sources] - Every source a merged show was listed by
+ * @property {Object<string, string|string[]>} [provenance] - Merged shows only: the
+ *   source each field's value came from (`artists` lists every contributing source)
+ * @property {import('./venues').VenueLocation} [location] - Added by the web app for
+ *   venues in the registry (see venues.js); not written by the scraper
+ */
+
+/**
+ * @typedef {Object} PriceRange
+ * @property {number} min - Lowest ticket price in USD (0 = free)
+ * @property {number} max - Highest ticket price in USD
+ */
+
+/**
+ * @typedef {Object} ShowsManifest
+ * Written by the scraper next to shows.json, describing the run that produced it.
+ * @property {number} schemaVersion - SHOW_SCHEMA_VERSION the shows were written with
+ * @property {string} city - City id the shows are for (see cities.js)
+ * @property {string} scrapedAt - ISO 8601 time the run finished
+ * @property {number} durationMs - How long the run took
+ * @property {number} showCount - Shows in shows.json
+ * @property {Object<string, ManifestSource>} sources - Per source adapter, by name
+ */
+
+/**
+ * @typedef {Object} ManifestSource
+ * @property {string} label - Human-readable source name
+ * @property {string} scrapedAt - Last time this source ran successfully
+ * @property {number} raw - Records extracted in that run
+ * @property {number} valid - Records that passed validation in that run
  */
 
 /**
@@ -21,6 +68,27 @@
  * @property {string} [image] - Optional image URL
  */
 
+const AGE_RESTRICTIONS = ['21+', '18+', '16+', 'all ages'];
+
+// Bump when the Show shape changes in a way readers need to know about.
+// 1: artists/venue/date/time, 2: + id, 3: + startsAt, 4: status replaces cancelled,
+// 5: + sources/provenance on merged shows, 6: + city, 7: compound artist entries
+// split, + artistQualifiers
+const SHOW_SCHEMA_VERSION = 7;
+
+/**
+ * Checks a value is a well-formed PriceRange.
+ * @param {any} price
+ * @returns {boolean}
+ */
+function isPriceRange(price) {
+  return Boolean(price) &&
+    Number.isFinite(price.min) &&
+    Number.isFinite(price.max) &&
+    price.min >= 0 &&
+    price.min <= price.max;
+}
+
 /**
  * Validates a show object has required fields.
  * @param {any} show - Object to validate
@@ -33,6 +101,10 @@ function validateShow(show) {
     return { valid: false, errors: ['Show must be an object'] };
   }
 
+  if (typeof show.id !== 'string' || !show.id.trim()) {
+    errors.push('id must be a non-empty string');
+  }
+
   if (!Array.isArray(show.artists)) {
     errors.push('artists must be an array');
   } else if (show.artists.length === 0) {
@@ -41,10 +113,21 @@ function validateShow(show) {
     errors.push('all artists must be strings');
   }
 
+  if (show.artistQualifiers !== undefined &&
+    (!show.artistQualifiers || typeof show.artistQualifiers !== 'object' || Array.isArray(show.artistQualifiers) ||
+      !Object.values(show.artistQualifiers).every(qualifiers =>
+        Array.isArray(qualifiers) && qualifiers.every(qualifier => typeof qualifier === 'string')))) {
+    errors.push('artistQualifiers must map artist names to arrays of strings');
+  }
+
   if (typeof show.venue !== 'string' || !show.venue.trim()) {
     errors.push('venue must be a non-empty string');
   }
 
+  if (!isValidStartsAt(show.startsAt)) {
+    errors.push('startsAt must be an ISO 8601 date, or date and time with offset');
+  }
+
   if (typeof show.date !== 'string' || !show.date.trim()) {
     errors.push('date must be a non-empty string');
   }
@@ -53,6 +136,46 @@ function validateShow(show) {
     errors.push('time must be a non-empty string');
   }
 
+  // Optional fields: only checked when present
+  if (show.ticketUrl !== undefined && !/^https?:\/\/\S+$/.test(show.ticketUrl)) {
+    errors.push('ticketUrl must be an http(s) URL');
+  }
+
+  if (show.price !== undefined && !isPriceRange(show.price)) {
+    errors.push('price must be { min, max } with 0 <= min <= max');
+  }
+
+  if (show.ageRestriction !== undefined && !AGE_RESTRICTIONS.includes(show.ageRestriction)) {
+    errors.push(`ageRestriction must be one of: ${AGE_RESTRICTIONS.join(', ')}`);
+  }
+
+  if (show.soldOut !== undefined && typeof show.soldOut !== 'boolean') {
+    errors.push('soldOut must be a boolean');
+  }
+
+  if (show.status !== undefined && !SHOW_STATUSES.includes(show.status)) {
+    errors.push(`status must be one of: ${SHOW_STATUSES.join(', ')}`);
+  }
+
+  if (show.statusChangedAt !== undefined &&
+    (typeof show.statusChangedAt !== 'string' || isNaN(Date.parse(show.statusChangedAt)))) {
+    errors.push('statusChangedAt must be an ISO 8601 timestamp');
+  }
+
+  if (show.city !== undefined && (typeof show.city !== 'string' || !show.city.trim())) {
+    errors.push('city must be a non-empty string');
+  }
+
+  if (show.sources !== undefined &&
+    (!Array.isArray(show.sources) || !show.sources.every(source => typeof source === 'string'))) {
+    errors.push('sources must be an array of strings');
+  }
+
+  if (show.provenance !== undefined &&
+    (!show.provenance || typeof show.provenance !== 'object' || Array.isArray(show.provenance))) {
+    errors.push('provenance must be an object');
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -60,7 +183,9 @@ function validateShow(show) {
  * Validates an array of shows, filtering out invalid ones.
  * @param {any[]} shows - Array to validate
  * @param {Object} [options]
- * @param {boolean} [options.strict=false] - Throw on any invalid show
+ * @param {boolean} [options.strict=false] - Throw if any show is invalid. The
+ *   error lists every invalid show, one per line, and carries them as
+ *   `invalid: [{index, errors}]`
  * @returns {Show[]} Valid shows
  */
 function validateShows(shows, { strict = false } = {}) {
@@ -69,22 +194,32 @@ function validateShows(shows, { strict = false } = {}) {
   }
 
   const validShows = [];
+  const invalid = [];
 
   for (let i = 0; i < shows.length; i++) {
     const { valid, errors } = validateShow(shows[i]);
 
     if (valid) {
       validShows.push(shows[i]);
-    } else if (strict) {
-      throw new Error(`Invalid show at index ${i}: ${errors.join(', ')}`);
+    } else {
+      invalid.push({ index: i, errors });
     }
     // In non-strict mode, silently skip invalid shows
   }
 
+  if (strict && invalid.length > 0) {
+    const error = new Error(
+      invalid.map(({ index, errors }) => `Invalid show at index ${index}: ${errors.join(', ')}`).join('\n')
+    );
+    error.invalid = invalid;
+    throw error;
+  }
+
   return validShows;
 }
 
 module.exports = {
+  SHOW_SCHEMA_VERSION,
   validateShow,
   validateShows,
 };
@@ -0,0 +1,184 @@
+/**
+ * Venue registry.
+ *
+ * Scraped venue names are free text and vary between sources
+ * ("The Bell House" / "Bell House", "Le Poisson Rouge" / "(Le) Poisson Rouge").
+ * The registry (data/venues.json) lists each venue once with its known name
+ * variants and location, so shows can be given a canonical venue name and
+ * an address, neighborhood, borough and coordinates.
+ *
+ * Registry file format:
+ * {
+ *   "version": 1,
+ *   "venues": [{ "id", "name", "aliases": [], "address", "neighborhood", "borough", "lat", "lon" }]
+ * }
+ */
+
+// borough is null for venues outside the five boroughs
+const BOROUGHS = ['Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island'];
+
+/**
+ * @typedef {Object} Venue
+ * @property {string} id - Stable slug, e.g. "bell-house"
+ * @property {string} name - Canonical display name
+ * @property {string[]} aliases - Other names sources use for it
+ * @property {string} address
+ * @property {string} neighborhood
+ * @property {string|null} borough - One of BOROUGHS, or null outside NYC
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+/**
+ * @typedef {Object} VenueLocation
+ * Attached to shows as `location`.
+ * @property {string} venueId
+ * @property {string} address
+ * @property {string} neighborhood
+ * @property {string|null} borough
+ * @property {number} lat
+ * @property {number} lon
+ */
+
+/**
+ * Normalizes a venue name for lookup. More aggressive than
+ * normalizeArtistName: accents, punctuation and a leading "The" are
+ * dropped, so "The Bell House", "Bell House" and "bell-house" all match.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeVenueName(name) {
+  if (typeof name !== 'string') return '';
+
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')  // Strip accents
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2018\u2019]/g, '')  // "Baby's" -> "babys"
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the\s+/, '');
+}
+
+/**
+ * Validates one registry entry.
+ * @param {any} venue
+ * @returns {string[]} Errors, empty if valid
+ */
+function validateVenue(venue) {
+  const errors = [];
+
+  if (!venue || typeof venue !== 'object') {
+    return ['venue must be an object'];
+  }
+  for (const field of ['id', 'name', 'address', 'neighborhood']) {
+    if (typeof venue[field] !== 'string' || !venue[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  if (venue.aliases !== undefined && !Array.isArray(venue.aliases)) {
+    errors.push('aliases must be an array');
+  }
+  if (venue.borough !== null && !BOROUGHS.includes(venue.borough)) {
+    errors.push(`borough must be one of ${BOROUGHS.join(', ')} or null`);
+  }
+  if (!Number.isFinite(venue.lat) || Math.abs(venue.lat) > 90) {
+    errors.push('lat must be a latitude');
+  }
+  if (!Number.isFinite(venue.lon) || Math.abs(venue.lon) > 180) {
+    errors.push('lon must be a longitude');
+  }
+
+  return errors;
+}
+
+/**
+ * Builds a registry from the parsed data file.
+ * @param {{version: number, venues: Venue[]}} data
+ * @returns {{version: number, venues: Venue[], lookup: function(string): Venue|null}}
+ * @throws {Error} If an entry is invalid or two entries claim the same name
+ */
+function createVenueRegistry(data) {
+  if (!data || !Array.isArray(data.venues)) {
+    throw new Error('Venue registry must have a venues array');
+  }
+
+  const byName = new Map();
+  const venues = data.venues.map((venue, index) => {
+    const errors = validateVenue(venue);
+    if (errors.length > 0) {
+      throw new Error(`Invalid venue at index ${index} (${venue?.id}): ${errors.join('; ')}`);
+    }
+
+    const entry = { ...venue, aliases: venue.aliases || [] };
+    for (const name of [entry.name, entry.id, ...entry.aliases]) {
+      const key = normalizeVenueName(name);
+      const existing = byName.get(key);
+      if (existing && existing !== entry) {
+        throw new Error(`Venue name "${name}" is claimed by both ${existing.id} and ${entry.id}`);
+      }
+      byName.set(key, entry);
+    }
+    return entry;
+  });
+
+  return {
+    version: data.version,
+    venues,
+    lookup: name => byName.get(normalizeVenueName(name)) || null,
+  };
+}
+
+/**
+ * Gives a show its registry venue: the canonical name and a `location`.
+ * Shows at venues the registry doesn't know are returned as-is.
+ * @param {Object} show
+ * @param {ReturnType<typeof createVenueRegistry>} registry
+ * @returns {Object}
+ */
+function attachVenue(show, registry) {
+  const venue = registry.lookup(show.venue);
+  if (!venue) return show;
+
+  return {
+    ...show,
+    venue: venue.name,
+    location: {
+      venueId: venue.id,
+      address: venue.address,
+      neighborhood: venue.neighborhood,
+      borough: venue.borough,
+      lat: venue.lat,
+      lon: venue.lon,
+    },
+  };
+}
+
+/**
+ * Lists the venue names the registry doesn't know, with how many of the
+ * shows are at each, most shows first.
+ * @param {Object[]} shows
+ * @param {ReturnType<typeof createVenueRegistry>} registry
+ * @returns {Array<{name: string, showCount: number}>}
+ */
+function findUnregisteredVenues(shows, registry) {
+  const counts = new Map();
+  for (const show of shows) {
+    if (!registry.lookup(show.venue)) {
+      counts.set(show.venue, (counts.get(show.venue) || 0) + 1);
+    }
+  }
+
+  return [...counts]
+    .map(([name, showCount]) => ({ name, showCount }))
+    .sort((a, b) => b.showCount - a.showCount || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  BOROUGHS,
+  normalizeVenueName,
+  createVenueRegistry,
+  attachVenue,
+  findUnregisteredVenues,
+};
@@ -9,10 +9,13 @@
  * - Shows are sorted by parsed start time within each day for chronological display
  * - ISO date strings (YYYY-MM-DD) are timezone-agnostic and sort lexicographically
  * - Week boundaries use Monday start (ISO 8601) which is standard for event calendars
+ * - Shows are placed by `startsAt` when present, read as venue-local wall-clock
+ *   time (not converted to the viewer's timezone); `date`/`time` are the fallback
  *
  * @typedef {Object} Show
  * @property {string[]} artists
  * @property {string} venue
+ * @property {string} [startsAt] - ISO 8601, venue-local: "2026-02-10T20:00:00-05:00" or "2026-02-10"
  * @property {string} date - US locale format: "M/D/YYYY"
  * @property {string} time - US locale format: "HH:MM AM/PM"
  *
@@ -29,14 +32,24 @@
 
 const DAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
+// Leading "YYYY-MM-DD" and optional "THH:MM" of an ISO 8601 startsAt
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/;
+
 /**
- * Parses a US locale date string "M/D/YYYY" into a Date object at midnight local time.
+ * Parses a show date into a Date object at midnight local time.
+ * Accepts an ISO 8601 startsAt (preferred; its venue-local calendar date
+ * is used as written) or a US locale date string "M/D/YYYY".
  * @param {string} dateStr
  * @returns {Date|null}
  */
 function parseShowDate(dateStr) {
   if (!dateStr || typeof dateStr !== 'string') return null;
 
+  const iso = dateStr.match(ISO_PATTERN);
+  if (iso) {
+    return buildDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+  }
+
   const parts = dateStr.split('/');
   if (parts.length !== 3) return null;
 
@@ -46,6 +59,17 @@ function parseShowDate(dateStr) {
 
   if (isNaN(month) || isNaN(day) || isNaN(year)) return null;
 
+  return buildDate(year, month, day);
+}
+
+/**
+ * Builds a local-midnight Date, rejecting impossible dates.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {Date|null}
+ */
+function buildDate(year, month, day) {
   // Month is 0-indexed in JS Date
   const date = new Date(year, month - 1, day, 0, 0, 0, 0);
 
@@ -58,7 +82,9 @@ function parseShowDate(dateStr) {
 }
 
 /**
- * Parses a US locale time string "HH:MM AM/PM" into minutes since midnight.
+ * Parses a show time into minutes since midnight.
+ * Accepts an ISO 8601 startsAt (preferred; venue-local time as written)
+ * or a US locale time string "HH:MM AM/PM".
  * Returns minutes for sorting; does not need full Date precision.
  * @param {string} timeStr
  * @returns {number} Minutes since midnight (0-1439), or 0 if unparseable
@@ -66,6 +92,11 @@ function parseShowDate(dateStr) {
 function parseShowTime(timeStr) {
   if (!timeStr || typeof timeStr !== 'string') return 0;
 
+  const iso = timeStr.match(ISO_PATTERN);
+  if (iso) {
+    return iso[4] === undefined ? 0 : parseInt(iso[4], 10) * 60 + parseInt(iso[5], 10);
+  }
+
   const match = timeStr.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
   if (!match) return 0;
 
@@ -155,7 +186,7 @@ function organizeShowsByWeek(shows, referenceDate = new Date()) {
 
   // Assign shows to days
   for (const show of shows) {
-    const showDate = parseShowDate(show.date);
+    const showDate = parseShowDate(show.startsAt || show.date);
     if (!showDate) continue;
 
     const isoDate = toISODateString(showDate);
@@ -169,7 +200,7 @@ function organizeShowsByWeek(shows, referenceDate = new Date()) {
 
   // Sort shows within each day by start time
   for (const day of days) {
-    day.shows.sort((a, b) => parseShowTime(a.time) - parseShowTime(b.time));
+    day.shows.sort((a, b) => parseShowTime(a.startsAt || a.time) - parseShowTime(b.startsAt || b.time));
   }
 
   return {
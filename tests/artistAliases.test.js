@@ -0,0 +1,196 @@
+/**
+ * Tests for the artist alias table: validation, lookups, the scraper's
+ * rewrite of listed names, matching overrides and the admin API.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { config } = require('../src/config');
+const { createArtistAliases, applyArtistAliases } = require('../src/shared/artistAliases');
+const { createArtistNameSet, findMatchingShows } = require('../src/shared/normalize');
+const artistAliases = require('../src/services/artistAliases');
+const apiRoutes = require('../src/routes/api');
+
+const NOW = new Date('2024-12-01T12:00:00Z');
+
+const TABLE = {
+  version: 3,
+  artists: [
+    { name: 'Beyoncé', spotifyId: '6vWDO969PvNqNYHIOW5v0m', aliases: ['Queen Bey'] },
+    { name: 'The Mountain Goats', aliases: ['John Darnielle Band'] },
+  ],
+  blocked: [
+    { listed: 'Sister', artist: 'Sister Sledge', note: 'Different band' },
+  ],
+};
+
+describe('createArtistAliases', () => {
+  const aliases = createArtistAliases(TABLE);
+
+  it('should resolve aliases to the canonical name, ignoring case and punctuation', () => {
+    assert.strictEqual(aliases.resolve('queen bey'), 'Beyoncé');
+    assert.strictEqual(aliases.resolve('Beyonce'), 'Beyoncé');
+    assert.strictEqual(aliases.resolve('John Darnielle Band!'), 'The Mountain Goats');
+    assert.strictEqual(aliases.resolve('Radiohead'), null);
+  });
+
+  it('should check blocked pairings in one direction only', () => {
+    assert.strictEqual(aliases.isBlocked('SISTER', 'sister sledge'), true);
+    assert.strictEqual(aliases.isBlocked('Sister Sledge', 'Sister'), false);
+  });
+
+  it('should default missing aliases to none', () => {
+    assert.deepStrictEqual(createArtistAliases({ version: 1, artists: [{ name: 'Solo' }], blocked: [] }).artists[0].aliases, []);
+  });
+
+  it('should reject invalid entries and names claimed twice', () => {
+    const invalid = [
+      { version: 1, artists: [] },
+      { version: 'one', artists: [], blocked: [] },
+      { version: 1, artists: [{ name: '' }], blocked: [] },
+      { version: 1, artists: [{ name: 'A', spotifyId: 'nope' }], blocked: [] },
+      { version: 1, artists: [{ name: 'A', aliases: 'B' }], blocked: [] },
+      { version: 1, artists: [], blocked: [{ listed: 'A' }] },
+    ];
+    for (const data of invalid) {
+      assert.throws(() => createArtistAliases(data), JSON.stringify(data));
+    }
+
+    assert.throws(
+      () => createArtistAliases({ version: 1, artists: [{ name: 'A', aliases: ['X'] }, { name: 'B', aliases: ['x'] }], blocked: [] }),
+      /"x" is claimed by both A and B/
+    );
+  });
+});
+
+describe('applyArtistAliases', () => {
+  const aliases = createArtistAliases(TABLE);
+
+  it('should rename listed artists and move their qualifiers', () => {
+    const show = {
+      artists: ['Queen Bey', 'Beyonce', 'Opener'],
+      artistQualifiers: { 'Queen Bey': ['dj set'], Opener: ['support'] },
+    };
+    assert.deepStrictEqual(applyArtistAliases(show, aliases), {
+      artists: ['Beyoncé', 'Opener'],
+      artistQualifiers: { 'Beyoncé': ['dj set'], Opener: ['support'] },
+    });
+  });
+
+  it('should return shows without aliases unchanged', () => {
+    const show = { artists: ['Radiohead'] };
+    assert.strictEqual(applyArtistAliases(show, aliases), show);
+  });
+});
+
+describe('findMatchingShows with artist aliases', () => {
+  const aliases = createArtistAliases(TABLE);
+
+  it('should match aliases and skip blocked pairings', () => {
+    const userArtists = createArtistNameSet([{ name: 'The Mountain Goats' }, { name: 'Sister Sledge' }]);
+    const shows = [
+      { artists: ['John Darnielle Band'], venue: 'Alias', startsAt: '2025-01-01' },
+      { artists: ['Sister'], venue: 'Blocked', startsAt: '2025-01-02' },
+      { artists: ['Sister Sledge'], venue: 'Exact', startsAt: '2025-01-03' },
+    ];
+
+    const result = findMatchingShows(userArtists, shows, { now: NOW, threshold: 0.5, aliases });
+    assert.deepStrictEqual(result.map(show => show.venue), ['Alias', 'Exact']);
+    assert.strictEqual(result[0].match.method, 'alias');
+  });
+});
+
+describe('artist aliases admin API', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artist-aliases-'));
+  const aliasesPath = path.join(tempDir, 'artist-aliases.json');
+  const original = { artists: { ...config.artists }, admin: { ...config.admin } };
+  let server;
+  let baseUrl;
+
+  function put(body, token = 'secret') {
+    return fetch(baseUrl, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: JSON.stringify(body),
+    });
+  }
+
+  before(async () => {
+    Object.assign(config.artists, { aliasesPath });
+    Object.assign(config.admin, { token: 'secret' });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/artist-aliases`;
+  });
+
+  beforeEach(() => {
+    fs.writeFileSync(aliasesPath, JSON.stringify(TABLE));
+    artistAliases.clearArtistAliases();
+  });
+
+  after(() => {
+    server.close();
+    artistAliases.clearArtistAliases();
+    Object.assign(config.artists, original.artists);
+    Object.assign(config.admin, original.admin);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should serve the table without authentication', async () => {
+    const response = await fetch(baseUrl);
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.strictEqual(body.version, 3);
+    assert.strictEqual(body.artists[0].name, 'Beyoncé');
+  });
+
+  it('should save an edit, bump the version and use it straight away', async () => {
+    const edited = { ...TABLE, blocked: [] };
+    const response = await put(edited);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).version, 4);
+
+    const saved = JSON.parse(fs.readFileSync(aliasesPath, 'utf-8'));
+    assert.strictEqual(saved.version, 4);
+    assert.deepStrictEqual(saved.blocked, []);
+    assert.strictEqual((await artistAliases.getArtistAliases()).isBlocked('Sister', 'Sister Sledge'), false);
+  });
+
+  it('should refuse edits based on an old version', async () => {
+    assert.strictEqual((await put(TABLE)).status, 200);
+
+    const response = await put(TABLE);
+    assert.strictEqual(response.status, 409);
+    assert.match((await response.json()).error, /current version is 4/);
+  });
+
+  it('should refuse invalid tables', async () => {
+    const response = await put({ ...TABLE, artists: [{ name: 'A', aliases: ['B'] }, { name: 'B' }] });
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error, /claimed by both/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(aliasesPath, 'utf-8')).version, 3);
+  });
+
+  it('should require the admin token', async () => {
+    assert.strictEqual((await put(TABLE, null)).status, 401);
+    assert.strictEqual((await put(TABLE, 'wrong')).status, 401);
+
+    config.admin.token = undefined;
+    try {
+      assert.strictEqual((await put(TABLE)).status, 403);
+    } finally {
+      config.admin.token = 'secret';
+    }
+  });
+});
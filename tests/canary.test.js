@@ -0,0 +1,78 @@
+/**
+ * Tests for the selector health canary.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { countSelectorMatches, checkRunHealth } = require('../src/scraper/canary');
+
+const selectors = { row: '.row', venue: '.venue' };
+const goodHtml = '<div class="row"><span class="venue">V</span></div>';
+const brokenHtml = '<div class="row"><span class="place">V</span></div>';
+
+function check(results, { html = goodHtml, previousStats = {}, compareCounts } = {}) {
+  return checkRunHealth(results, {
+    snapshots: new Map([['src', { url: 'https://example.com', html }]]),
+    selectors: { src: selectors },
+    previousStats,
+    maxDropRatio: 0.5,
+    compareCounts,
+  });
+}
+
+describe('countSelectorMatches', () => {
+  it('should count matches per selector name', () => {
+    assert.deepStrictEqual(countSelectorMatches(brokenHtml, selectors), { row: 1, venue: 0 });
+  });
+});
+
+describe('checkRunHealth', () => {
+  it('should pass a healthy run', () => {
+    const health = check([{ name: 'src', raw: 100, valid: 90 }], {
+      previousStats: { src: { raw: 110, valid: 95 } },
+    });
+    assert.deepStrictEqual(health, { healthy: true, problems: [] });
+  });
+
+  it('should fail when a selector matches nothing', () => {
+    const health = check([{ name: 'src', raw: 1, valid: 1 }], { html: brokenHtml });
+    assert.strictEqual(health.healthy, false);
+    assert.strictEqual(health.problems[0].check, 'selector');
+    assert.match(health.problems[0].message, /"venue"/);
+  });
+
+  it('should fail when counts drop past the threshold', () => {
+    const health = check([{ name: 'src', raw: 100, valid: 40 }], {
+      previousStats: { src: { raw: 110, valid: 100 } },
+    });
+    assert.strictEqual(health.healthy, false);
+    assert.deepStrictEqual(health.problems.map(p => p.message), ['valid count dropped from 100 to 40']);
+  });
+
+  it('should skip count checks when asked', () => {
+    const health = check([{ name: 'src', raw: 5, valid: 5 }], {
+      previousStats: { src: { raw: 1900, valid: 1900 } },
+      compareCounts: false,
+    });
+    assert.strictEqual(health.healthy, true);
+  });
+
+  it('should pass sources with no previous stats or snapshot', () => {
+    const health = checkRunHealth([{ name: 'other', raw: 0, valid: 0 }], {
+      snapshots: new Map(),
+      selectors: {},
+    });
+    assert.strictEqual(health.healthy, true);
+  });
+
+  it('should ignore sources that failed outright', () => {
+    const health = check([{ name: 'src', raw: 0, valid: 0, error: 'timeout' }], {
+      html: brokenHtml,
+      previousStats: { src: { raw: 100, valid: 100 } },
+    });
+    assert.strictEqual(health.healthy, true);
+  });
+});
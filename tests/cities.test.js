@@ -0,0 +1,155 @@
+/**
+ * Tests for city support.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  CITIES,
+  DEFAULT_CITY,
+  getCity,
+  describeCity,
+  cityDataPath,
+  backfillCity,
+} = require('../src/shared/cities');
+const {
+  config,
+  getSourceSettings,
+  resolveCities,
+  getOutputDir,
+  buildShowsUrl,
+} = require('../src/scraper/config');
+const { runAdapter } = require('../src/scraper');
+const jsonld = require('../src/scraper/sources/jsonld');
+const { backfillStartsAt, isUpcomingShow } = require('../src/shared/datetime');
+const { createArtistAliases } = require('../src/shared/artistAliases');
+
+describe('cities', () => {
+  it('should define the default city', () => {
+    assert.strictEqual(getCity(DEFAULT_CITY).timeZone, 'America/New_York');
+    assert.strictEqual(getCity('atlantis'), null);
+  });
+
+  it('should keep the default city in the original data files', () => {
+    assert.strictEqual(cityDataPath('data/shows.json', DEFAULT_CITY), 'data/shows.json');
+    assert.strictEqual(cityDataPath('data/shows.json', 'chicago'), path.join('data', 'chicago', 'shows.json'));
+  });
+
+  it('should backfill the city of legacy shows from their file', () => {
+    assert.deepStrictEqual(backfillCity({ id: 'a' }), { id: 'a', city: DEFAULT_CITY });
+    assert.deepStrictEqual(backfillCity({ id: 'a' }, 'chicago'), { id: 'a', city: 'chicago' });
+
+    const show = { id: 'a', city: 'chicago' };
+    assert.strictEqual(backfillCity(show), show);
+  });
+
+  it('should describe cities to clients without their scraper settings', () => {
+    assert.deepStrictEqual(describeCity(getCity(DEFAULT_CITY)), {
+      id: 'nyc',
+      name: 'New York',
+      timeZone: 'America/New_York',
+    });
+  });
+});
+
+describe('scraper city settings', () => {
+  it('should resolve every configured city by default', () => {
+    assert.deepStrictEqual(resolveCities([]), CITIES.map(city => city.id));
+    assert.deepStrictEqual(resolveCities(['all']), CITIES.map(city => city.id));
+    assert.throws(() => resolveCities(['atlantis']), /Unknown city "atlantis"/);
+  });
+
+  it('should write other cities to a subdirectory', () => {
+    const directory = path.resolve(config.output.directory);
+    assert.strictEqual(getOutputDir(DEFAULT_CITY), directory);
+    assert.strictEqual(getOutputDir('chicago'), path.join(directory, 'chicago'));
+  });
+
+  it('should build the listings URL from the city settings', () => {
+    assert.strictEqual(buildShowsUrl(), `${getCity('nyc').sources.ohmyrockness.baseUrl}/shows?all=true`);
+  });
+
+  it('should read start times in the city timezone', () => {
+    const show = jsonld.eventToShow({
+      '@type': 'MusicEvent',
+      name: 'Show',
+      startDate: '2026-03-07T20:00',
+      location: { name: 'Venue' },
+    }, 'America/Chicago');
+    assert.strictEqual(show.startsAt, '2026-03-07T20:00:00-06:00');
+  });
+});
+
+describe('a second city', () => {
+  const chicago = {
+    id: 'chicago',
+    name: 'Chicago',
+    timeZone: 'America/Chicago',
+    sources: {
+      jsonld: { venueUrls: ['https://venue.example.com/calendar'] },
+    },
+  };
+  const event = {
+    '@type': 'MusicEvent',
+    name: 'Show',
+    startDate: '2026-03-07T20:00',
+    location: { name: 'Empty Bottle' },
+    performer: { '@type': 'MusicGroup', name: 'Headliner' },
+  };
+
+  before(() => CITIES.push(chicago));
+  after(() => CITIES.splice(CITIES.indexOf(chicago), 1));
+
+  it('should be scraped with only its own sources', () => {
+    assert.deepStrictEqual(resolveCities([]), ['nyc', 'chicago']);
+    assert.deepStrictEqual(resolveCities(['chicago']), ['chicago']);
+    assert.strictEqual(getSourceSettings('chicago', 'ohmyrockness'), null);
+    assert.deepStrictEqual(getSourceSettings('chicago', 'jsonld'), chicago.sources.jsonld);
+  });
+
+  it('should not be scraped without sources', () => {
+    const sourceless = { id: 'austin', name: 'Austin', timeZone: 'America/Chicago', sources: {} };
+    CITIES.push(sourceless);
+    try {
+      assert.deepStrictEqual(resolveCities([]), ['nyc', 'chicago']);
+      assert.throws(() => resolveCities(['austin']), /Unknown city "austin"/);
+    } finally {
+      CITIES.splice(CITIES.indexOf(sourceless), 1);
+    }
+  });
+
+  it('should list shows in the city with its timezone', async () => {
+    const context = {
+      city: 'chicago',
+      stats: { retries: 0 },
+      captureSnapshot: async (source, snapshot) => snapshot,
+      fetchHtml: async () => `<script type="application/ld+json">${JSON.stringify(event)}</script>`,
+    };
+    const aliases = createArtistAliases({ version: 1, artists: [], blocked: [] });
+    const result = await runAdapter(jsonld, context, aliases);
+
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.shows.length, 1);
+    assert.strictEqual(result.shows[0].city, 'chicago');
+    assert.strictEqual(result.shows[0].startsAt, '2026-03-07T20:00:00-06:00');
+  });
+
+  it('should backfill legacy start times in the city timezone', () => {
+    const legacy = { artists: ['A'], venue: 'Empty Bottle', date: '3/7/2026', time: '8:00 PM' };
+    assert.strictEqual(backfillStartsAt(legacy, 'chicago').startsAt, '2026-03-07T20:00:00-06:00');
+    assert.strictEqual(backfillStartsAt({ ...legacy, city: 'chicago' }).startsAt, '2026-03-07T20:00:00-06:00');
+    assert.strictEqual(backfillStartsAt(legacy).startsAt, '2026-03-07T20:00:00-05:00');
+  });
+
+  it('should keep date-only shows upcoming until the city-local day is over', () => {
+    const show = { city: 'chicago', startsAt: '2026-03-07' };
+    // 00:30 in New York, still the 7th in Chicago
+    const now = new Date('2026-03-08T05:30:00Z');
+    assert.strictEqual(isUpcomingShow(show, { now }), true);
+    assert.strictEqual(isUpcomingShow({ ...show, city: 'nyc' }, { now }), false);
+  });
+});
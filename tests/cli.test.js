@@ -0,0 +1,68 @@
+/**
+ * Tests for the scraper's file subcommands run as a CLI.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '../src/scraper/index.js');
+
+// Enough output to fill a pipe's buffer several times over
+const SHOW_COUNT = 2000;
+
+/**
+ * Runs the CLI with its stdout piped through `cat`, as in a shell pipeline.
+ * @param {string} args
+ * @returns {Promise<{stdout: string}>}
+ */
+function runPiped(args) {
+  return new Promise(resolve => {
+    execFile('sh', ['-c', `"${process.execPath}" "${CLI}" ${args} | cat`],
+      { maxBuffer: 64 * 1024 * 1024 },
+      (error, stdout) => resolve({ stdout }));
+  });
+}
+
+describe('scraper CLI', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-cli-'));
+  const legacyPath = path.join(tempDir, 'shows.json');
+
+  before(() => {
+    // Written by an older scraper: no ids, startsAt or status
+    const shows = Array.from({ length: SHOW_COUNT }, (_, index) => ({
+      artists: [`Artist ${index}`],
+      venue: 'Elsewhere',
+      date: '3/7/2026',
+      time: '08:00 PM',
+    }));
+    fs.writeFileSync(legacyPath, JSON.stringify(shows));
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write all of its output to a pipe', async () => {
+    const { stdout } = await runPiped(`export "${legacyPath}" --format=csv`);
+    assert.strictEqual(stdout.trimEnd().split('\n').length, SHOW_COUNT + 1);
+  });
+
+  it('should upgrade files written by older scrapers', async () => {
+    const { stdout } = await runPiped(`stats "${legacyPath}"`);
+    assert.match(stdout, new RegExp(`^${SHOW_COUNT} shows`));
+  });
+
+  it('should say why an older file fails validation', async () => {
+    const { stdout } = await runPiped(`validate "${legacyPath}"`);
+    const lines = stdout.trimEnd().split('\n');
+
+    assert.strictEqual(lines.length, SHOW_COUNT + 2);
+    assert.match(lines[lines.length - 1], /written by an older scraper/);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for startup configuration checks.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { config, validateConfig } = require('../src/config');
+
+/**
+ * Loads a fresh copy of the config module with environment overrides.
+ * @param {Object} env - Variable values; undefined unsets a variable
+ * @returns {typeof import('../src/config')}
+ */
+function loadConfig(env) {
+  const modulePath = require.resolve('../src/config');
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  const restore = values => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+
+  // Keep the shared instance the rest of the tests use
+  const cached = require.cache[modulePath];
+  restore(env);
+  delete require.cache[modulePath];
+  try {
+    return require(modulePath);
+  } finally {
+    restore(saved);
+    require.cache[modulePath] = cached;
+  }
+}
+
+describe('validateConfig', () => {
+  const original = {
+    spotify: { ...config.spotify },
+    threshold: config.matching.threshold,
+    shows: { ...config.shows },
+  };
+
+  before(() => {
+    config.spotify.clientId = 'client-id';
+    config.spotify.clientSecret = 'client-secret';
+  });
+
+  beforeEach(() => {
+    config.matching.threshold = original.threshold;
+    Object.assign(config.shows, original.shows);
+  });
+
+  after(() => {
+    Object.assign(config.spotify, original.spotify);
+    config.matching.threshold = original.threshold;
+    Object.assign(config.shows, original.shows);
+  });
+
+  it('should accept a match threshold from above 0 to 1', () => {
+    for (const threshold of [0.5, 0.87, 1]) {
+      config.matching.threshold = threshold;
+      assert.doesNotThrow(() => validateConfig());
+    }
+  });
+
+  it('should reject a match threshold outside 0-1', () => {
+    for (const threshold of [87, -0.5, NaN]) {
+      config.matching.threshold = threshold;
+      assert.throws(() => validateConfig(), /MATCH_THRESHOLD must be above 0 and at most 1/);
+    }
+  });
+
+  it('should only use the default match threshold when MATCH_THRESHOLD is unset', () => {
+    assert.strictEqual(loadConfig({ MATCH_THRESHOLD: undefined }).config.matching.threshold, 0.87);
+    assert.strictEqual(loadConfig({ MATCH_THRESHOLD: '0.9' }).config.matching.threshold, 0.9);
+
+    for (const value of ['0', 'abc']) {
+      const loaded = loadConfig({
+        MATCH_THRESHOLD: value,
+        SPOTIFY_CLIENT_ID: 'client-id',
+        SPOTIFY_CLIENT_SECRET: 'client-secret',
+      });
+      assert.throws(() => loaded.validateConfig(), /MATCH_THRESHOLD must be above 0 and at most 1/);
+    }
+  });
+
+  it('should accept a remote drop ratio from 0 to 1 and any drop age from 0', () => {
+    for (const [ratio, hours] of [[0, 0], [0.5, 24], [1, 0.5]]) {
+      Object.assign(config.shows, { remoteMaxDropRatio: ratio, remoteMaxDropAgeHours: hours });
+      assert.doesNotThrow(() => validateConfig());
+    }
+  });
+
+  it('should reject a remote drop ratio outside 0-1 and a negative drop age', () => {
+    for (const ratio of [1.5, -0.1, NaN]) {
+      config.shows.remoteMaxDropRatio = ratio;
+      assert.throws(() => validateConfig(), /SHOWS_REMOTE_MAX_DROP_RATIO must be from 0 to 1/);
+    }
+
+    config.shows.remoteMaxDropRatio = 0.5;
+    for (const hours of [-1, NaN]) {
+      config.shows.remoteMaxDropAgeHours = hours;
+      assert.throws(() => validateConfig(), /SHOWS_REMOTE_MAX_DROP_AGE_HOURS must be 0 or more/);
+    }
+  });
+
+  it('should only use the default remote drop limits when unset', () => {
+    const defaults = loadConfig({
+      SHOWS_REMOTE_MAX_DROP_RATIO: undefined,
+      SHOWS_REMOTE_MAX_DROP_AGE_HOURS: undefined,
+    }).config.shows;
+    assert.strictEqual(defaults.remoteMaxDropRatio, 0.5);
+    assert.strictEqual(defaults.remoteMaxDropAgeHours, 24);
+
+    const zero = loadConfig({
+      SHOWS_REMOTE_MAX_DROP_RATIO: '0',
+      SHOWS_REMOTE_MAX_DROP_AGE_HOURS: '0',
+    }).config.shows;
+    assert.strictEqual(zero.remoteMaxDropRatio, 0);
+    assert.strictEqual(zero.remoteMaxDropAgeHours, 0);
+
+    assert.ok(Number.isNaN(loadConfig({ SHOWS_REMOTE_MAX_DROP_RATIO: 'half' }).config.shows.remoteMaxDropRatio));
+  });
+});
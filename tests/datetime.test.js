@@ -0,0 +1,150 @@
+/**
+ * Tests for venue-local startsAt handling.
+ *
+ * Run with: npm test
+ */
+
+// Results must not depend on the runner's timezone
+process.env.TZ = 'Europe/London';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  toStartsAt,
+  isValidStartsAt,
+  normalizeStartsAt,
+  describeStartsAt,
+  startsAtFromDisplay,
+  backfillStartsAt,
+  isUpcoming,
+  isUpcomingShow,
+} = require('../src/shared/datetime');
+
+describe('toStartsAt', () => {
+  it('should use the standard offset in winter and daylight offset in summer', () => {
+    assert.strictEqual(toStartsAt(new Date('2026-01-15T01:00:00Z')), '2026-01-14T20:00:00-05:00');
+    assert.strictEqual(toStartsAt(new Date('2026-07-15T00:00:00Z')), '2026-07-14T20:00:00-04:00');
+  });
+});
+
+describe('normalizeStartsAt', () => {
+  const cases = [
+    ['2026-03-07T20:00:00-05:00', '2026-03-07T20:00:00-05:00'],
+    ['2026-03-08T01:00:00Z', '2026-03-07T20:00:00-05:00'],
+    ['2026-03-07T20:00', '2026-03-07T20:00:00-05:00'],
+    ['2026-07-04T21:30', '2026-07-04T21:30:00-04:00'],
+    // Just after the spring-forward change
+    ['2026-03-08T03:30', '2026-03-08T03:30:00-04:00'],
+    ['2026-03-07', '2026-03-07'],
+    ['  2026-03-07T20:00:00-05:00 ', '2026-03-07T20:00:00-05:00'],
+    ['', null],
+    ['Unknown', null],
+    [undefined, null],
+  ];
+
+  for (const [value, expected] of cases) {
+    it(`should normalize ${JSON.stringify(value)}`, () => {
+      assert.strictEqual(normalizeStartsAt(value), expected);
+    });
+  }
+});
+
+describe('isValidStartsAt', () => {
+  it('should accept date-only and offset datetimes', () => {
+    assert.strictEqual(isValidStartsAt('2026-03-07'), true);
+    assert.strictEqual(isValidStartsAt('2026-03-07T20:00:00-05:00'), true);
+  });
+
+  it('should reject missing offsets, impossible dates and other strings', () => {
+    assert.strictEqual(isValidStartsAt('2026-03-07T20:00'), false);
+    assert.strictEqual(isValidStartsAt('2026-02-30'), false);
+    assert.strictEqual(isValidStartsAt('3/7/2026'), false);
+    assert.strictEqual(isValidStartsAt(null), false);
+  });
+});
+
+describe('describeStartsAt', () => {
+  it('should read the wall-clock date and time as written', () => {
+    assert.deepStrictEqual(describeStartsAt('2026-03-07T23:30:00-05:00'), { date: '3/7/2026', time: '11:30 PM' });
+    assert.deepStrictEqual(describeStartsAt('2026-03-07T00:15:00-05:00'), { date: '3/7/2026', time: '12:15 AM' });
+    assert.deepStrictEqual(describeStartsAt('2026-03-07T12:00:00-05:00'), { date: '3/7/2026', time: '12:00 PM' });
+  });
+
+  it('should label date-only values TBA', () => {
+    assert.deepStrictEqual(describeStartsAt('2026-03-07'), { date: '3/7/2026', time: 'TBA' });
+  });
+
+  it('should return null for unparseable values', () => {
+    assert.strictEqual(describeStartsAt('Unknown'), null);
+  });
+});
+
+describe('startsAtFromDisplay', () => {
+  it('should convert legacy date and time strings', () => {
+    assert.strictEqual(startsAtFromDisplay('3/7/2026', '08:00 PM'), '2026-03-07T20:00:00-05:00');
+    assert.strictEqual(startsAtFromDisplay('7/4/2026', '12:30 AM'), '2026-07-04T00:30:00-04:00');
+  });
+
+  it('should fall back to date-only for unknown times', () => {
+    assert.strictEqual(startsAtFromDisplay('3/7/2026', 'Unknown'), '2026-03-07');
+  });
+
+  it('should return null for unknown dates', () => {
+    assert.strictEqual(startsAtFromDisplay('Unknown', '08:00 PM'), null);
+  });
+});
+
+describe('backfillStartsAt', () => {
+  it('should add startsAt to legacy shows', () => {
+    const show = backfillStartsAt({ artists: ['A'], venue: 'V', date: '3/7/2026', time: '8:00 PM' });
+    assert.strictEqual(show.startsAt, '2026-03-07T20:00:00-05:00');
+    assert.strictEqual(show.time, '08:00 PM');
+  });
+
+  it('should leave shows that already have startsAt or no usable date', () => {
+    const current = { startsAt: '2026-03-07', date: '3/7/2026', time: 'TBA' };
+    assert.strictEqual(backfillStartsAt(current), current);
+
+    const unknown = { date: 'Unknown', time: 'Unknown' };
+    assert.strictEqual(backfillStartsAt(unknown), unknown);
+  });
+});
+
+describe('isUpcoming', () => {
+  // 11:30 PM in London, 6:30 PM in New York
+  const now = new Date('2026-03-07T23:30:00Z');
+
+  it('should compare timed shows with their start instant', () => {
+    assert.strictEqual(isUpcoming('2026-03-07T18:00:00-05:00', { now }), false);
+    assert.strictEqual(isUpcoming('2026-03-07T18:30:00-05:00', { now }), true);
+    assert.strictEqual(isUpcoming('2026-03-07T20:00:00-05:00', { now }), true);
+  });
+
+  it('should keep date-only shows until the venue-local day is over', () => {
+    assert.strictEqual(isUpcoming('2026-03-07', { now }), true);
+    assert.strictEqual(isUpcoming('2026-03-06', { now }), false);
+    // Already March 8 in Tokyo
+    assert.strictEqual(isUpcoming('2026-03-07', { now, timeZone: 'Asia/Tokyo' }), false);
+  });
+
+  it('should keep past shows inside the look-back window', () => {
+    assert.strictEqual(isUpcoming('2026-03-01T20:00:00-05:00', { now, lookBackDays: 7 }), true);
+    assert.strictEqual(isUpcoming('2026-02-28', { now, lookBackDays: 7 }), true);
+    assert.strictEqual(isUpcoming('2026-02-27', { now, lookBackDays: 7 }), false);
+    assert.strictEqual(isUpcoming('2020-01-01', { now, lookBackDays: Infinity }), true);
+  });
+
+  it('should never hide unparseable values', () => {
+    assert.strictEqual(isUpcoming('Unknown', { now }), true);
+  });
+});
+
+describe('isUpcomingShow', () => {
+  const now = new Date('2026-03-07T23:30:00Z');
+
+  it('should use the display date of legacy shows', () => {
+    assert.strictEqual(isUpcomingShow({ date: '3/6/2026', time: '08:00 PM' }, { now }), false);
+    assert.strictEqual(isUpcomingShow({ date: '3/7/2026', time: '08:00 PM' }, { now }), true);
+  });
+});
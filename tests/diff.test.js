@@ -0,0 +1,127 @@
+/**
+ * Tests for the scrape diff report.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { diffShows, formatChangeSummary, buildChangelog } = require('../src/scraper/diff');
+
+const NOW = new Date(2026, 2, 1); // March 1, 2026
+
+function show(artists, venue, date, time = '08:00 PM') {
+  return { artists, venue, date, time };
+}
+
+describe('diffShows', () => {
+  it('should report nothing for identical lists', () => {
+    const shows = [show(['A'], 'V1', '3/7/2026'), show(['B'], 'V2', '3/8/2026')];
+    const diff = diffShows(shows, shows.map(s => ({ ...s })), { now: NOW });
+
+    assert.strictEqual(diff.unchanged, 2);
+    assert.deepStrictEqual([diff.added, diff.removed, diff.rescheduled], [[], [], []]);
+  });
+
+  it('should report added and removed shows', () => {
+    const previous = [show(['Old'], 'V1', '3/7/2026')];
+    const next = [show(['New'], 'V1', '3/7/2026')];
+    const diff = diffShows(previous, next, { now: NOW });
+
+    assert.deepStrictEqual(diff.added, next);
+    assert.deepStrictEqual(diff.removed, previous);
+  });
+
+  it('should report date, time and venue moves as reschedules', () => {
+    const previous = [show(['A', 'B'], 'V1', '3/7/2026', '08:00 PM')];
+    const next = [show(['B', 'A'], 'V2', '3/9/2026', '09:00 PM')];
+    const diff = diffShows(previous, next, { now: NOW });
+
+    assert.strictEqual(diff.rescheduled.length, 1);
+    assert.deepStrictEqual(diff.rescheduled[0].changes, ['date', 'time', 'venue']);
+    assert.deepStrictEqual([diff.added, diff.removed], [[], []]);
+  });
+
+  it('should tolerate case and "The" differences in lineups', () => {
+    const previous = [show(['The National'], 'V', '3/7/2026')];
+    const next = [show(['NATIONAL'], 'V', '3/7/2026', '07:00 PM')];
+    const diff = diffShows(previous, next, { now: NOW });
+
+    assert.strictEqual(diff.rescheduled.length, 1);
+    assert.deepStrictEqual(diff.rescheduled[0].changes, ['time']);
+  });
+
+  it('should not list shows that disappeared because they already happened', () => {
+    const previous = [show(['Past'], 'V', '2/20/2026'), show(['Future'], 'V', '3/20/2026')];
+    const diff = diffShows(previous, [], { now: NOW });
+
+    assert.deepStrictEqual(diff.removed.map(s => s.artists[0]), ['Future']);
+    assert.strictEqual(diff.expired, 1);
+  });
+
+  it('should expire shows by the venue-local date, not the machine\'s', () => {
+    const previous = [
+      { ...show(['Last Night'], 'V', '2/27/2026'), startsAt: '2026-02-27T20:00:00-05:00' },
+      { ...show(['Tonight'], 'V', '2/28/2026'), startsAt: '2026-02-28' },
+    ];
+    // 10 PM on February 28 in New York, already March 1 in UTC
+    const diff = diffShows(previous, [], { now: new Date('2026-03-01T03:00:00Z') });
+
+    assert.deepStrictEqual(diff.removed.map(s => s.artists[0]), ['Tonight']);
+    assert.strictEqual(diff.expired, 1);
+  });
+
+  it('should pair repeated lineups one-to-one', () => {
+    const previous = [show(['Residency'], 'V', '3/7/2026'), show(['Residency'], 'V', '3/14/2026')];
+    const next = [show(['Residency'], 'V', '3/14/2026'), show(['Residency'], 'V', '3/21/2026')];
+    const diff = diffShows(previous, next, { now: NOW });
+
+    assert.strictEqual(diff.unchanged, 1);
+    assert.strictEqual(diff.rescheduled.length, 1);
+    assert.strictEqual(diff.rescheduled[0].before.date, '3/7/2026');
+    assert.strictEqual(diff.rescheduled[0].after.date, '3/21/2026');
+  });
+
+  it('should report status changes separately from unchanged shows', () => {
+    const previous = [show(['A'], 'V1', '3/7/2026'), show(['B'], 'V1', '3/8/2026')];
+    const next = [{ ...previous[0], status: 'cancelled' }, { ...previous[1] }];
+    const diff = diffShows(previous, next, { now: NOW });
+
+    assert.strictEqual(diff.unchanged, 1);
+    assert.deepStrictEqual(diff.statusChanged, [{ before: previous[0], after: next[0] }]);
+  });
+});
+
+describe('formatChangeSummary', () => {
+  it('should list each kind of change', () => {
+    const diff = diffShows(
+      [show(['Gone'], 'V', '3/7/2026'), show(['Moved'], 'V', '3/7/2026')],
+      [show(['Fresh'], 'V', '3/8/2026'), show(['Moved'], 'V', '3/9/2026')],
+      { now: NOW }
+    );
+    const summary = formatChangeSummary(diff);
+
+    assert.match(summary, /1 added, 1 removed, 1 rescheduled/);
+    assert.match(summary, /\+ 3\/8\/2026 08:00 PM {2}Fresh @ V/);
+    assert.match(summary, /- 3\/7\/2026 08:00 PM {2}Gone @ V/);
+    assert.match(summary, /~ Moved: date 3\/7\/2026 → 3\/9\/2026/);
+  });
+
+  it('should list status changes', () => {
+    const before = show(['Off'], 'V', '3/7/2026');
+    const diff = diffShows([before], [{ ...before, status: 'postponed' }], { now: NOW });
+    assert.match(formatChangeSummary(diff), /! 3\/7\/2026 08:00 PM {2}Off @ V: scheduled → postponed/);
+  });
+});
+
+describe('buildChangelog', () => {
+  it('should include counts and a timestamp', () => {
+    const diff = diffShows([], [show(['A'], 'V', '3/7/2026')], { now: NOW });
+    const changelog = buildChangelog(diff, NOW);
+
+    assert.strictEqual(changelog.generatedAt, NOW.toISOString());
+    assert.strictEqual(changelog.counts.added, 1);
+    assert.strictEqual(changelog.added.length, 1);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for CSV and iCalendar show exports.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { toCsv, toIcs, exportShows } = require('../src/scraper/export');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const timed = {
+  id: 'a1b2c3d4e5f6',
+  artists: ['Big Thief', 'Opener, The'],
+  venue: 'Brooklyn Steel',
+  city: 'nyc',
+  startsAt: '2026-03-07T20:00:00-05:00',
+  date: '3/7/2026',
+  time: '08:00 PM',
+  price: { min: 25, max: 30 },
+  ticketUrl: 'https://tickets.example.com/1',
+  source: 'ohmyrockness',
+};
+
+const allDay = {
+  id: 'f6e5d4c3b2a1',
+  artists: ['Band "Quoted"'],
+  venue: 'Elsewhere',
+  startsAt: '2026-03-08',
+  date: '3/8/2026',
+  time: 'TBA',
+  status: 'cancelled',
+};
+
+describe('toCsv', () => {
+  it('should write a header and one quoted row per show', () => {
+    const lines = toCsv([timed, allDay]).split('\r\n');
+
+    assert.strictEqual(lines[0].split(',')[0], 'id');
+    assert.strictEqual(
+      lines[1],
+      'a1b2c3d4e5f6,2026-03-07T20:00:00-05:00,3/7/2026,08:00 PM,"Big Thief; Opener, The",Brooklyn Steel,' +
+      'nyc,scheduled,,25,30,,https://tickets.example.com/1,,ohmyrockness'
+    );
+    assert.ok(lines[2].includes(',"Band ""Quoted""",Elsewhere,,cancelled,'));
+    assert.strictEqual(lines[3], '');
+  });
+});
+
+describe('toIcs', () => {
+  const ics = toIcs([timed, allDay], { now: NOW });
+  const lines = ics.split('\r\n');
+
+  it('should wrap events in a calendar with CRLF line endings', () => {
+    assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+    assert.strictEqual(lines.at(-2), 'END:VCALENDAR');
+    assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(!/[^\r]\n/.test(ics));
+  });
+
+  it('should write timed shows in UTC and date-only shows as all-day', () => {
+    assert.ok(lines.includes('DTSTART:20260308T010000Z'));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20260308'));
+    assert.ok(lines.includes('DTSTAMP:20260301T120000Z'));
+  });
+
+  it('should escape text and map statuses', () => {
+    assert.ok(lines.includes('SUMMARY:Big Thief\\, Opener\\, The @ Brooklyn Steel'));
+    assert.ok(lines.includes('UID:a1b2c3d4e5f6@concert-notify'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+  });
+
+  it('should fold lines longer than 75 octets', () => {
+    const long = toIcs([{ ...timed, artists: ['x'.repeat(200)] }], { now: NOW });
+
+    for (const line of long.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(long.replace(/\r\n /g, '').includes(`SUMMARY:${'x'.repeat(200)} @ Brooklyn Steel`));
+  });
+});
+
+describe('exportShows', () => {
+  it('should reject unknown formats', () => {
+    assert.throws(() => exportShows([timed], 'pdf'), /Unknown export format "pdf". Available: csv, ics/);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for the fetch context: retries, per-host throttling and the
+ * raw page cache.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createFetchContext,
+  fixtureName,
+  cacheDateFor,
+  isRetryable,
+  retryDelay,
+  withRetry,
+  createHostThrottle,
+} = require('../src/scraper/fetchers');
+const { buildShowsUrl } = require('../src/scraper/config');
+const ohmyrockness = require('../src/scraper/sources/ohmyrockness');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/pages');
+const noSleep = async () => {};
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers },
+  });
+}
+
+describe('isRetryable', () => {
+  it('should retry network errors, 429 and 5xx', () => {
+    assert.strictEqual(isRetryable(new Error('socket hang up')), true);
+    assert.strictEqual(isRetryable(httpError(429)), true);
+    assert.strictEqual(isRetryable(httpError(503)), true);
+  });
+
+  it('should not retry other 4xx responses', () => {
+    assert.strictEqual(isRetryable(httpError(404)), false);
+    assert.strictEqual(isRetryable(httpError(403)), false);
+  });
+});
+
+describe('retryDelay', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+  it('should double the delay for each retry, up to the cap', () => {
+    assert.deepStrictEqual([1, 2, 3, 4].map(retry => retryDelay(retry, options)), [1000, 2000, 4000, 5000]);
+  });
+
+  it('should honour a longer Retry-After', () => {
+    assert.strictEqual(retryDelay(1, options, httpError(429, { 'retry-after': '3' })), 3000);
+    assert.strictEqual(retryDelay(1, options, httpError(429, { 'retry-after': '60' })), 5000);
+  });
+});
+
+describe('withRetry', () => {
+  const options = { retries: 2, baseDelayMs: 10, maxDelayMs: 100, sleep: noSleep };
+
+  it('should retry transient failures until one succeeds', async () => {
+    const delays = [];
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw new Error('timeout');
+      return 'ok';
+    }, { ...options, onRetry: (error, retry, delayMs) => delays.push([retry, delayMs]) });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(delays, [[1, 10], [2, 20]]);
+  });
+
+  it('should give up after the configured retries', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw new Error('timeout'); }, options), /timeout/);
+    assert.strictEqual(calls, 3);
+  });
+
+  it('should not retry permanent failures', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw httpError(404); }, options), /404/);
+    assert.strictEqual(calls, 1);
+  });
+});
+
+describe('createHostThrottle', () => {
+  it('should space out requests to the same host only', async () => {
+    let clock = 0;
+    const waits = [];
+    const waitForHost = createHostThrottle({
+      intervalMs: 1000,
+      now: () => clock,
+      sleep: async ms => { waits.push(ms); clock += ms; },
+    });
+
+    await waitForHost('https://a.example.com/one');
+    clock += 200;
+    await waitForHost('https://a.example.com/two');
+    await waitForHost('https://b.example.com/');
+
+    assert.deepStrictEqual(waits, [800]);
+  });
+});
+
+describe('page cache', () => {
+  const url = 'https://venue.example.com/calendar';
+
+  const tempDirs = [];
+  function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+    tempDirs.push(dir);
+    return dir;
+  }
+
+  after(() => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should key the cache date by the venue-local day', () => {
+    assert.strictEqual(cacheDateFor(new Date('2026-03-02T03:00:00Z')), '2026-03-01');
+  });
+
+  it('should save pages under their date and read them back', async () => {
+    const cacheDir = tempDir();
+    const writer = createFetchContext({ cacheDir, cacheDate: '2026-03-01' });
+    await writer.savePage(url, '<html>cached</html>');
+
+    const filePath = path.join(cacheDir, '2026-03-01', fixtureName(url));
+    assert.strictEqual(fs.readFileSync(filePath, 'utf-8'), '<html>cached</html>');
+
+    const reader = createFetchContext({ cacheDir, cacheDate: '2026-03-01', fromCache: true });
+    assert.strictEqual(await reader.fetchHtml(url), '<html>cached</html>');
+    assert.deepStrictEqual(reader.stats, { requests: 0, retries: 0, cacheHits: 1 });
+  });
+
+  it('should only read the cache when asked to', async () => {
+    const cacheDir = tempDir();
+    const context = createFetchContext({ cacheDir, cacheDate: '2026-03-01' });
+    await context.savePage(url, '<html></html>');
+    assert.strictEqual(await context.readCachedPage(url), null);
+  });
+
+  it('should parse the cached all-shows page without a browser', async () => {
+    const cacheDir = tempDir();
+    const showsUrl = buildShowsUrl();
+    const dayDir = path.join(cacheDir, '2026-03-01');
+    fs.mkdirSync(dayDir);
+    fs.copyFileSync(path.join(FIXTURES_DIR, fixtureName(showsUrl)), path.join(dayDir, fixtureName(showsUrl)));
+
+    const context = createFetchContext({ cacheDir, cacheDate: '2026-03-01', fromCache: true });
+    context.newPage = async () => assert.fail('should not launch a browser');
+    const rawShows = await ohmyrockness.fetch(context);
+    assert.strictEqual(rawShows.length, 5);
+  });
+
+  it('should reject malformed cache dates', () => {
+    assert.throws(() => createFetchContext({ cacheDate: 'yesterday' }), /Invalid cache date/);
+  });
+});
+
+describe('fetch context requests', () => {
+  it('should count retries across requests', async () => {
+    const context = createFetchContext({ cacheDir: null, sleep: noSleep });
+    let calls = 0;
+    const result = await context.request('https://venue.example.com/', async () => {
+      calls++;
+      if (calls === 1) throw httpError(502);
+      return 'ok';
+    });
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(context.stats, { requests: 2, retries: 1, cacheHits: 0 });
+  });
+
+  // Stands in for a Puppeteer page whose responses have the given statuses
+  function fakePage(statuses) {
+    const page = { gotos: 0 };
+    page.goto = async () => {
+      const status = statuses[page.gotos++];
+      return { status: () => status, ok: () => status >= 200 && status < 300, headers: () => ({}) };
+    };
+    return page;
+  }
+
+  it('should retry browser page loads that get a 5xx or 429', async () => {
+    const context = createFetchContext({ cacheDir: null, sleep: noSleep });
+    const page = fakePage([503, 429, 200]);
+
+    const response = await context.gotoPage(page, 'https://venue.example.com/');
+    assert.strictEqual(response.status(), 200);
+    assert.strictEqual(page.gotos, 3);
+    assert.strictEqual(context.stats.retries, 2);
+  });
+
+  it('should fail browser page loads with other error statuses without retrying', async () => {
+    const context = createFetchContext({ cacheDir: null, sleep: noSleep });
+    const page = fakePage([404]);
+
+    await assert.rejects(context.gotoPage(page, 'https://venue.example.com/'), error => {
+      assert.strictEqual(error.response.status, 404);
+      return true;
+    });
+    assert.strictEqual(page.gotos, 1);
+  });
+});
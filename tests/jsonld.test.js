@@ -0,0 +1,206 @@
+/**
+ * Tests for the schema.org JSON-LD source adapter.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const jsonld = require('../src/scraper/sources/jsonld');
+const { getCity } = require('../src/shared/cities');
+const { validateShows } = require('../src/shared/types');
+const { assignShowIds } = require('../src/shared/showId');
+
+function page(...blocks) {
+  const scripts = blocks
+    .map(block => `<script type="application/ld+json">${typeof block === 'string' ? block : JSON.stringify(block)}</script>`)
+    .join('\n');
+  return `<html><head>${scripts}</head><body></body></html>`;
+}
+
+const musicEvent = {
+  '@context': 'https://schema.org',
+  '@type': 'MusicEvent',
+  name: 'Night Out',
+  startDate: '2026-03-07T20:00:00-05:00',
+  location: { '@type': 'MusicVenue', name: 'Elsewhere' },
+  performer: [
+    { '@type': 'MusicGroup', name: 'Headliner' },
+    { '@type': 'MusicGroup', name: 'Opener' },
+  ],
+  url: 'https://elsewhere.example.com/events/night-out',
+  typicalAgeRange: '21-',
+  offers: {
+    '@type': 'Offer',
+    url: 'https://tickets.example.com/1',
+    lowPrice: '18.00',
+    highPrice: '25',
+    priceCurrency: 'USD',
+    availability: 'https://schema.org/InStock',
+  },
+};
+
+describe('extractEvents', () => {
+  it('should extract Event and MusicEvent nodes', () => {
+    const html = page(musicEvent, { '@type': 'Event', name: 'Other' });
+    assert.strictEqual(jsonld.extractEvents(html).length, 2);
+  });
+
+  it('should unwrap arrays and @graph containers', () => {
+    const html = page([musicEvent], { '@graph': [{ '@type': 'Organization' }, musicEvent] });
+    assert.strictEqual(jsonld.extractEvents(html).length, 2);
+  });
+
+  it('should ignore non-event nodes and malformed blocks', () => {
+    const html = page({ '@type': 'Organization', name: 'Venue' }, '{ not json');
+    assert.deepStrictEqual(jsonld.extractEvents(html), []);
+  });
+
+  it('should accept @type arrays', () => {
+    const html = page({ ...musicEvent, '@type': ['MusicEvent', 'Thing'] });
+    assert.strictEqual(jsonld.extractEvents(html).length, 1);
+  });
+});
+
+describe('eventToShow', () => {
+  it('should map performers, location, startDate, url and offers', () => {
+    assert.deepStrictEqual(jsonld.eventToShow(musicEvent), {
+      artists: ['Headliner', 'Opener'],
+      venue: 'Elsewhere',
+      startsAt: '2026-03-07T20:00:00-05:00',
+      date: '3/7/2026',
+      time: '08:00 PM',
+      url: 'https://elsewhere.example.com/events/night-out',
+      ticketUrl: 'https://tickets.example.com/1',
+      price: { min: 18, max: 25 },
+      ageRestriction: '21+',
+    });
+  });
+
+  it('should convert startDate to venue-local time', () => {
+    const utc = jsonld.eventToShow({ ...musicEvent, startDate: '2026-07-11T01:30:00Z' });
+    assert.strictEqual(utc.startsAt, '2026-07-10T21:30:00-04:00');
+    assert.strictEqual(utc.date, '7/10/2026');
+    assert.strictEqual(utc.time, '09:30 PM');
+
+    const dateOnly = jsonld.eventToShow({ ...musicEvent, startDate: '2026-03-07' });
+    assert.strictEqual(dateOnly.startsAt, '2026-03-07');
+    assert.strictEqual(dateOnly.time, 'TBA');
+  });
+
+  it('should flag sold-out and cancelled events', () => {
+    const show = jsonld.eventToShow({
+      ...musicEvent,
+      eventStatus: 'https://schema.org/EventCancelled',
+      offers: [{ availability: 'SoldOut', price: 0 }],
+    });
+    assert.strictEqual(show.soldOut, true);
+    assert.strictEqual(show.status, 'cancelled');
+    assert.deepStrictEqual(show.price, { min: 0, max: 0 });
+  });
+
+  it('should read postponed status from eventStatus or a name marker', () => {
+    const postponed = jsonld.eventToShow({ ...musicEvent, eventStatus: 'EventPostponed' });
+    assert.strictEqual(postponed.status, 'postponed');
+
+    const marked = jsonld.eventToShow({
+      ...musicEvent,
+      performer: [{ name: 'POSTPONED: Headliner' }, { name: 'Opener' }],
+    });
+    assert.deepStrictEqual(marked.artists, ['Headliner', 'Opener']);
+    assert.strictEqual(marked.status, 'postponed');
+
+    const scheduled = jsonld.eventToShow({ ...musicEvent, eventStatus: 'EventScheduled' });
+    assert.strictEqual(scheduled.status, undefined);
+  });
+
+  it('should ignore prices in other currencies', () => {
+    const show = jsonld.eventToShow({ ...musicEvent, offers: { price: 20, priceCurrency: 'EUR' } });
+    assert.strictEqual(show.price, undefined);
+  });
+
+  it('should fall back to the event name without performers', () => {
+    const show = jsonld.eventToShow({ ...musicEvent, performer: undefined });
+    assert.deepStrictEqual(show.artists, ['Night Out']);
+  });
+
+  it('should accept a single performer and string location', () => {
+    const show = jsonld.eventToShow({
+      ...musicEvent,
+      performer: { name: 'Solo' },
+      location: 'Union Pool',
+      offers: [{ url: 'https://a.example.com' }],
+    });
+    assert.deepStrictEqual(show.artists, ['Solo']);
+    assert.strictEqual(show.venue, 'Union Pool');
+    assert.strictEqual(show.ticketUrl, 'https://a.example.com');
+  });
+});
+
+describe('parse', () => {
+  it('should produce shows that pass validation', () => {
+    const shows = jsonld.parse([
+      musicEvent,
+      { ...musicEvent, startDate: '2026-03-07' },
+      { ...musicEvent, startDate: 'soon' },
+      { '@type': 'Event', startDate: '2026-03-07' },
+    ]);
+    assert.strictEqual(shows.length, 2);
+    assert.strictEqual(validateShows(assignShowIds(shows), { strict: true }).length, 2);
+  });
+});
+
+describe('fetch', () => {
+  const urls = ['https://a.example.com', 'https://b.example.com'];
+  const nyc = getCity('nyc');
+  let original;
+
+  beforeEach(() => {
+    original = nyc.sources.jsonld;
+    nyc.sources.jsonld = { venueUrls: urls };
+  });
+
+  afterEach(() => {
+    if (original) nyc.sources.jsonld = original;
+    else delete nyc.sources.jsonld;
+  });
+
+  function createContext(fetchHtml) {
+    const snapshots = new Map();
+    return {
+      city: 'nyc',
+      snapshots,
+      fetchHtml,
+      captureSnapshot: async (source, { url, html }) => {
+        const snapshot = { url, html, screenshot: null };
+        snapshots.set(source, snapshot);
+        return snapshot;
+      },
+    };
+  }
+
+  it('should fail only when every page fails', async () => {
+    const partial = createContext(async url => {
+      if (url === urls[0]) throw new Error('down');
+      return page(musicEvent);
+    });
+    assert.strictEqual((await jsonld.fetch(partial)).length, 1);
+
+    const broken = createContext(async () => { throw new Error('down'); });
+    await assert.rejects(jsonld.fetch(broken), /All JSON-LD venue pages failed/);
+  });
+
+  it('should keep the fetched pages as snapshots for diagnostics', async () => {
+    const context = createContext(async url => (url === urls[1] ? '<html></html>' : page(musicEvent)));
+    await jsonld.fetch(context);
+
+    assert.deepStrictEqual(context.snapshots.get('jsonld'), { url: urls[1], html: '<html></html>', screenshot: null });
+  });
+
+  it('should fail when the city has no venue URLs', async () => {
+    nyc.sources.jsonld = { venueUrls: [] };
+    const context = createContext(async () => page(musicEvent));
+    await assert.rejects(jsonld.fetch(context), /No JSON-LD venue URLs configured for nyc/);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the scrape run manifest and data freshness reporting.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { buildManifest } = require('../src/scraper/manifest');
+const { describeFreshness } = require('../src/services/shows');
+const { SHOW_SCHEMA_VERSION } = require('../src/shared/types');
+
+const startedAt = new Date('2026-03-07T06:00:00Z');
+const finishedAt = new Date('2026-03-07T06:01:30Z');
+
+describe('buildManifest', () => {
+  it('should record the run time, duration, counts and schema version', () => {
+    const manifest = buildManifest(
+      [{ name: 'ohmyrockness', raw: 120, valid: 118, shows: [] }],
+      { showCount: 118, startedAt, finishedAt }
+    );
+
+    assert.deepStrictEqual(manifest, {
+      schemaVersion: SHOW_SCHEMA_VERSION,
+      city: 'nyc',
+      scrapedAt: '2026-03-07T06:01:30.000Z',
+      durationMs: 90000,
+      showCount: 118,
+      sources: {
+        ohmyrockness: {
+          label: 'OhMyRockness',
+          scrapedAt: '2026-03-07T06:01:30.000Z',
+          raw: 120,
+          valid: 118,
+        },
+      },
+    });
+  });
+
+  it('should keep previous entries for sources that failed or were not run', () => {
+    const previous = {
+      sources: {
+        ohmyrockness: { label: 'OhMyRockness', scrapedAt: '2026-03-06T06:01:00.000Z', raw: 100, valid: 99 },
+        jsonld: { label: 'Venue JSON-LD', scrapedAt: '2026-03-06T06:01:00.000Z', raw: 5, valid: 5 },
+      },
+    };
+
+    const manifest = buildManifest(
+      [{ name: 'ohmyrockness', raw: 0, valid: 0, shows: [], error: 'timeout' }],
+      { showCount: 104, startedAt, finishedAt, previous }
+    );
+
+    assert.deepStrictEqual(manifest.sources, previous.sources);
+    assert.strictEqual(manifest.scrapedAt, '2026-03-07T06:01:30.000Z');
+  });
+});
+
+describe('describeFreshness', () => {
+  const now = new Date('2026-03-08T06:00:00Z');
+
+  it('should report the age of the data', () => {
+    const freshness = describeFreshness({ scrapedAt: '2026-03-07T18:00:00Z' }, { now, staleAfterHours: 48 });
+    assert.deepStrictEqual(freshness, {
+      scrapedAt: '2026-03-07T18:00:00Z',
+      ageHours: 12,
+      stale: false,
+      staleAfterHours: 48,
+    });
+  });
+
+  it('should flag data older than the threshold as stale', () => {
+    const freshness = describeFreshness({ scrapedAt: '2026-03-05T06:00:00Z' }, { now, staleAfterHours: 48 });
+    assert.strictEqual(freshness.ageHours, 72);
+    assert.strictEqual(freshness.stale, true);
+  });
+
+  it('should report unknown age without a manifest', () => {
+    for (const manifest of [null, {}, { scrapedAt: 'yesterday' }]) {
+      const freshness = describeFreshness(manifest, { now, staleAfterHours: 48 });
+      assert.strictEqual(freshness.ageHours, null);
+      assert.strictEqual(freshness.stale, false);
+    }
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for /api/matches match explanations.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { findUserMatches, getUserMatches, clearMatchCache } = require('../src/services/matches');
+const { createArtistAliases } = require('../src/shared/artistAliases');
+
+const NOW = new Date('2024-12-01T12:00:00Z');
+
+const TOP = [{ name: 'The Mountain Goats' }, { name: 'Phoebe Bridgers' }];
+const LIKED = [{ name: 'phoebe bridgers' }, { name: 'Big Thief' }];
+
+const SHOWS = [
+  { artists: ['Headliner', 'Big Thief'], venue: 'Liked', startsAt: '2025-01-02' },
+  { artists: ['Phoebe Bridgres', 'Big Thief'], venue: 'Both', startsAt: '2025-01-01' },
+  { artists: ['John Darnielle Band'], venue: 'Alias', startsAt: '2025-01-03' },
+  { artists: ['Nobody'], venue: 'None', startsAt: '2025-01-04' },
+  { artists: ['Big Thief'], venue: 'Past', startsAt: '2024-11-01' },
+];
+
+const aliases = createArtistAliases({
+  version: 1,
+  artists: [{ name: 'The Mountain Goats', aliases: ['John Darnielle Band'] }],
+  blocked: [],
+});
+
+describe('findUserMatches', () => {
+  const result = findUserMatches(TOP, LIKED, SHOWS, { now: NOW, aliases });
+
+  it('should return upcoming matching shows by date', () => {
+    assert.deepStrictEqual(result.map(show => show.venue), ['Both', 'Liked', 'Alias']);
+  });
+
+  it('should say where each matched artist came from, in the user\'s spelling', () => {
+    const [both, liked] = result;
+
+    const bigThief = {
+      artist: 'Big Thief',
+      userArtist: 'Big Thief',
+      confidence: 1,
+      method: 'exact',
+      position: 1,
+      sources: ['liked'],
+      topRank: null,
+      likedTracks: 1,
+    };
+    assert.deepStrictEqual(liked.match, { ...bigThief, possible: false, score: 0.1, artists: [bigThief] });
+    assert.deepStrictEqual(both.match.artists.map(entry => [entry.artist, entry.userArtist, entry.sources]), [
+      ['Phoebe Bridgres', 'Phoebe Bridgers', ['top', 'liked']],
+      ['Big Thief', 'Big Thief', ['liked']],
+    ]);
+  });
+
+  it('should describe the most confident artist at the top level', () => {
+    const [both] = result;
+
+    assert.strictEqual(both.match.artist, 'Big Thief');
+    assert.strictEqual(both.match.possible, false);
+    assert.strictEqual(both.match.artists[0].method, 'fuzzy');
+  });
+
+  it('should report alias matches', () => {
+    const alias = result[2].match;
+
+    assert.strictEqual(alias.method, 'alias');
+    assert.strictEqual(alias.userArtist, 'The Mountain Goats');
+    assert.deepStrictEqual(alias.sources, ['top']);
+  });
+
+  it('should rank headliners the user listens to most above support slots', () => {
+    const top = [{ name: 'Big Thief' }, { name: 'Alvvays' }];
+    const liked = [{ name: 'Crumb', likedTracks: 1 }, { name: 'Alvvays', likedTracks: 12 }];
+    const shows = [
+      { artists: ['Headliner', 'Crumb'], venue: 'Liked once, support', startsAt: '2025-01-01' },
+      { artists: ['Big Thief'], venue: 'Top artist headlining', startsAt: '2025-01-02' },
+      { artists: ['Headliner', 'Big Thief'], venue: 'Top artist support', startsAt: '2025-01-03' },
+      { artists: ['Alvvays'], venue: 'Second, often liked', startsAt: '2025-01-04' },
+      { artists: ['Alvvays', 'Crumb'], venue: 'Two matched artists', startsAt: '2025-01-05' },
+    ];
+
+    const ranked = findUserMatches(top, liked, shows, { now: NOW })
+      .sort((a, b) => b.match.score - a.match.score)
+      .map(show => show.venue);
+    assert.deepStrictEqual(ranked, [
+      'Two matched artists',
+      'Top artist headlining',
+      'Second, often liked',
+      'Top artist support',
+      'Liked once, support',
+    ]);
+  });
+
+  it('should report top rank and liked songs for each matched artist', () => {
+    const [show] = findUserMatches(TOP, [{ name: 'Phoebe Bridgers', likedTracks: 3 }], [SHOWS[1]], { now: NOW });
+
+    assert.strictEqual(show.match.topRank, 2);
+    assert.strictEqual(show.match.likedTracks, 3);
+    assert.strictEqual(show.match.position, 0);
+  });
+
+  it('should flag low-confidence matches as possible', () => {
+    const [show] = findUserMatches(TOP, [], [SHOWS[1]], { now: NOW });
+
+    assert.strictEqual(show.match.artist, 'Phoebe Bridgres');
+    assert.strictEqual(show.match.possible, true);
+  });
+});
+
+describe('getUserMatches', () => {
+  const data = { city: 'nyc', topArtists: TOP, likedArtists: LIKED, shows: SHOWS, version: 'a', aliases, threshold: 0.87 };
+
+  it('should match every show, past ones included', () => {
+    clearMatchCache();
+    const matches = getUserMatches('user-1', data);
+
+    assert.deepStrictEqual(matches.map(show => show.venue), ['Past', 'Both', 'Liked', 'Alias']);
+  });
+
+  it('should reuse the matches while nothing has changed', () => {
+    clearMatchCache();
+    const first = getUserMatches('user-1', data);
+
+    assert.strictEqual(getUserMatches('user-1', { ...data, topArtists: [...TOP] }), first);
+    assert.notStrictEqual(getUserMatches('user-2', data), first);
+  });
+
+  it('should serve the last matches while matching again after a change', async () => {
+    clearMatchCache();
+    const first = getUserMatches('user-1', data);
+    const newAliases = createArtistAliases({ version: 2, artists: [], blocked: [] });
+    const changed = { ...data, version: 'b', aliases: newAliases };
+
+    assert.strictEqual(getUserMatches('user-1', changed), first);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(getUserMatches('user-1', changed).length, 3);
+
+    getUserMatches('user-1', { ...changed, likedArtists: [] });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(getUserMatches('user-1', { ...changed, likedArtists: [] }).length, 1);
+  });
+
+  it('should only apply the latest background match', async () => {
+    clearMatchCache();
+    getUserMatches('user-1', data);
+    getUserMatches('user-1', { ...data, version: 'b' });
+    getUserMatches('user-1', { ...data, version: 'c', likedArtists: [] });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const matches = getUserMatches('user-1', { ...data, version: 'c', likedArtists: [] });
+    assert.deepStrictEqual(matches.map(show => show.venue), ['Both', 'Alias']);
+  });
+});
@@ -8,11 +8,19 @@ const { describe, it } = require('node:test');
 const assert = require('node:assert');
 
 const {
+  CONFIDENT_MATCH,
   normalizeArtistName,
+  foldArtistName,
+  artistSimilarity,
+  matchArtistName,
   artistNamesMatch,
   createArtistNameSet,
   findMatchingShows,
 } = require('../src/shared/normalize');
+const { parseLineupEntry, parseLineup } = require('../src/shared/lineup');
+
+// Before every show below, which are all in 2025
+const NOW = new Date('2024-12-01T12:00:00Z');
 
 describe('normalizeArtistName', () => {
   it('should lowercase names', () => {
@@ -65,6 +73,175 @@ describe('artistNamesMatch', () => {
   });
 });
 
+describe('foldArtistName', () => {
+  it('should strip accents and punctuation', () => {
+    assert.strictEqual(foldArtistName('Beyoncé'), 'beyonce');
+    assert.strictEqual(foldArtistName('Sister.'), 'sister');
+    assert.strictEqual(foldArtistName("Guns N' Roses"), 'guns n roses');
+    assert.strictEqual(foldArtistName('AC/DC'), 'ac dc');
+  });
+
+  it('should keep names made only of punctuation', () => {
+    assert.strictEqual(foldArtistName('!!!'), '!!!');
+  });
+});
+
+describe('artistSimilarity', () => {
+  it('should fully match names differing only in accents, punctuation or spacing', () => {
+    assert.strictEqual(artistSimilarity('Beyoncé', 'Beyonce'), 1);
+    assert.strictEqual(artistSimilarity('Sister.', 'Sister'), 1);
+    assert.strictEqual(artistSimilarity('AC/DC', 'ACDC'), 1);
+    assert.strictEqual(artistSimilarity('!!!', '!!!'), 1);
+  });
+
+  it('should score typos below 1 and match reordered words', () => {
+    const typo = artistSimilarity('Radiohead', 'Radiohaed');
+    assert.ok(typo > 0.87 && typo < CONFIDENT_MATCH, `got ${typo}`);
+
+    assert.strictEqual(artistSimilarity('Hall & Oates', 'Oates & Hall'), 1);
+  });
+
+  it('should only match short names exactly', () => {
+    assert.strictEqual(artistSimilarity('Blur', 'Blue'), 0);
+    assert.strictEqual(artistSimilarity('MUNA', 'Muna'), 1);
+  });
+
+  it('should not fuzzy match names differing in a short word or number', () => {
+    assert.strictEqual(artistSimilarity('Artist A', 'Artist C'), 0);
+    assert.strictEqual(artistSimilarity('Blink 182', 'Blink 183'), 0);
+  });
+
+  it('should not fuzzy match names differing in a plural "s"', () => {
+    for (const [listed, artist] of [
+      ['The National', 'The Nationals'],
+      ['Destroyer', 'Destroyers'],
+      ['Cat Power', 'Cat Powers'],
+    ]) {
+      assert.strictEqual(artistSimilarity(listed, artist), 0, `${listed} / ${artist}`);
+      assert.strictEqual(artistSimilarity(artist, listed), 0, `${artist} / ${listed}`);
+    }
+  });
+
+  it('should never match lineup placeholders', () => {
+    assert.strictEqual(artistSimilarity('Special Guests', 'Special Guests'), 0);
+    assert.strictEqual(artistSimilarity('TBA', 'TBA'), 0);
+  });
+
+  it('should score different artists low', () => {
+    assert.ok(artistSimilarity('Radiohead', 'Coldplay') < 0.5);
+  });
+});
+
+describe('matchArtistName', () => {
+  const userArtists = createArtistNameSet([{ name: 'Radiohead' }, { name: 'Japanese Breakfast' }]);
+
+  it('should return the best user artist and confidence', () => {
+    const match = matchArtistName('Japanese Breakfst', userArtists);
+    assert.strictEqual(match.userArtist, 'japanese breakfast');
+    assert.ok(match.confidence > 0.9 && match.confidence < 1);
+  });
+
+  it('should respect the threshold', () => {
+    assert.ok(matchArtistName('Radiohaed', userArtists));
+    assert.strictEqual(matchArtistName('Radiohaed', userArtists, { threshold: 1 }), null);
+    assert.strictEqual(matchArtistName('Coldplay', userArtists), null);
+  });
+
+  it('should match reordered names when only exact matches are allowed', () => {
+    const match = matchArtistName('Oates & Hall', new Set(['hall and oates']), { threshold: 1 });
+    assert.deepStrictEqual(match, { userArtist: 'hall and oates', confidence: 1, method: 'exact' });
+  });
+
+  it('should pick the first of equally close user artists', () => {
+    const match = matchArtistName('Radiohaed', new Set(['radiohead', 'radiohedd']));
+    assert.strictEqual(match.userArtist, 'radiohead');
+  });
+});
+
+describe('parseLineupEntry', () => {
+  // [entry, expected performers as "name [qualifiers]"]
+  const cases = [
+    ['Radiohead', ['Radiohead']],
+    ['X w/ Y', ['X', 'Y [support]']],
+    ['X W/ Y', ['X', 'Y [support]']],
+    ['X w/Y', ['X', 'Y [support]']],
+    ['X w/ Y w/ Z', ['X', 'Y [support]', 'Z [support]']],
+    ['w/ Opener', ['Opener [support]']],
+    ['X with special guest Y', ['X', 'Y [support]']],
+    ['X with Special Guests Y', ['X', 'Y [support]']],
+    ['A b2b B', ['A [b2b]', 'B [b2b]']],
+    ['A B2B B b2b C', ['A [b2b]', 'B [b2b]', 'C [b2b]']],
+    ['A feat. B', ['A', 'B [featured]']],
+    ['A feat B', ['A', 'B [featured]']],
+    ['A ft. B', ['A', 'B [featured]']],
+    ['A featuring B', ['A', 'B [featured]']],
+    ['Artist (DJ Set)', ['Artist [dj set]']],
+    ['Artist (DJ)', ['Artist [dj set]']],
+    ['Artist [Live]', ['Artist [live]']],
+    ['Artist - Acoustic Set', ['Artist [acoustic]']],
+    ['Artist – solo', ['Artist [solo]']],
+    ['Artist DJ Set', ['Artist [dj set]']],
+    ['Artist (Full Band)', ['Artist [full band]']],
+    ['Artist (Record Release Show)', ['Artist [album release]']],
+    ['Artist (DJ Set) - Album Release', ['Artist [dj set, album release]']],
+    ['A b2b B (Live)', ['A [b2b]', 'B [b2b, live]']],
+    ['X (DJ Set) w/ Y', ['X [dj set]', 'Y [support]']],
+    ['Band + Friends', ['Band [and friends]']],
+    ['Band & Friends', ['Band [and friends]']],
+    ['Band and Special Guests', ['Band [and special guests]']],
+    ['DJ + many more', ['DJ [and many more]']],
+    ['X w/ Special Guests', ['X']],
+    ['X w/ TBA', ['X']],
+    // Separators that are part of real names
+    ['Simon & Garfunkel', ['Simon & Garfunkel']],
+    ['Florence + the Machine', ['Florence + the Machine']],
+    ['Charli XCX x Troye Sivan', ['Charli XCX x Troye Sivan']],
+    ['Earth, Wind & Fire', ['Earth, Wind & Fire']],
+    ['Sunn O)))', ['Sunn O)))']],
+    ['(Sandy) Alex G', ['(Sandy) Alex G']],
+    ['Artist (of Band)', ['Artist (of Band)']],
+    ['Live', ['Live']],
+    ['DJ Shadow', ['DJ Shadow']],
+    ['Featherweight', ['Featherweight']],
+    ['Swift Witness', ['Swift Witness']],
+    // Placeholders on their own are kept as listed
+    ['TBA', ['TBA']],
+    ['Special Guests', ['Special Guests']],
+    ['  Padded  ', ['Padded']],
+    ['', []],
+    [null, []],
+  ];
+
+  for (const [entry, expected] of cases) {
+    it(`should parse ${JSON.stringify(entry)}`, () => {
+      const performers = parseLineupEntry(entry).map(({ name, qualifiers }) =>
+        qualifiers.length > 0 ? `${name} [${qualifiers.join(', ')}]` : name);
+      assert.deepStrictEqual(performers, expected);
+    });
+  }
+});
+
+describe('parseLineup', () => {
+  it('should flatten entries and collect qualifiers by name', () => {
+    assert.deepStrictEqual(parseLineup(['Headliner w/ Opener', 'Closer (DJ Set)']), {
+      artists: ['Headliner', 'Opener', 'Closer'],
+      qualifiers: { Opener: ['support'], Closer: ['dj set'] },
+    });
+  });
+
+  it('should drop repeated performers and combine their qualifiers', () => {
+    assert.deepStrictEqual(parseLineup(['A b2b B', 'b', 'B (Live)']), {
+      artists: ['A', 'B'],
+      qualifiers: { A: ['b2b'], B: ['b2b', 'live'] },
+    });
+  });
+
+  it('should return no qualifiers for plain lineups', () => {
+    assert.deepStrictEqual(parseLineup(['A', 'B']), { artists: ['A', 'B'], qualifiers: {} });
+    assert.deepStrictEqual(parseLineup(undefined), { artists: [], qualifiers: {} });
+  });
+});
+
 describe('findMatchingShows', () => {
   it('should return empty array when no artists match', () => {
     const userArtists = createArtistNameSet([{ name: 'Artist A' }]);
@@ -72,7 +249,7 @@ describe('findMatchingShows', () => {
       { artists: ['Artist C'], venue: 'Venue', date: '2025-01-01', time: '8pm' }
     ];
 
-    const result = findMatchingShows(userArtists, shows);
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
     assert.strictEqual(result.length, 0);
   });
 
@@ -82,7 +259,7 @@ describe('findMatchingShows', () => {
       { artists: ['RADIOHEAD'], venue: 'MSG', date: '2025-06-01', time: '8pm' }
     ];
 
-    const result = findMatchingShows(userArtists, shows);
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
     assert.strictEqual(result.length, 1);
   });
 
@@ -92,7 +269,7 @@ describe('findMatchingShows', () => {
       { artists: ['Headliner', 'Opener Band'], venue: 'Venue', date: '2025-04-01', time: '7pm' }
     ];
 
-    const result = findMatchingShows(userArtists, shows);
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
     assert.strictEqual(result.length, 1);
   });
 
@@ -104,7 +281,7 @@ describe('findMatchingShows', () => {
       { artists: ['Artist'], venue: 'V3', date: '2025-06-01', time: '8pm' },
     ];
 
-    const result = findMatchingShows(userArtists, shows);
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
     assert.strictEqual(result.length, 3);
     assert.strictEqual(result[0].venue, 'V2'); // Jan
     assert.strictEqual(result[1].venue, 'V3'); // Jun
@@ -119,18 +296,108 @@ describe('findMatchingShows', () => {
       { artists: ['Artist'], venue: 'Valid', date: '2025-01-01', time: '8pm' },
     ];
 
-    const result = findMatchingShows(userArtists, shows);
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
     assert.strictEqual(result.length, 1);
     assert.strictEqual(result[0].venue, 'Valid');
   });
 
+  it('should leave out shows that have already started, in venue-local time', () => {
+    const userArtists = createArtistNameSet([{ name: 'Artist' }]);
+    const now = new Date('2026-03-07T23:30:00Z'); // 6:30 PM in New York
+    const shows = [
+      { artists: ['Artist'], venue: 'Started', startsAt: '2026-03-07T18:00:00-05:00' },
+      { artists: ['Artist'], venue: 'Tonight', startsAt: '2026-03-07T20:00:00-05:00' },
+      // Already March 8 in UTC, but still March 7 at the venue
+      { artists: ['Artist'], venue: 'Time TBA', startsAt: '2026-03-07' },
+      { artists: ['Artist'], venue: 'Yesterday', startsAt: '2026-03-06' },
+      { artists: ['Artist'], venue: 'Legacy', date: '3/1/2026', time: '08:00 PM' },
+    ];
+
+    const venues = findMatchingShows(userArtists, shows, { now }).map(show => show.venue);
+    assert.deepStrictEqual(venues, ['Time TBA', 'Tonight']);
+  });
+
+  it('should include past shows within the look-back window', () => {
+    const userArtists = createArtistNameSet([{ name: 'Artist' }]);
+    const now = new Date('2026-03-07T23:30:00Z');
+    const shows = [
+      { artists: ['Artist'], venue: 'Last Week', startsAt: '2026-03-01T20:00:00-05:00' },
+      { artists: ['Artist'], venue: 'Last Month', startsAt: '2026-02-01' },
+    ];
+
+    assert.deepStrictEqual(
+      findMatchingShows(userArtists, shows, { now, lookBackDays: 7 }).map(show => show.venue),
+      ['Last Week']
+    );
+    assert.strictEqual(findMatchingShows(userArtists, shows, { now, lookBackDays: Infinity }).length, 2);
+  });
+
   it('should match "The X" with "X"', () => {
     const userArtists = createArtistNameSet([{ name: 'The National' }]);
     const shows = [
       { artists: ['National'], venue: 'Brooklyn Steel', date: '2025-03-15', time: '7pm' }
     ];
 
-    const result = findMatchingShows(userArtists, shows);
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
     assert.strictEqual(result.length, 1);
   });
+
+  it('should fuzzy match accents, punctuation and typos with a confidence', () => {
+    const userArtists = createArtistNameSet([{ name: 'Beyonce' }, { name: 'Sister' }, { name: 'Phoebe Bridgers' }]);
+    const shows = [
+      { artists: ['Beyoncé'], venue: 'Accents', startsAt: '2025-01-01' },
+      { artists: ['Headliner', 'Sister.'], venue: 'Punctuation', startsAt: '2025-01-02' },
+      { artists: ['Phoebe Bridgres'], venue: 'Typo', startsAt: '2025-01-03' },
+      { artists: ['Sisters'], venue: 'Too different', startsAt: '2025-01-04' },
+    ];
+
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
+    assert.deepStrictEqual(result.map(show => show.venue), ['Accents', 'Punctuation', 'Typo']);
+    const sister = { artist: 'Sister.', userArtist: 'sister', confidence: 1, method: 'exact', position: 1 };
+    assert.deepStrictEqual(result[1].match, { ...sister, artists: [sister] });
+    assert.strictEqual(result[2].match.userArtist, 'phoebe bridgers');
+    assert.strictEqual(result[2].match.method, 'fuzzy');
+    assert.ok(result[2].match.confidence < CONFIDENT_MATCH);
+  });
+
+  it('should only match exactly with a threshold of 1', () => {
+    const userArtists = createArtistNameSet([{ name: 'Phoebe Bridgers' }]);
+    const shows = [{ artists: ['Phoebe Bridgres'], venue: 'Typo', startsAt: '2025-01-03' }];
+
+    assert.strictEqual(findMatchingShows(userArtists, shows, { now: NOW, threshold: 1 }).length, 0);
+  });
+
+  it('should not match lineup placeholders', () => {
+    const userArtists = createArtistNameSet([{ name: 'Special Guests' }]);
+    const shows = [{ artists: ['Headliner', 'Special Guests'], venue: 'Venue', startsAt: '2025-01-03' }];
+
+    assert.strictEqual(findMatchingShows(userArtists, shows, { now: NOW }).length, 0);
+  });
+
+  it('should match performers inside unsplit lineup entries', () => {
+    const userArtists = createArtistNameSet([{ name: 'Opener' }, { name: 'Selector' }]);
+    const shows = [
+      { artists: ['Headliner w/ Opener'], venue: 'Support', startsAt: '2025-01-01' },
+      { artists: ['Selector (DJ Set)'], venue: 'DJ set', startsAt: '2025-01-02' },
+      { artists: ['Openers'], venue: 'Different', startsAt: '2025-01-03' },
+    ];
+
+    const result = findMatchingShows(userArtists, shows, { now: NOW });
+    assert.deepStrictEqual(result.map(show => show.venue), ['Support', 'DJ set']);
+    const opener = { artist: 'Opener', userArtist: 'opener', confidence: 1, method: 'exact', position: 1 };
+    assert.deepStrictEqual(result[0].match, { ...opener, artists: [opener] });
+    assert.strictEqual(result[1].match.artist, 'Selector');
+  });
+
+  it('should list every matching lineup artist with the best one first in match', () => {
+    const userArtists = createArtistNameSet([{ name: 'Opener' }, { name: 'Phoebe Bridgers' }]);
+    const shows = [{ artists: ['Phoebe Bridgres', 'Headliner', 'Opener'], venue: 'Venue', startsAt: '2025-01-01' }];
+
+    const [show] = findMatchingShows(userArtists, shows, { now: NOW });
+    assert.strictEqual(show.match.artist, 'Opener');
+    assert.deepStrictEqual(show.match.artists.map(entry => [entry.artist, entry.method, entry.position]), [
+      ['Phoebe Bridgres', 'fuzzy', 0],
+      ['Opener', 'exact', 2],
+    ]);
+  });
 });
@@ -0,0 +1,155 @@
+/**
+ * Tests for cross-source show merging.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { mergeShows, isSameShow } = require('../src/scraper/merge');
+const { runAdapter, mergeRunShows } = require('../src/scraper');
+const { createShowId } = require('../src/shared/showId');
+const { createArtistAliases } = require('../src/shared/artistAliases');
+
+const PRIORITY = ['jsonld', 'ohmyrockness'];
+
+function show(source, artists, startsAt, extra = {}) {
+  const timed = startsAt.includes('T');
+  return {
+    artists,
+    venue: 'Elsewhere',
+    startsAt,
+    date: '3/7/2026',
+    time: timed ? startsAt.slice(11, 16) : 'TBA',
+    source,
+    ...extra,
+  };
+}
+
+describe('isSameShow', () => {
+  const base = show('ohmyrockness', ['Beyoncé', 'Opener'], '2026-03-07T20:00:00-05:00');
+
+  it('should match overlapping lineups at the same venue and day', () => {
+    assert.strictEqual(isSameShow(base, show('jsonld', ['BEYONCE'], '2026-03-07T19:00:00-05:00', {
+      venue: 'The Elsewhere',
+    })), true);
+  });
+
+  it('should not match other days, venues or lineups', () => {
+    assert.strictEqual(isSameShow(base, show('jsonld', ['Beyoncé'], '2026-03-08')), false);
+    assert.strictEqual(isSameShow(base, { ...base, venue: 'Union Pool' }), false);
+    assert.strictEqual(isSameShow(base, { ...base, artists: ['Someone Else'] }), false);
+  });
+
+  it('should keep early and late sets from one source apart', () => {
+    assert.strictEqual(isSameShow(base, { ...base, startsAt: '2026-03-07T22:30:00-05:00' }), false);
+    assert.strictEqual(isSameShow(base, { ...base, startsAt: '2026-03-07', time: 'TBA' }), true);
+  });
+});
+
+describe('mergeShows', () => {
+  it('should leave shows without duplicates untouched', () => {
+    const shows = [
+      show('ohmyrockness', ['A'], '2026-03-07T20:00:00-05:00'),
+      show('ohmyrockness', ['B'], '2026-03-07T20:00:00-05:00'),
+    ];
+    const merged = mergeShows(shows, { sourcePriority: PRIORITY });
+    assert.strictEqual(merged.length, 2);
+    assert.strictEqual(merged[0], shows[0]);
+  });
+
+  it('should merge listings of one gig from two sources with provenance', () => {
+    const omr = show('ohmyrockness', ['Headliner', 'Opener'], '2026-03-07T20:00:00-05:00', {
+      ticketUrl: 'https://tickets.example.com/omr',
+      price: { min: 15, max: 20 },
+      soldOut: true,
+    });
+    const venue = show('jsonld', ['headliner', 'Support'], '2026-03-07', {
+      ticketUrl: 'http://venue.example.com/tix',
+      ageRestriction: '21+',
+    });
+
+    const [merged, ...rest] = mergeShows([omr, venue], { sourcePriority: PRIORITY });
+    assert.deepStrictEqual(rest, []);
+    assert.deepStrictEqual(merged.artists, ['headliner', 'Support', 'Opener']);
+    assert.strictEqual(merged.startsAt, '2026-03-07T20:00:00-05:00');
+    assert.strictEqual(merged.time, '20:00');
+    assert.strictEqual(merged.ticketUrl, 'https://tickets.example.com/omr');
+    assert.strictEqual(merged.ageRestriction, '21+');
+    assert.deepStrictEqual(merged.price, { min: 15, max: 20 });
+    assert.strictEqual(merged.soldOut, true);
+    assert.strictEqual(merged.source, 'jsonld');
+    assert.deepStrictEqual(merged.sources, ['jsonld', 'ohmyrockness']);
+    assert.deepStrictEqual(merged.provenance, {
+      artists: ['jsonld', 'ohmyrockness'],
+      startsAt: 'ohmyrockness',
+      venue: 'jsonld',
+      ticketUrl: 'ohmyrockness',
+      price: 'ohmyrockness',
+      ageRestriction: 'jsonld',
+      soldOut: 'ohmyrockness',
+    });
+  });
+
+  it('should collapse duplicate rows from one source without provenance', () => {
+    const first = show('ohmyrockness', ['A', 'B'], '2026-03-07');
+    const second = show('ohmyrockness', ['A'], '2026-03-07T20:00:00-05:00', { status: 'cancelled' });
+
+    const merged = mergeShows([first, second], { sourcePriority: PRIORITY });
+    assert.strictEqual(merged.length, 1);
+    assert.deepStrictEqual(merged[0].artists, ['A', 'B']);
+    assert.strictEqual(merged[0].startsAt, '2026-03-07T20:00:00-05:00');
+    assert.strictEqual(merged[0].status, 'cancelled');
+    assert.strictEqual(merged[0].sources, undefined);
+    assert.strictEqual(merged[0].provenance, undefined);
+  });
+
+  it('should combine artist qualifiers under the kept spelling', () => {
+    const first = show('jsonld', ['Beyonce', 'Opener'], '2026-03-07', {
+      artistQualifiers: { Opener: ['support'] },
+    });
+    const second = show('ohmyrockness', ['Beyoncé'], '2026-03-07', {
+      artistQualifiers: { 'Beyoncé': ['dj set'] },
+    });
+
+    const [merged] = mergeShows([first, second], { sourcePriority: PRIORITY });
+    assert.deepStrictEqual(merged.artists, ['Beyonce', 'Opener']);
+    assert.deepStrictEqual(merged.artistQualifiers, { Beyonce: ['dj set'], Opener: ['support'] });
+  });
+});
+
+describe('merged show ids', () => {
+  const aliases = createArtistAliases({
+    version: 1,
+    artists: [{ name: 'Sunn O)))', aliases: ['Sunn 0)))'] }],
+    blocked: [],
+  });
+
+  // Runs each list of shows as a source's parsed listings, then merges them as a scrape does
+  async function mergeSources(...sources) {
+    const context = { city: 'nyc', stats: { retries: 0 } };
+    const results = [];
+    for (const [index, listed] of sources.entries()) {
+      const adapter = { name: PRIORITY[index], fetch: async () => listed, parse: shows => shows };
+      results.push(await runAdapter(adapter, context, aliases));
+    }
+    return mergeRunShows([], results, 'nyc');
+  }
+
+  it('should keep the ids of the names as listed, whatever the alias table says', async () => {
+    const listed = show('jsonld', ['Sunn 0)))'], '2026-03-07T20:00:00-05:00');
+    const [merged] = await mergeSources([listed]);
+
+    assert.deepStrictEqual(merged.artists, ['Sunn O)))']);
+    assert.strictEqual(merged.id, createShowId(listed));
+  });
+
+  it('should keep the preferred listing\'s id when sources merge', async () => {
+    const venue = show('jsonld', ['Sunn 0)))', 'Opener'], '2026-03-07T20:00:00-05:00');
+    const omr = show('ohmyrockness', ['Sunn 0)))'], '2026-03-07T20:00:00-05:00');
+    const merged = await mergeSources([venue], [omr]);
+
+    assert.deepStrictEqual(merged.map(entry => entry.id), [createShowId(venue)]);
+  });
+});
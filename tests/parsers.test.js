@@ -0,0 +1,234 @@
+/**
+ * Fixture tests for the OhMyRockness extractor and parser.
+ *
+ * Replays saved HTML through the same extraction function the scraper
+ * runs in the browser, so selector regressions show up without a network.
+ * Re-record fixtures with: npm run scrape:record
+ *
+ * Run with: npm test
+ */
+
+// Start times must come out venue-local whatever the runner's timezone
+process.env.TZ = 'Asia/Tokyo';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { extractShowsFromHtml, parseShowDetails, parseShows } = require('../src/scraper/parsers');
+const { createFetchContext, fixtureName } = require('../src/scraper/fetchers');
+const { buildShowsUrl } = require('../src/scraper/config');
+const ohmyrockness = require('../src/scraper/sources/ohmyrockness');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/pages');
+const html = fs.readFileSync(path.join(FIXTURES_DIR, fixtureName(buildShowsUrl())), 'utf-8');
+
+describe('extractShowsFromHtml', () => {
+  const rawShows = extractShowsFromHtml(html);
+
+  it('should extract one record per show row', () => {
+    assert.strictEqual(rawShows.length, 5);
+  });
+
+  it('should extract artists, venue, datetime and details', () => {
+    assert.deepStrictEqual(rawShows[0], {
+      artists: ['Ghosts on TV', 'Heaven', 'Lucid Express'],
+      datetime: '2026-03-07T17:30:00-05:00',
+      venue: "Arlene's Grocery",
+      ticketUrl: 'https://www.ticketweb.com/event/ghosts-on-tv-123',
+      info: 'Tickets | $12 - $15 | 21+',
+    });
+  });
+
+  it('should return empty details when a row has none', () => {
+    assert.strictEqual(rawShows[3].ticketUrl, '');
+    assert.strictEqual(rawShows[3].info, '');
+  });
+
+  it('should trim names and skip profiled links', () => {
+    assert.deepStrictEqual(rawShows[1].artists, ['Victoryland', 'Or Best Offer', 'Sister.']);
+    assert.strictEqual(rawShows[1].venue, "Baby's All Right");
+    assert.strictEqual(rawShows[1].datetime, '2026-03-07T23:30:00-05:00');
+  });
+
+  it('should leave the datetime empty when missing', () => {
+    assert.strictEqual(rawShows[2].datetime, '');
+  });
+
+  it('should default the venue when missing', () => {
+    assert.strictEqual(rawShows[4].venue, 'Unknown Venue');
+  });
+
+  it('should return nothing when the row selector no longer matches', () => {
+    const selectors = { ...ohmyrockness.selectors, showRow: '.row.event-listing' };
+    assert.deepStrictEqual(extractShowsFromHtml(html, selectors), []);
+  });
+});
+
+describe('parseShowDetails', () => {
+  const cases = [
+    ['$12 - $15', { price: { min: 12, max: 15 } }],
+    ['$20', { price: { min: 20, max: 20 } }],
+    ['$10.50 to $12', { price: { min: 10.5, max: 12 } }],
+    ['Free show', { price: { min: 0, max: 0 } }],
+    ['21+', { ageRestriction: '21+' }],
+    ['18 and over', { ageRestriction: '18+' }],
+    ['All-Ages', { ageRestriction: 'all ages' }],
+    ['SOLD OUT', { soldOut: true }],
+    ['Canceled', { status: 'cancelled' }],
+    ['POSTPONED - new date TBA', { status: 'postponed' }],
+    ['Tickets', {}],
+    ['', {}],
+  ];
+
+  for (const [info, expected] of cases) {
+    it(`should parse ${JSON.stringify(info)}`, () => {
+      assert.deepStrictEqual(parseShowDetails(info), expected);
+    });
+  }
+});
+
+describe('parseShows', () => {
+  it('should set startsAt and derived date and time', () => {
+    const [first, second] = parseShows(extractShowsFromHtml(html));
+    assert.strictEqual(first.startsAt, '2026-03-07T17:30:00-05:00');
+    assert.strictEqual(first.date, '3/7/2026');
+    assert.strictEqual(first.time, '05:30 PM');
+
+    // Late shows stay on the venue's calendar day
+    assert.strictEqual(second.date, '3/7/2026');
+    assert.strictEqual(second.time, '11:30 PM');
+  });
+
+  it('should convert other offsets to venue-local time', () => {
+    const [show] = parseShows([{ artists: ['A'], venue: 'V', datetime: '2026-03-08T04:30:00Z' }]);
+    assert.strictEqual(show.startsAt, '2026-03-07T23:30:00-05:00');
+  });
+
+  it('should add optional details where available', () => {
+    // Give the dateless Union Pool row a start time so it isn't dropped
+    const rawShows = extractShowsFromHtml(html);
+    rawShows[2] = { ...rawShows[2], datetime: '2026-03-08T21:00:00-04:00' };
+    const [first, second, third] = parseShows(rawShows);
+
+    assert.strictEqual(first.ticketUrl, 'https://www.ticketweb.com/event/ghosts-on-tv-123');
+    assert.deepStrictEqual(first.price, { min: 12, max: 15 });
+    assert.strictEqual(first.ageRestriction, '21+');
+    assert.strictEqual(first.soldOut, undefined);
+
+    // Relative links resolve against the site
+    assert.strictEqual(second.ticketUrl, 'https://www.ohmyrockness.com/shows/victoryland-456/tickets');
+    assert.strictEqual(second.ageRestriction, 'all ages');
+    assert.strictEqual(second.soldOut, true);
+
+    assert.strictEqual(third.ticketUrl, undefined);
+    assert.deepStrictEqual(third.price, { min: 0, max: 0 });
+    assert.strictEqual(third.status, 'cancelled');
+  });
+
+  it('should strip status markers from artist names', () => {
+    const [show] = parseShows([{
+      artists: ['CANCELLED: Headliner', 'Cancelled Plans', 'Opener (Postponed)'],
+      venue: 'V',
+      datetime: '2026-03-07T20:00:00-05:00',
+    }]);
+    assert.deepStrictEqual(show.artists, ['Headliner', 'Cancelled Plans', 'Opener']);
+    assert.strictEqual(show.status, 'cancelled');
+  });
+
+  it('should split compound artist entries and keep their qualifiers', () => {
+    const [show, plain] = parseShows([
+      {
+        artists: ['Headliner w/ Opener', 'Closer (DJ Set)'],
+        venue: 'V',
+        datetime: '2026-03-07T20:00:00-05:00',
+      },
+      { artists: ['Simon & Garfunkel'], venue: 'V', datetime: '2026-03-08T20:00:00-05:00' },
+    ]);
+    assert.deepStrictEqual(show.artists, ['Headliner', 'Opener', 'Closer']);
+    assert.deepStrictEqual(show.artistQualifiers, { Opener: ['support'], Closer: ['dj set'] });
+    assert.deepStrictEqual(plain.artists, ['Simon & Garfunkel']);
+    assert.strictEqual(plain.artistQualifiers, undefined);
+  });
+
+  it('should drop rows without artists, venue or start time', () => {
+    const shows = parseShows(extractShowsFromHtml(html));
+    assert.deepStrictEqual(shows.map(show => show.venue), [
+      "Arlene's Grocery",
+      "Baby's All Right",
+    ]);
+  });
+});
+
+describe('ohmyrockness adapter replay', () => {
+  it('should read the recorded fixture instead of launching a browser', async () => {
+    const context = createFetchContext({ replay: true, fixturesDir: FIXTURES_DIR });
+    const rawShows = await ohmyrockness.fetch(context);
+    assert.strictEqual(rawShows.length, 5);
+    assert.ok(context.snapshots.get('ohmyrockness').html.includes('vevent'));
+  });
+
+  it('should fail clearly when no fixture exists', async () => {
+    const context = createFetchContext({ replay: true, fixturesDir: path.join(FIXTURES_DIR, 'missing') });
+    await assert.rejects(ohmyrockness.fetch(context), /No fixture recorded/);
+  });
+});
+
+describe('ohmyrockness adapter fetch modes', () => {
+  function fakeContext(fetchMode, staticHtml) {
+    const calls = { fetchHtml: 0, newPage: 0 };
+    const page = {
+      goto: async () => {},
+      waitForSelector: async () => {},
+      $$eval: async () => extractShowsFromHtml(html),
+      close: async () => {},
+    };
+
+    return {
+      calls,
+      fetchMode,
+      replaying: false,
+      recording: false,
+      fetchHtml: async () => { calls.fetchHtml++; return staticHtml; },
+      newPage: async () => { calls.newPage++; return page; },
+      gotoPage: async (target, url, options) => target.goto(url, options),
+      readCachedPage: async () => null,
+      savePage: async () => {},
+      captureSnapshot: async (source, snapshot) => snapshot,
+    };
+  }
+
+  it('should use static HTML when rows are server-rendered', async () => {
+    const context = fakeContext('static', html);
+    const rawShows = await ohmyrockness.fetch(context);
+    assert.strictEqual(rawShows.length, 5);
+    assert.deepStrictEqual(context.calls, { fetchHtml: 1, newPage: 0 });
+  });
+
+  it('should fall back to the browser when no rows match', async () => {
+    const context = fakeContext('static', '<html><body><div id="app"></div></body></html>');
+    const rawShows = await ohmyrockness.fetch(context);
+    assert.strictEqual(rawShows.length, 5);
+    assert.deepStrictEqual(context.calls, { fetchHtml: 1, newPage: 1 });
+  });
+
+  it('should skip the static attempt in browser mode', async () => {
+    const context = fakeContext('browser', html);
+    await ohmyrockness.fetch(context);
+    assert.deepStrictEqual(context.calls, { fetchHtml: 0, newPage: 1 });
+  });
+
+  it('should reject unknown fetch modes', () => {
+    assert.throws(() => createFetchContext({ fetchMode: 'telepathy' }), /Unknown fetch mode/);
+  });
+});
+
+describe('fixtureName', () => {
+  it('should derive a filesystem-safe name from the URL', () => {
+    assert.strictEqual(
+      fixtureName('https://www.ohmyrockness.com/shows?all=true'),
+      'www.ohmyrockness.com_shows_all_true.html'
+    );
+  });
+});
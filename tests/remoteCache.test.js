@@ -0,0 +1,89 @@
+/**
+ * Tests for the last-known-good remote shows cache.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadRemoteCache, saveRemoteCache, checkRemotePayload } = require('../src/services/remoteCache');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-cache-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+describe('saveRemoteCache / loadRemoteCache', () => {
+  const shows = [{ id: 'a1', artists: ['A'] }, { id: 'b2', artists: ['B'] }];
+  const fetchedAt = new Date('2026-03-01T12:00:00Z');
+
+  it('should round-trip shows with their fetch time and count', async () => {
+    const cachePath = path.join(tempDir, 'nested', 'remote.json');
+    await saveRemoteCache(shows, { fetchedAt, url: 'https://example.com/shows.json', cachePath });
+
+    const cached = await loadRemoteCache(cachePath);
+    assert.deepStrictEqual(cached.shows, shows);
+    assert.strictEqual(cached.fetchedAt, '2026-03-01T12:00:00.000Z');
+    assert.strictEqual(cached.showCount, 2);
+    assert.ok(!fs.existsSync(`${cachePath}.tmp`));
+  });
+
+  it('should ignore a cache whose checksum does not match', async () => {
+    const cachePath = path.join(tempDir, 'tampered.json');
+    await saveRemoteCache(shows, { fetchedAt, url: 'u', cachePath });
+
+    const cached = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+    cached.shows.pop();
+    fs.writeFileSync(cachePath, JSON.stringify(cached));
+
+    assert.strictEqual(await loadRemoteCache(cachePath), null);
+  });
+
+  it('should return null when there is no cache or it is not JSON', async () => {
+    assert.strictEqual(await loadRemoteCache(path.join(tempDir, 'missing.json')), null);
+
+    const cachePath = path.join(tempDir, 'garbage.json');
+    fs.writeFileSync(cachePath, '{"shows": [');
+    assert.strictEqual(await loadRemoteCache(cachePath), null);
+  });
+});
+
+describe('checkRemotePayload', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+  const lastGood = { showCount: 1000, fetchedAt: '2026-03-02T06:00:00Z' };
+
+  it('should accept a payload like the last good copy', () => {
+    assert.deepStrictEqual(checkRemotePayload(1010, 1000, lastGood, { maxDropRatio: 0.5 }), []);
+    assert.deepStrictEqual(checkRemotePayload(10, 10, null), []);
+  });
+
+  it('should reject empty or entirely invalid payloads', () => {
+    assert.deepStrictEqual(checkRemotePayload(0, 0, null), ['no shows']);
+    assert.deepStrictEqual(checkRemotePayload(50, 0, null), ['none of 50 shows are valid']);
+  });
+
+  it('should reject payloads where many shows fail validation', () => {
+    assert.deepStrictEqual(checkRemotePayload(1000, 700, null), ['300 of 1000 shows are invalid']);
+  });
+
+  it('should reject a large drop in show count', () => {
+    assert.deepStrictEqual(
+      checkRemotePayload(400, 400, lastGood, { maxDropRatio: 0.5, maxDropAgeHours: 24, now }),
+      ['show count dropped from 1000 to 400']
+    );
+  });
+
+  it('should accept a drop once the last good copy is old enough', () => {
+    const options = { maxDropRatio: 0.5, maxDropAgeHours: 24 };
+    const dayLater = new Date('2026-03-03T06:00:00Z');
+
+    assert.deepStrictEqual(checkRemotePayload(400, 400, lastGood, { ...options, now: dayLater }), []);
+    assert.deepStrictEqual(
+      checkRemotePayload(1000, 500, lastGood, { ...options, now: dayLater }),
+      ['500 of 1000 shows are invalid']
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for stable show identifiers.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { createShowId, assignShowIds, ensureUniqueShowIds } = require('../src/shared/showId');
+
+const show = {
+  artists: ['Victoryland', 'Or Best Offer', 'Sister.'],
+  venue: "Baby's All Right",
+  date: '3/7/2026',
+  time: '11:30 PM',
+};
+
+describe('createShowId', () => {
+  it('should be deterministic', () => {
+    assert.strictEqual(createShowId(show), createShowId({ ...show }));
+    assert.match(createShowId(show), /^[0-9a-f]{12}$/);
+  });
+
+  it('should ignore case, whitespace and lineup order', () => {
+    const variant = {
+      ...show,
+      artists: ['  SISTER. ', 'or best   offer', 'Victoryland'],
+      venue: "baby's  all right",
+    };
+    assert.strictEqual(createShowId(variant), createShowId(show));
+  });
+
+  it('should ignore the time', () => {
+    assert.strictEqual(createShowId({ ...show, time: '08:00 PM' }), createShowId(show));
+  });
+
+  it('should differ by venue, date and lineup', () => {
+    const id = createShowId(show);
+    assert.notStrictEqual(createShowId({ ...show, venue: 'Elsewhere' }), id);
+    assert.notStrictEqual(createShowId({ ...show, date: '3/8/2026' }), id);
+    assert.notStrictEqual(createShowId({ ...show, artists: ['Victoryland'] }), id);
+  });
+});
+
+describe('assignShowIds', () => {
+  it('should add ids without mutating input', () => {
+    const input = [show];
+    const [result] = assignShowIds(input);
+    assert.strictEqual(result.id, createShowId(show));
+    assert.strictEqual(input[0].id, undefined);
+  });
+
+  it('should suffix shows that share an id', () => {
+    const early = { ...show, time: '07:00 PM' };
+    const late = { ...show, time: '10:00 PM' };
+    const ids = assignShowIds([early, late]).map(s => s.id);
+    assert.deepStrictEqual(ids, [createShowId(show), `${createShowId(show)}-2`]);
+  });
+
+  it('should suffix by start time, whatever the list order', () => {
+    const early = { ...show, time: '07:00 PM', startsAt: '2026-03-07T19:00:00-05:00' };
+    const late = { ...show, time: '10:00 PM', startsAt: '2026-03-07T22:00:00-05:00' };
+    const baseId = createShowId(show);
+
+    assert.deepStrictEqual(assignShowIds([late, early]).map(s => [s.time, s.id]), [
+      ['10:00 PM', `${baseId}-2`],
+      ['07:00 PM', baseId],
+    ]);
+  });
+
+  it('should suffix by listed time when there is no startsAt', () => {
+    const noon = { ...show, time: '12:00 PM' };
+    const evening = { ...show, time: '09:00 PM' };
+    const ids = assignShowIds([evening, noon]).map(s => s.id);
+    assert.deepStrictEqual(ids, [`${createShowId(show)}-2`, createShowId(show)]);
+  });
+
+  it('should suffix identical start times the same way in any order', () => {
+    const a = { ...show, url: 'https://example.com/a' };
+    const b = { ...show, url: 'https://example.com/b' };
+    const forward = assignShowIds([a, b]).map(s => s.id);
+    const backward = assignShowIds([b, a]).map(s => s.id);
+    assert.deepStrictEqual(backward, [...forward].reverse());
+  });
+
+  it('should pass non-objects through', () => {
+    assert.deepStrictEqual(assignShowIds([null]), [null]);
+  });
+});
+
+describe('ensureUniqueShowIds', () => {
+  it('should keep unique ids as they are', () => {
+    const shows = [{ ...show, id: 'kept' }, { ...show, id: 'other' }];
+    assert.deepStrictEqual(ensureUniqueShowIds(shows), shows);
+  });
+
+  it('should suffix shared ids by start time with the next free suffix', () => {
+    const early = { ...show, id: 'abc', startsAt: '2026-03-07T19:00:00-05:00' };
+    const late = { ...show, id: 'abc', startsAt: '2026-03-07T22:00:00-05:00' };
+    const taken = { ...show, id: 'abc-2', artists: ['Other'] };
+
+    assert.deepStrictEqual(ensureUniqueShowIds([late, taken, early]).map(s => s.id), ['abc-3', 'abc-2', 'abc']);
+  });
+
+  it('should give shows without an id one', () => {
+    assert.strictEqual(ensureUniqueShowIds([show])[0].id, createShowId(show));
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for /api/upcoming-shows filtering, sorting and pagination.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { parseShowQuery, queryShows, MAX_LIMIT } = require('../src/services/showQuery');
+
+function show(id, artists, venue, startsAt, location) {
+  return { id, artists, venue, startsAt, date: 'd', time: 't', ...(location && { location }) };
+}
+
+const brooklyn = { venueId: 'bell-house', borough: 'Brooklyn' };
+const outside = { venueId: 'white-eagle', borough: null };
+
+const SHOWS = [
+  show('c', ['Sigur Rós'], 'Elsewhere', '2026-03-09T20:00:00-04:00'),
+  show('a', ['Big Thief', 'Opener'], 'The Bell House', '2026-03-07T20:00:00-05:00', brooklyn),
+  show('b', ['Alvvays'], 'White Eagle Hall', '2026-03-07'),
+  show('d', ['Crumb'], 'The Bell House', '2026-03-08T21:00:00-04:00', brooklyn),
+  show('e', ['Big Thief'], 'White Eagle Hall', '2026-03-10T19:00:00-04:00', outside),
+];
+
+function run(params) {
+  const { query, error } = parseShowQuery(params);
+  assert.strictEqual(error, undefined);
+  return queryShows(SHOWS, query);
+}
+
+const ids = result => result.shows.map(s => s.id);
+
+describe('parseShowQuery', () => {
+  const invalid = [
+    [{ from: '2026-3-7' }, /from must be a date in YYYY-MM-DD format/],
+    [{ to: '2026-02-30' }, /to must be a date/],
+    [{ from: '2026-03-09', to: '2026-03-08' }, /from must not be after to/],
+    [{ venue: '  ' }, /venue must not be empty/],
+    [{ artist: '' }, /artist must be 1-200 characters/],
+    [{ artist: 'x'.repeat(201) }, /artist must be/],
+    [{ borough: 'Jersey' }, /borough must be one of: Manhattan, .*, none, unknown/],
+    [{ sort: 'price' }, /sort must be one of: date, venue, artist/],
+    [{ limit: '0' }, /limit must be a whole number from 1 to 500/],
+    [{ limit: String(MAX_LIMIT + 1) }, /limit must be/],
+    [{ limit: '2.5' }, /limit must be/],
+    [{ cursor: 'nope' }, /cursor is invalid/],
+    [{ venue: ['a', 'b'] }, /venue must be given once/],
+    [{ includePast: 'yes' }, /includePast must be true, false or a number of days from 0 to 365/],
+    [{ includePast: '366' }, /includePast must be/],
+  ];
+
+  for (const [params, message] of invalid) {
+    it(`should reject ${JSON.stringify(params).slice(0, 60)}`, () => {
+      assert.match(parseShowQuery(params).error, message);
+    });
+  }
+
+  it('should default to date order with no limit', () => {
+    assert.deepStrictEqual(parseShowQuery({}), { query: { sort: 'date' } });
+  });
+
+  it('should read includePast as a look-back window in days', () => {
+    assert.strictEqual(parseShowQuery({ includePast: 'true' }).query.lookBackDays, Infinity);
+    assert.strictEqual(parseShowQuery({ includePast: 'false' }).query.lookBackDays, 0);
+    assert.strictEqual(parseShowQuery({ includePast: '7' }).query.lookBackDays, 7);
+    assert.strictEqual(parseShowQuery({}).query.lookBackDays, undefined);
+  });
+
+  it('should reject a cursor made for another sort', () => {
+    const { nextCursor } = run({ sort: 'venue', limit: '1' });
+    assert.match(parseShowQuery({ cursor: nextCursor }).error, /different sort/);
+  });
+
+  it('should only offer the relevance sort for matches', () => {
+    assert.match(parseShowQuery({ sort: 'relevance' }).error, /sort must be one of: date, venue, artist \(/);
+    assert.strictEqual(parseShowQuery({ sort: 'relevance' }, { matches: true }).query.sort, 'relevance');
+  });
+});
+
+describe('queryShows', () => {
+  it('should return every show in date order by default', () => {
+    const result = run({});
+    assert.deepStrictEqual(ids(result), ['b', 'a', 'd', 'c', 'e']);
+    assert.strictEqual(result.total, 5);
+    assert.strictEqual(result.nextCursor, null);
+  });
+
+  it('should filter by inclusive venue-local date range', () => {
+    assert.deepStrictEqual(ids(run({ from: '2026-03-08', to: '2026-03-09' })), ['d', 'c']);
+    assert.deepStrictEqual(ids(run({ to: '2026-03-07' })), ['b', 'a']);
+  });
+
+  it('should filter by venue name, alias spelling or registry id', () => {
+    assert.deepStrictEqual(ids(run({ venue: 'bell house' })), ['a', 'd']);
+    assert.deepStrictEqual(ids(run({ venue: 'bell-house' })), ['a', 'd']);
+
+    const { query } = parseShowQuery({ venue: 'Bell House Brooklyn' });
+    assert.deepStrictEqual(ids(queryShows(SHOWS, { ...query, venueId: 'bell-house' })), ['a', 'd']);
+  });
+
+  it('should filter by artist substring, ignoring case and accents', () => {
+    assert.deepStrictEqual(ids(run({ artist: 'BIG thi' })), ['a', 'e']);
+    assert.deepStrictEqual(ids(run({ artist: 'sigur ros' })), ['c']);
+    assert.deepStrictEqual(ids(run({ artist: 'opener' })), ['a']);
+  });
+
+  it('should filter by borough, leaving out venues not in the registry', () => {
+    assert.deepStrictEqual(ids(run({ borough: 'brooklyn' })), ['a', 'd']);
+    assert.deepStrictEqual(ids(run({ borough: 'none' })), ['e']);
+  });
+
+  it('should filter to venues not in the registry with borough=unknown', () => {
+    assert.deepStrictEqual(ids(run({ borough: 'Unknown' })), ['b', 'c']);
+  });
+
+  it('should sort by venue or artist, either way', () => {
+    assert.deepStrictEqual(ids(run({ sort: 'venue' })), ['a', 'd', 'c', 'b', 'e']);
+    assert.deepStrictEqual(ids(run({ sort: '-date' })), ['e', 'c', 'd', 'a', 'b']);
+    assert.deepStrictEqual(ids(run({ sort: 'artist' })), ['b', 'a', 'e', 'd', 'c']);
+  });
+
+  it('should page through results with cursors', () => {
+    for (const sort of ['date', '-date', 'venue', '-artist']) {
+      const all = ids(run({ sort }));
+      const seen = [];
+      let cursor;
+
+      do {
+        const page = run({ sort, limit: '2', ...(cursor && { cursor }) });
+        assert.strictEqual(page.total, 5);
+        assert.ok(page.shows.length <= 2);
+        seen.push(...ids(page));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      assert.deepStrictEqual(seen, all, sort);
+    }
+  });
+
+  it('should continue after the cursor when shows are added before it', () => {
+    const first = run({ limit: '2' });
+    const { query } = parseShowQuery({ limit: '2', cursor: first.nextCursor });
+    const added = [show('z', ['New'], 'Elsewhere', '2026-03-06'), ...SHOWS];
+
+    assert.deepStrictEqual(ids(queryShows(added, query)), ['d', 'c']);
+  });
+
+  it('should sort matches by relevance and page through them', () => {
+    const scores = { a: 0.4, b: 1.2, c: 0.4, d: 0.9, e: 0.05 };
+    const matches = SHOWS.map(entry => ({ ...entry, match: { score: scores[entry.id] } }));
+    const parse = params => parseShowQuery(params, { matches: true }).query;
+
+    assert.deepStrictEqual(ids(queryShows(matches, parse({ sort: 'relevance' }))), ['b', 'd', 'a', 'c', 'e']);
+
+    const first = queryShows(matches, parse({ sort: 'relevance', limit: '3' }));
+    const rest = queryShows(matches, parse({ sort: 'relevance', limit: '3', cursor: first.nextCursor }));
+    assert.deepStrictEqual([...ids(first), ...ids(rest)], ['b', 'd', 'a', 'c', 'e']);
+    assert.strictEqual(rest.nextCursor, null);
+  });
+
+  it('should combine filters with paging', () => {
+    const page = run({ venue: 'White Eagle Hall', limit: '1' });
+    assert.deepStrictEqual(ids(page), ['b']);
+    assert.strictEqual(page.total, 2);
+    assert.ok(page.nextCursor);
+  });
+});
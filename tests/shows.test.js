@@ -0,0 +1,258 @@
+/**
+ * Tests for the show data service: hot reload of the shows file, keeping
+ * the last good copy, and HTTP caching on /api/upcoming-shows.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { config } = require('../src/config');
+const shows = require('../src/services/shows');
+const apiRoutes = require('../src/routes/api');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shows-service-'));
+const localPath = path.join(tempDir, 'shows.json');
+const originalShows = { ...config.shows };
+
+function show(id, artist, startsAt = '2099-03-07T20:00:00-05:00') {
+  return {
+    id,
+    artists: [artist],
+    venue: 'Elsewhere',
+    startsAt,
+    date: 'd',
+    time: 't',
+  };
+}
+
+function writeShows(content) {
+  fs.writeFileSync(localPath, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which disables 304s
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) return true;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
+before(() => {
+  Object.assign(config.shows, {
+    localPath,
+    manifestPath: path.join(tempDir, 'manifest.json'),
+    remoteUrl: '',
+  });
+});
+
+beforeEach(() => {
+  shows.clearCache();
+  writeShows([show('a1', 'First')]);
+});
+
+after(() => {
+  shows.clearCache();
+  Object.assign(config.shows, originalShows);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('show data reloading', () => {
+  it('should swap in a new file and change the version', async () => {
+    const first = await shows.getShowsSnapshot();
+    assert.deepStrictEqual(first.shows.map(s => s.id), ['a1']);
+    assert.ok(first.version);
+
+    writeShows([show('b2', 'Second'), show('c3', 'Third')]);
+    await shows.refreshShows();
+
+    const second = await shows.getShowsSnapshot();
+    assert.deepStrictEqual(second.shows.map(s => s.id), ['b2', 'c3']);
+    assert.notStrictEqual(second.version, first.version);
+  });
+
+  it('should keep the last good copy when the new file is broken', async () => {
+    const good = await shows.getShowsSnapshot();
+
+    for (const broken of ['[{"id": "half-writ', '{"shows": []}', [{ id: 'x', artists: [] }]]) {
+      writeShows(broken);
+      assert.deepStrictEqual(await shows.refreshShows(), good.shows);
+      assert.strictEqual((await shows.getShowsSnapshot()).version, good.version);
+    }
+  });
+
+  it('should fail when there is no good copy to keep', async () => {
+    writeShows('not json');
+    await assert.rejects(shows.getUpcomingShows(), /Failed to load shows for nyc/);
+  });
+
+  it('should reload when the watched file changes', async () => {
+    await shows.getUpcomingShows();
+
+    // Replace by rename, as the scraper does
+    fs.writeFileSync(`${localPath}.tmp`, JSON.stringify([show('d4', 'Watched')]));
+    fs.renameSync(`${localPath}.tmp`, localPath);
+
+    const reloaded = await waitFor(async () => (await shows.getUpcomingShows())[0].id === 'd4');
+    assert.ok(reloaded, 'file change was not picked up');
+  });
+});
+
+describe('GET /api/upcoming-shows caching', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/api', apiRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/upcoming-shows`;
+  });
+
+  after(() => server.close());
+
+  it('should send validators and answer conditional requests with 304', async () => {
+    const response = await get(baseUrl);
+    const { etag, 'last-modified': lastModified } = response.headers;
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['cache-control'], 'no-cache');
+    assert.ok(etag && lastModified);
+
+    const byEtag = await get(baseUrl, { 'If-None-Match': etag });
+    assert.strictEqual(byEtag.status, 304);
+    assert.strictEqual(byEtag.body, '');
+
+    const byDate = await get(baseUrl, { 'If-Modified-Since': lastModified });
+    assert.strictEqual(byDate.status, 304);
+  });
+
+  it('should send the new data once the file changes', async () => {
+    const { etag } = (await get(baseUrl)).headers;
+
+    writeShows([show('e5', 'Fresh')]);
+    await shows.refreshShows();
+
+    const response = await get(baseUrl, { 'If-None-Match': etag });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(JSON.parse(response.body).upcomingShows.map(s => s.id), ['e5']);
+  });
+
+  it('should leave out shows that have started unless includePast is given', async () => {
+    writeShows([show('past', 'Last Year', '2020-03-07T20:00:00-05:00'), show('next', 'Upcoming')]);
+    await shows.refreshShows();
+
+    const upcoming = await get(baseUrl);
+    assert.deepStrictEqual(JSON.parse(upcoming.body).upcomingShows.map(s => s.id), ['next']);
+
+    const all = await get(`${baseUrl}?includePast=true`);
+    assert.deepStrictEqual(JSON.parse(all.body).upcomingShows.map(s => s.id), ['past', 'next']);
+    assert.notStrictEqual(all.headers.etag, upcoming.headers.etag);
+
+    const invalid = await get(`${baseUrl}?includePast=yesterday`);
+    assert.strictEqual(invalid.status, 400);
+    assert.match(JSON.parse(invalid.body).error, /includePast must be true, false or a number of days/);
+  });
+});
+
+describe('remote fallback', () => {
+  let server;
+  let remote = { status: 200, body: [] };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(remote.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(remote.body));
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    Object.assign(config.shows, {
+      localPath: path.join(tempDir, 'missing', 'shows.json'),
+      remoteUrl: `http://127.0.0.1:${server.address().port}/shows.json`,
+      remoteCachePath: path.join(tempDir, 'remote-shows.json'),
+    });
+  });
+
+  after(() => {
+    server.close();
+    Object.assign(config.shows, { localPath, remoteUrl: '' });
+  });
+
+  beforeEach(() => {
+    shows.clearCache();
+    fs.rmSync(config.shows.remoteCachePath, { force: true });
+  });
+
+  it('should serve the last good copy, flagged stale, when the remote is down', async () => {
+    remote = { status: 200, body: [show('r1', 'Remote'), show('r2', 'Remote Two')] };
+    const fresh = await shows.getShowsSnapshot();
+    assert.strictEqual(fresh.stale, false);
+    assert.ok(fs.existsSync(config.shows.remoteCachePath));
+
+    // A restarted server has no copy in memory
+    shows.clearCache();
+    remote = { status: 503, body: { error: 'down' } };
+    const fallback = await shows.getShowsSnapshot();
+
+    assert.strictEqual(fallback.stale, true);
+    assert.deepStrictEqual(fallback.shows.map(s => s.id), ['r1', 'r2']);
+    assert.strictEqual((await shows.getShowsManifest()).freshness.stale, true);
+  });
+
+  it('should reject a remote payload with far fewer shows than the last good copy', async () => {
+    remote = { status: 200, body: ['a', 'b', 'c', 'd', 'e'].map(id => show(id, `Artist ${id}`)) };
+    await shows.getShowsSnapshot();
+
+    remote = { status: 200, body: [show('z', 'Lonely')] };
+    const snapshot = await shows.refreshShows();
+
+    assert.strictEqual(snapshot.length, 5);
+    assert.strictEqual((await shows.getShowsSnapshot()).stale, true);
+  });
+
+  it('should accept a lasting drop once the last good copy is old', async () => {
+    remote = { status: 200, body: ['a', 'b', 'c', 'd', 'e'].map(id => show(id, `Artist ${id}`)) };
+    await shows.getShowsSnapshot();
+
+    // The season ended a day ago: every fetch since has had one show
+    const cached = JSON.parse(fs.readFileSync(config.shows.remoteCachePath, 'utf-8'));
+    cached.fetchedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(config.shows.remoteCachePath, JSON.stringify(cached));
+
+    remote = { status: 200, body: [show('z', 'Lonely')] };
+    const snapshot = await shows.refreshShows();
+
+    assert.strictEqual(snapshot.length, 1);
+    assert.strictEqual((await shows.getShowsSnapshot()).stale, false);
+
+    // And the smaller copy is the new last good one
+    shows.clearCache();
+    remote = { status: 503, body: {} };
+    assert.deepStrictEqual((await shows.getShowsSnapshot()).shows.map(s => s.id), ['z']);
+  });
+
+  it('should still fail when there is no last good copy', async () => {
+    remote = { status: 503, body: {} };
+    await assert.rejects(shows.getUpcomingShows(), /Failed to load shows for nyc/);
+  });
+});
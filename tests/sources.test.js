@@ -0,0 +1,75 @@
+/**
+ * Tests for the scraper source adapter registry.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  listAdapters,
+  getAdapter,
+  resolveAdapters,
+  combineSourceShows,
+} = require('../src/scraper/sources');
+
+describe('resolveAdapters', () => {
+  it('should return all adapters for an empty list', () => {
+    const adapters = resolveAdapters([]);
+    assert.deepStrictEqual(adapters.map(a => a.name), listAdapters());
+  });
+
+  it('should return all adapters for "all"', () => {
+    const adapters = resolveAdapters(['all']);
+    assert.strictEqual(adapters.length, listAdapters().length);
+  });
+
+  it('should resolve adapters by name', () => {
+    const adapters = resolveAdapters(['ohmyrockness']);
+    assert.strictEqual(adapters.length, 1);
+    assert.strictEqual(adapters[0], getAdapter('ohmyrockness'));
+  });
+
+  it('should throw for unknown names', () => {
+    assert.throws(() => resolveAdapters(['nope']), /Unknown source "nope"/);
+  });
+});
+
+describe('adapter shape', () => {
+  for (const name of listAdapters()) {
+    it(`${name} should implement the adapter interface`, () => {
+      const adapter = getAdapter(name);
+      assert.strictEqual(adapter.name, name);
+      assert.ok(['browser', 'http'].includes(adapter.fetchStrategy));
+      assert.strictEqual(typeof adapter.selectors, 'object');
+      assert.strictEqual(typeof adapter.fetch, 'function');
+      assert.strictEqual(typeof adapter.parse, 'function');
+    });
+  }
+});
+
+describe('combineSourceShows', () => {
+  const oldA = { artists: ['Old A'], venue: 'V', date: 'd', time: 't', source: 'a' };
+  const oldB = { artists: ['Old B'], venue: 'V', date: 'd', time: 't', source: 'b' };
+  const newA = { artists: ['New A'], venue: 'V', date: 'd', time: 't', source: 'a' };
+
+  it('should replace shows from sources that succeeded', () => {
+    const result = combineSourceShows([oldA, oldB], [{ name: 'a', shows: [newA] }]);
+    assert.deepStrictEqual(result, [oldB, newA]);
+  });
+
+  it('should keep previous shows from sources that failed', () => {
+    const result = combineSourceShows([oldA, oldB], [
+      { name: 'a', shows: [], error: 'boom' },
+      { name: 'b', shows: [] },
+    ]);
+    assert.deepStrictEqual(result, [oldA]);
+  });
+
+  it('should treat shows without a source as OhMyRockness', () => {
+    const legacy = { artists: ['Legacy'], venue: 'V', date: 'd', time: 't' };
+    const result = combineSourceShows([legacy], [{ name: 'ohmyrockness', shows: [] }]);
+    assert.deepStrictEqual(result, []);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for show file statistics.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { computeStats, formatStats } = require('../src/scraper/stats');
+
+function show(venue, startsAt, extra = {}) {
+  return {
+    artists: ['Artist'],
+    venue,
+    startsAt,
+    date: 'd',
+    time: startsAt.includes('T') ? '08:00 PM' : 'TBA',
+    ...extra,
+  };
+}
+
+describe('computeStats', () => {
+  const shows = [
+    show('Elsewhere', '2026-03-08T20:00:00-04:00'),
+    show('Baby\'s All Right', '2026-03-07'),
+    show('Elsewhere', '2026-03-07T21:00:00-05:00', { status: 'cancelled' }),
+    show('Elsewhere', '2026-03-07'),
+  ];
+
+  it('should count shows and unknown times per venue, busiest first', () => {
+    const stats = computeStats(shows);
+
+    assert.strictEqual(stats.total, 4);
+    assert.strictEqual(stats.unknownTime, 2);
+    assert.deepStrictEqual(stats.byVenue, [
+      { venue: 'Elsewhere', count: 3, unknownTime: 1 },
+      { venue: 'Baby\'s All Right', count: 1, unknownTime: 1 },
+    ]);
+  });
+
+  it('should count shows per local day in date order', () => {
+    assert.deepStrictEqual(computeStats(shows).byDay, [
+      { day: '2026-03-07', count: 3, unknownTime: 2 },
+      { day: '2026-03-08', count: 1, unknownTime: 0 },
+    ]);
+  });
+
+  it('should count statuses, defaulting to scheduled', () => {
+    assert.deepStrictEqual(computeStats(shows).byStatus, { scheduled: 3, cancelled: 1 });
+  });
+
+  it('should handle no shows', () => {
+    const stats = computeStats([]);
+    assert.deepStrictEqual(stats, { total: 0, unknownTime: 0, byStatus: {}, byVenue: [], byDay: [] });
+    assert.strictEqual(formatStats(stats), '0 shows, 0 with unknown time');
+  });
+});
+
+describe('formatStats', () => {
+  it('should list venues and days with unknown-time counts', () => {
+    const text = formatStats(computeStats([
+      show('Elsewhere', '2026-03-07'),
+      show('Elsewhere', '2026-03-08T20:00:00-04:00'),
+    ]));
+
+    assert.match(text, /^2 shows, 1 with unknown time \(2 scheduled\)/);
+    assert.match(text, /By venue:\n {5}2 {2}Elsewhere \(1 unknown time\)/);
+    assert.match(text, /By day:\n {5}1 {2}2026-03-07 \(1 unknown time\)\n {5}1 {2}2026-03-08$/);
+  });
+});
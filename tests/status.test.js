@@ -0,0 +1,69 @@
+/**
+ * Tests for show status helpers.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getShowStatus,
+  detectStatus,
+  stripStatusMarker,
+  backfillStatus,
+} = require('../src/shared/status');
+
+describe('getShowStatus', () => {
+  it('should default to scheduled', () => {
+    assert.strictEqual(getShowStatus({}), 'scheduled');
+    assert.strictEqual(getShowStatus({ status: 'postponed' }), 'postponed');
+  });
+});
+
+describe('detectStatus', () => {
+  const cases = [
+    ['Cancelled', 'cancelled'],
+    ['This show has been canceled.', 'cancelled'],
+    ['POSTPONED', 'postponed'],
+    ['All Ages', null],
+    [undefined, null],
+  ];
+
+  for (const [text, expected] of cases) {
+    it(`should read ${JSON.stringify(text)}`, () => {
+      assert.strictEqual(detectStatus(text), expected);
+    });
+  }
+});
+
+describe('stripStatusMarker', () => {
+  const cases = [
+    ['CANCELLED: Band', { name: 'Band', status: 'cancelled' }],
+    ['** Canceled ** Band', { name: 'Band', status: 'cancelled' }],
+    ['Band (Postponed)', { name: 'Band', status: 'postponed' }],
+    ['Band - POSTPONED', { name: 'Band', status: 'postponed' }],
+    ['CANCELLED', { name: '', status: 'cancelled' }],
+    ['Cancelled Plans', { name: 'Cancelled Plans', status: null }],
+    ['The Postponed', { name: 'The Postponed', status: null }],
+    ['Band', { name: 'Band', status: null }],
+  ];
+
+  for (const [name, expected] of cases) {
+    it(`should strip ${JSON.stringify(name)}`, () => {
+      assert.deepStrictEqual(stripStatusMarker(name), expected);
+    });
+  }
+});
+
+describe('backfillStatus', () => {
+  it('should convert the old cancelled flag', () => {
+    assert.deepStrictEqual(backfillStatus({ id: 'a', cancelled: true }), { id: 'a', status: 'cancelled' });
+    assert.deepStrictEqual(backfillStatus({ id: 'a', cancelled: false }), { id: 'a' });
+  });
+
+  it('should leave current shows alone', () => {
+    const show = { id: 'a', status: 'postponed' };
+    assert.strictEqual(backfillStatus(show), show);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for show status tracking between scrape runs.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { trackShowStatus } = require('../src/scraper/tracking');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function show(id, date, extra = {}) {
+  return { id, artists: [id], venue: 'V', date, time: '08:00 PM', ...extra };
+}
+
+describe('trackShowStatus', () => {
+  it('should keep vanished upcoming shows as unlisted', () => {
+    const previous = [show('a', '3/7/2026'), show('b', '3/8/2026')];
+    const tracked = trackShowStatus(previous, [previous[0]], { now: NOW, graceDays: 7 });
+
+    assert.strictEqual(tracked.length, 2);
+    assert.deepStrictEqual(tracked[1], {
+      ...previous[1],
+      status: 'unlisted',
+      statusChangedAt: NOW.toISOString(),
+    });
+  });
+
+  it('should timestamp statuses read from listings', () => {
+    const tracked = trackShowStatus([], [show('a', '3/7/2026', { status: 'cancelled' })], { now: NOW });
+    assert.strictEqual(tracked[0].statusChangedAt, NOW.toISOString());
+  });
+
+  it('should keep the first-seen time while the status is unchanged', () => {
+    const since = new Date(NOW.getTime() - 2 * DAY_MS).toISOString();
+    const previous = [show('a', '3/7/2026', { status: 'cancelled', statusChangedAt: since })];
+    const next = [show('a', '3/7/2026', { status: 'cancelled' })];
+
+    const [tracked] = trackShowStatus(previous, next, { now: NOW, graceDays: 7 });
+    assert.strictEqual(tracked.statusChangedAt, since);
+  });
+
+  it('should drop unlisted shows once the grace period has run out', () => {
+    const since = new Date(NOW.getTime() - 8 * DAY_MS).toISOString();
+    const previous = [
+      show('a', '3/7/2026', { status: 'unlisted', statusChangedAt: since }),
+      show('b', '3/8/2026', { status: 'postponed', statusChangedAt: since }),
+    ];
+    const next = [show('b', '3/8/2026', { status: 'postponed' })];
+
+    assert.deepStrictEqual(trackShowStatus(previous, next, { now: NOW, graceDays: 7 }), [previous[1]]);
+  });
+
+  it('should keep a still-listed status steady across daily runs', () => {
+    const listed = [show('a', '3/20/2026', { status: 'cancelled' }), show('b', '3/21/2026')];
+    let saved = [];
+
+    for (let day = 0; day < 12; day++) {
+      const now = new Date(NOW.getTime() + day * DAY_MS);
+      // b vanishes from the listing on day 2
+      const next = day < 2 ? listed : [listed[0]];
+      saved = trackShowStatus(saved, next, { now, graceDays: 7 });
+
+      const cancelled = saved.find(entry => entry.id === 'a');
+      assert.strictEqual(cancelled.statusChangedAt, NOW.toISOString(), `day ${day}`);
+
+      const unlisted = saved.find(entry => entry.id === 'b');
+      assert.strictEqual(Boolean(unlisted), day < 10, `day ${day}`);
+      if (day >= 2 && unlisted) {
+        assert.strictEqual(unlisted.status, 'unlisted');
+        assert.strictEqual(unlisted.statusChangedAt, new Date(NOW.getTime() + 2 * DAY_MS).toISOString());
+      }
+    }
+  });
+
+  it('should clear the status when a show is listed again', () => {
+    const previous = [show('a', '3/7/2026', { status: 'unlisted', statusChangedAt: NOW.toISOString() })];
+    const [tracked] = trackShowStatus(previous, [show('a', '3/7/2026')], { now: NOW });
+
+    assert.strictEqual(tracked.status, undefined);
+    assert.strictEqual(tracked.statusChangedAt, undefined);
+  });
+
+  it('should not flag a show whose lineup grew as unlisted', () => {
+    const previous = [show('a', '3/7/2026', { startsAt: '2026-03-07T20:00:00-05:00' })];
+    const next = [{ ...previous[0], id: 'a-2', artists: ['a', 'Opener'] }];
+
+    assert.deepStrictEqual(trackShowStatus(previous, next, { now: NOW }), next);
+  });
+
+  it('should not keep past or rescheduled shows', () => {
+    const previous = [show('past', '2/20/2026'), show('moved', '3/7/2026')];
+    const next = [{ ...show('moved', '3/9/2026'), id: 'moved-2' }];
+
+    assert.deepStrictEqual(trackShowStatus(previous, next, { now: NOW }), next);
+  });
+});
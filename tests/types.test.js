@@ -12,10 +12,12 @@ const { validateShow, validateShows } = require('../src/shared/types');
 describe('validateShow', () => {
   it('should pass valid show', () => {
     const show = {
+      id: 'a1b2c3d4e5f6',
       artists: ['Artist 1', 'Artist 2'],
       venue: 'Brooklyn Steel',
-      date: '2025-06-15',
-      time: '8:00 PM',
+      startsAt: '2025-06-15T20:00:00-04:00',
+      date: '6/15/2025',
+      time: '08:00 PM',
     };
 
     const result = validateShow(show);
@@ -23,8 +25,36 @@ describe('validateShow', () => {
     assert.strictEqual(result.errors.length, 0);
   });
 
+  it('should accept a date-only startsAt', () => {
+    const show = {
+      id: 'a1b2c3d4e5f6',
+      artists: ['Artist'],
+      venue: 'Venue',
+      startsAt: '2025-06-15',
+      date: '6/15/2025',
+      time: 'TBA',
+    };
+
+    assert.strictEqual(validateShow(show).valid, true);
+  });
+
+  it('should fail if startsAt is missing or has no offset', () => {
+    const show = {
+      id: 'a1b2c3d4e5f6',
+      artists: ['Artist'],
+      venue: 'Venue',
+      date: '6/15/2025',
+      time: '08:00 PM',
+    };
+
+    assert.ok(validateShow(show).errors.some(e => e.includes('startsAt')));
+    assert.strictEqual(validateShow({ ...show, startsAt: '2025-06-15T20:00' }).valid, false);
+    assert.strictEqual(validateShow({ ...show, startsAt: 'Unknown' }).valid, false);
+  });
+
   it('should fail if artists is not an array', () => {
     const show = {
+      id: 'a1b2c3d4e5f6',
       artists: 'Artist',
       venue: 'Venue',
       date: '2025-01-01',
@@ -38,6 +68,7 @@ describe('validateShow', () => {
 
   it('should fail if artists is empty', () => {
     const show = {
+      id: 'a1b2c3d4e5f6',
       artists: [],
       venue: 'Venue',
       date: '2025-01-01',
@@ -51,6 +82,7 @@ describe('validateShow', () => {
 
   it('should fail if venue is missing', () => {
     const show = {
+      id: 'a1b2c3d4e5f6',
       artists: ['Artist'],
       date: '2025-01-01',
       time: '8pm',
@@ -61,19 +93,91 @@ describe('validateShow', () => {
     assert.ok(result.errors.some(e => e.includes('venue')));
   });
 
+  it('should fail if id is missing', () => {
+    const show = {
+      artists: ['Artist'],
+      venue: 'Venue',
+      date: '2025-01-01',
+      time: '8pm',
+    };
+
+    const result = validateShow(show);
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('id')));
+  });
+
   it('should fail for null input', () => {
     const result = validateShow(null);
     assert.strictEqual(result.valid, false);
   });
 });
 
+describe('validateShow optional fields', () => {
+  const base = {
+    id: 'a1b2c3d4e5f6',
+    artists: ['Artist'],
+    venue: 'Venue',
+    startsAt: '2025-01-01T20:00:00-05:00',
+    date: '1/1/2025',
+    time: '08:00 PM',
+  };
+
+  it('should pass valid optional fields', () => {
+    const result = validateShow({
+      ...base,
+      ticketUrl: 'https://tickets.example.com/1',
+      price: { min: 0, max: 15 },
+      ageRestriction: '21+',
+      soldOut: false,
+      status: 'cancelled',
+      statusChangedAt: '2025-01-01T06:00:00.000Z',
+    });
+    assert.deepStrictEqual(result.errors, []);
+  });
+
+  it('should fail for non-http ticket links', () => {
+    const result = validateShow({ ...base, ticketUrl: 'javascript:alert(1)' });
+    assert.ok(result.errors.some(e => e.includes('ticketUrl')));
+  });
+
+  it('should fail for inverted or negative price ranges', () => {
+    assert.strictEqual(validateShow({ ...base, price: { min: 20, max: 10 } }).valid, false);
+    assert.strictEqual(validateShow({ ...base, price: { min: -1, max: 10 } }).valid, false);
+    assert.strictEqual(validateShow({ ...base, price: '$10' }).valid, false);
+  });
+
+  it('should fail for unknown age restrictions and non-boolean flags', () => {
+    assert.strictEqual(validateShow({ ...base, ageRestriction: '19+' }).valid, false);
+    assert.strictEqual(validateShow({ ...base, soldOut: 'yes' }).valid, false);
+  });
+
+  it('should check merged show provenance fields', () => {
+    const merged = { ...base, sources: ['jsonld', 'ohmyrockness'], provenance: { startsAt: 'jsonld' } };
+    assert.strictEqual(validateShow(merged).valid, true);
+    assert.strictEqual(validateShow({ ...base, sources: 'jsonld' }).valid, false);
+    assert.strictEqual(validateShow({ ...base, provenance: ['jsonld'] }).valid, false);
+  });
+
+  it('should check artist qualifiers', () => {
+    assert.strictEqual(validateShow({ ...base, artistQualifiers: { Artist: ['dj set'] } }).valid, true);
+    assert.strictEqual(validateShow({ ...base, artistQualifiers: ['dj set'] }).valid, false);
+    assert.strictEqual(validateShow({ ...base, artistQualifiers: { Artist: 'dj set' } }).valid, false);
+  });
+
+  it('should fail for unknown statuses and bad status timestamps', () => {
+    assert.strictEqual(validateShow({ ...base, status: 'maybe' }).valid, false);
+    assert.strictEqual(validateShow({ ...base, status: 'postponed', statusChangedAt: 'soon' }).valid, false);
+    assert.strictEqual(validateShow({ ...base, status: 'postponed', statusChangedAt: 123 }).valid, false);
+  });
+});
+
 describe('validateShows', () => {
   it('should filter out invalid shows in non-strict mode', () => {
     const shows = [
-      { artists: ['Valid'], venue: 'V', date: 'd', time: 't' },
-      { artists: [], venue: 'V', date: 'd', time: 't' }, // invalid
+      { id: '1', artists: ['Valid'], venue: 'V', startsAt: '2025-01-01', date: 'd', time: 't' },
+      { id: '2', artists: [], venue: 'V', startsAt: '2025-01-01', date: 'd', time: 't' }, // invalid
       null, // invalid
-      { artists: ['Also Valid'], venue: 'V2', date: 'd2', time: 't2' },
+      { id: '3', artists: ['Also Valid'], venue: 'V2', startsAt: '2025-01-01', date: 'd2', time: 't2' },
     ];
 
     const result = validateShows(shows);
@@ -82,13 +186,28 @@ describe('validateShows', () => {
 
   it('should throw in strict mode on invalid show', () => {
     const shows = [
-      { artists: ['Valid'], venue: 'V', date: 'd', time: 't' },
-      { artists: [], venue: 'V', date: 'd', time: 't' }, // invalid
+      { id: '1', artists: ['Valid'], venue: 'V', startsAt: '2025-01-01', date: 'd', time: 't' },
+      { id: '2', artists: [], venue: 'V', startsAt: '2025-01-01', date: 'd', time: 't' }, // invalid
     ];
 
     assert.throws(() => validateShows(shows, { strict: true }), /Invalid show/);
   });
 
+  it('should report every invalid show with its index in strict mode', () => {
+    const shows = [
+      { id: '1', artists: [], venue: 'V', startsAt: '2025-01-01', date: 'd', time: 't' },
+      { id: '2', artists: ['Valid'], venue: 'V', startsAt: '2025-01-01', date: 'd', time: 't' },
+      { id: '3', artists: ['A'], venue: '', startsAt: 'soon', date: 'd', time: 't' },
+    ];
+
+    assert.throws(() => validateShows(shows, { strict: true }), error => {
+      assert.deepStrictEqual(error.invalid.map(({ index }) => index), [0, 2]);
+      assert.strictEqual(error.invalid[1].errors.length, 2);
+      assert.match(error.message, /^Invalid show at index 0: artists cannot be empty\nInvalid show at index 2: /);
+      return true;
+    });
+  });
+
   it('should throw if input is not an array', () => {
     assert.throws(() => validateShows('not an array'), /must be an array/);
   });
@@ -0,0 +1,127 @@
+/**
+ * Tests for the venue registry.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const {
+  normalizeVenueName,
+  createVenueRegistry,
+  attachVenue,
+  findUnregisteredVenues,
+} = require('../src/shared/venues');
+
+const bellHouse = {
+  id: 'bell-house',
+  name: 'The Bell House',
+  aliases: ['Bell House Brooklyn'],
+  address: '149 7th St, Brooklyn, NY 11215',
+  neighborhood: 'Gowanus',
+  borough: 'Brooklyn',
+  lat: 40.6737,
+  lon: -73.9913,
+};
+
+describe('normalizeVenueName', () => {
+  const cases = [
+    ['The Bell House', 'bell house'],
+    ['  bell-house ', 'bell house'],
+    ["Baby's All Right", 'babys all right'],
+    ['Baby’s All Right', 'babys all right'],
+    ['(Le) Poisson Rouge', 'le poisson rouge'],
+    ['Café Wha?', 'cafe wha'],
+    ['Rock & Roll Hall', 'rock and roll hall'],
+    [null, ''],
+  ];
+
+  for (const [name, expected] of cases) {
+    it(`should normalize ${JSON.stringify(name)}`, () => {
+      assert.strictEqual(normalizeVenueName(name), expected);
+    });
+  }
+});
+
+describe('createVenueRegistry', () => {
+  it('should look venues up by name, alias or id', () => {
+    const registry = createVenueRegistry({ version: 1, venues: [bellHouse] });
+    assert.strictEqual(registry.lookup('Bell House').id, 'bell-house');
+    assert.strictEqual(registry.lookup('bell house brooklyn').id, 'bell-house');
+    assert.strictEqual(registry.lookup('bell-house').id, 'bell-house');
+    assert.strictEqual(registry.lookup('Union Pool'), null);
+  });
+
+  it('should reject names claimed by two venues', () => {
+    const other = { ...bellHouse, id: 'other', name: 'Other', aliases: ['Bell House'] };
+    assert.throws(
+      () => createVenueRegistry({ version: 1, venues: [bellHouse, other] }),
+      /claimed by both bell-house and other/
+    );
+  });
+
+  it('should reject invalid entries', () => {
+    assert.throws(
+      () => createVenueRegistry({ version: 1, venues: [{ ...bellHouse, borough: 'Jersey' }] }),
+      /Invalid venue at index 0 \(bell-house\): borough/
+    );
+    assert.throws(
+      () => createVenueRegistry({ version: 1, venues: [{ ...bellHouse, lat: 'north' }] }),
+      /lat must be a latitude/
+    );
+    assert.throws(() => createVenueRegistry({ version: 1 }), /venues array/);
+  });
+
+  it('should load the committed registry file', () => {
+    const registry = createVenueRegistry(require(path.join(__dirname, '../data/venues.json')));
+    assert.ok(registry.venues.length > 0);
+    assert.strictEqual(typeof registry.version, 'number');
+  });
+});
+
+describe('attachVenue', () => {
+  const registry = createVenueRegistry({ version: 1, venues: [bellHouse] });
+
+  it('should canonicalise the venue name and add its location', () => {
+    const show = attachVenue({ id: 'a', artists: ['A'], venue: 'Bell House' }, registry);
+    assert.strictEqual(show.venue, 'The Bell House');
+    assert.deepStrictEqual(show.location, {
+      venueId: 'bell-house',
+      address: '149 7th St, Brooklyn, NY 11215',
+      neighborhood: 'Gowanus',
+      borough: 'Brooklyn',
+      lat: 40.6737,
+      lon: -73.9913,
+    });
+  });
+
+  it('should leave shows at unknown venues untouched', () => {
+    const show = { id: 'a', artists: ['A'], venue: 'Somewhere Else' };
+    assert.strictEqual(attachVenue(show, registry), show);
+  });
+});
+
+describe('findUnregisteredVenues', () => {
+  const registry = createVenueRegistry({ version: 1, venues: [bellHouse] });
+
+  it('should count shows at each venue missing from the registry, most first', () => {
+    const shows = [
+      { id: 'a', artists: ['A'], venue: 'Bell House' },
+      { id: 'b', artists: ['B'], venue: 'Purgatory' },
+      { id: 'c', artists: ['C'], venue: 'Cassette' },
+      { id: 'd', artists: ['D'], venue: 'Cassette' },
+      { id: 'e', artists: ['E'], venue: 'Hart Bar' },
+    ];
+    assert.deepStrictEqual(findUnregisteredVenues(shows, registry), [
+      { name: 'Cassette', showCount: 2 },
+      { name: 'Hart Bar', showCount: 1 },
+      { name: 'Purgatory', showCount: 1 },
+    ]);
+  });
+
+  it('should return nothing when every venue is registered', () => {
+    assert.deepStrictEqual(findUnregisteredVenues([{ id: 'a', artists: ['A'], venue: 'The Bell House' }], registry), []);
+  });
+});
@@ -25,6 +25,13 @@ describe('parseShowDate', () => {
 
   it('should return null for invalid date values', () => {
     assert.strictEqual(parseShowDate('2/30/2026'), null); // Feb 30 doesn't exist
+    assert.strictEqual(parseShowDate('2026-02-30'), null);
+  });
+
+  it('should use the venue-local date of an ISO startsAt', () => {
+    const date = parseShowDate('2026-02-10T23:30:00-05:00');
+    assert.strictEqual(toISODateString(date), '2026-02-10');
+    assert.strictEqual(toISODateString(parseShowDate('2026-02-10')), '2026-02-10');
   });
 });
 
@@ -51,6 +58,11 @@ describe('parseShowTime', () => {
     assert.strictEqual(parseShowTime('invalid'), 0);
     assert.strictEqual(parseShowTime(''), 0);
   });
+
+  it('should use the venue-local time of an ISO startsAt', () => {
+    assert.strictEqual(parseShowTime('2026-02-10T21:30:00-05:00'), 21 * 60 + 30);
+    assert.strictEqual(parseShowTime('2026-02-10'), 0);
+  });
 });
 
 describe('getWeekStart', () => {
@@ -184,6 +196,15 @@ describe('organizeShowsByWeek', () => {
     assert.strictEqual(totalShows, 4); // Only original 4 shows
   });
 
+  it('should prefer startsAt over date and time', () => {
+    const shows = [
+      { artists: ['Late'], venue: 'V', startsAt: '2026-02-13T23:00:00-05:00', date: '2/13/2026', time: '11:00 PM' },
+      { artists: ['Early'], venue: 'V', startsAt: '2026-02-13T18:00:00-05:00', date: 'Unknown', time: 'Unknown' },
+    ];
+    const result = organizeShowsByWeek(shows, refDate);
+    assert.deepStrictEqual(result.days[4].shows.map(show => show.artists[0]), ['Early', 'Late']);
+  });
+
   it('should not mutate input shows array', () => {
     const shows = [{ artists: ['Test'], venue: 'V', date: '2/10/2026', time: '08:00 PM' }];
     const originalLength = shows.length;